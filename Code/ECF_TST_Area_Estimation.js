@@ -0,0 +1,119 @@
+/**
+ * =================================================================================
+ * ECF-TST Framework: Stratified Area Estimation
+ * =================================================================================
+ *
+ * Purpose: This script runs the good-practice accuracy assessment of one
+ * ecoregion/year FCL map (Olofsson et al., 2014): it draws a stratified random
+ * validation sample and, once the sample has been interpreted, estimates
+ * error-adjusted areas and accuracies with 95% confidence intervals.
+ *
+ * Workflow:
+ * 1. STAGE = 'sample': computes the mapped area of each class (stratum) and
+ *    exports a stratified random sample (CSV to Drive and a table asset in the
+ *    catalogue's 'validation' folder).
+ * 2. Interpret the sample: fill 'ref_class' (0-3) for every point and upload
+ *    the table as an asset (REFERENCE_ASSET).
+ * 3. STAGE = 'estimate': exports adjusted area, user's and producer's accuracy
+ *    per class and overall accuracy, each with its 95% confidence interval.
+ *
+ * Key Notes:
+ * - Both stages must use the same map (SOURCE, ECOREGION_ID, TARGET_YEAR), so the
+ *   stratum areas match the sample design.
+ * - Estimation code: Code/modules/area_estimation.js.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 0. DEPENDENCIES
+// -------------------------------
+
+var area = require('users/ldf160107/ECF-TST:Code/modules/area_estimation.js');
+var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+var mosaic = require('users/ldf160107/ECF-TST:Code/modules/fcl_mosaic.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. USER CONFIGURATION
+// -------------------------------
+var STAGE = 'sample';        // 'sample' or 'estimate'
+var TARGET_YEAR = 2020;
+var ECOREGION_ID = 20;       // ID (1 to 35) or code (e.g. 'I23').
+var SOURCE = 'asset';        // 'asset' (exported map) or 'build' (run the pipeline).
+
+// Sample design (see ALLOCATIONS in area_estimation.js).
+var SAMPLE_DESIGN = {
+  allocation: 'proportional',
+  total: 600,
+  minPerClass: 100,
+  classPoints: null,         // e.g. [300, 100, 100, 100] with 'fixed'
+  seed: 42
+};
+
+// Interpreted sample (STAGE = 'estimate').
+var REFERENCE_ASSET = '';
+
+var ecoregion = catalogue.get(ECOREGION_ID);
+var aoi = catalogue.loadGeometry(ecoregion);
+var map = SOURCE === 'asset' ?
+  mosaic.loadEcoregionMap(ecoregion.id, TARGET_YEAR).select('prediction') :
+  pipeline.buildFclMap(ecoregion.id, TARGET_YEAR).smoothed;
+var name = 'E' + ecoregion.id + '_' + TARGET_YEAR;
+
+print('===================================');
+print('ECF-TST Stratified Area Estimation');
+print('Stage:', STAGE);
+print('Ecoregion:', ecoregion.code + ' ' + ecoregion.name);
+print('Target Year:', TARGET_YEAR);
+print('===================================');
+
+// -------------------------------
+// 2. STRATUM AREAS
+// -------------------------------
+
+var strata = area.strataAreas(map, aoi);
+print('Mapped stratum areas (m²):', strata);
+
+// -------------------------------
+// 3. SAMPLE OR ESTIMATE
+// -------------------------------
+
+if (STAGE === 'sample') {
+  var design = {
+    allocation: SAMPLE_DESIGN.allocation,
+    total: SAMPLE_DESIGN.total,
+    minPerClass: SAMPLE_DESIGN.minPerClass,
+    classPoints: SAMPLE_DESIGN.classPoints,
+    seed: SAMPLE_DESIGN.seed,
+    ecoregionId: ecoregion.id,
+    year: TARGET_YEAR
+  };
+  print('Points per stratum:', area.allocate(strata, design));
+  var sample = area.drawSample(map, aoi, strata, design);
+
+  Export.table.toDrive(area.getExportOptions(
+    sample, 'Validation_Sample_' + name, area.SAMPLE_COLUMNS));
+  Export.table.toAsset({
+    collection: sample,
+    description: 'Validation_Sample_' + name + '_Asset',
+    assetId: catalogue.getOutputFolder('validation') + '/Validation_Sample_' + name
+  });
+  Map.centerObject(aoi, 8);
+  Map.addLayer(sample, {color: 'red'}, 'Validation Sample');
+} else if (STAGE === 'estimate') {
+  if (!REFERENCE_ASSET) throw new Error('Set REFERENCE_ASSET to the interpreted sample.');
+  var estimates = area.estimateArea(ee.FeatureCollection(REFERENCE_ASSET), strata, {
+    ecoregionId: ecoregion.id,
+    year: TARGET_YEAR
+  });
+  print('Area and accuracy estimates:', estimates);
+  Export.table.toDrive(area.getExportOptions(
+    estimates, 'Area_Estimates_' + name, area.ESTIMATE_COLUMNS));
+} else {
+  throw new Error('Unknown STAGE "' + STAGE + '"; use sample or estimate.');
+}
+
+print('===================================');
+print('Please run the export tasks from the "Tasks" tab.');
+print('===================================');
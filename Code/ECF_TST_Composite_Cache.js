@@ -0,0 +1,76 @@
+/**
+ * =================================================================================
+ * ECF-TST Framework: Annual Composite Cache
+ * =================================================================================
+ *
+ * Purpose: This script exports the annual SR composites and spectral-index
+ * stacks of the selected ecoregions once, to one ImageCollection asset per
+ * ecoregion. The mapping and sample-extraction scripts then read the cached
+ * years instead of rebuilding every composite from 2000 for each target year.
+ *
+ * Corresponding Manuscript Section: 2.2.2 "Multidimensional Feature Dataset"
+ * (annual composites).
+ *
+ * Workflow:
+ * 1. Creates the ecoregion's `Composites_E<id>` collection in the catalogue's
+ *    'composites' folder if needed (the folder itself must exist).
+ * 2. Lists the years not yet cached for the compositing parameters
+ *    (ecoregion season, COMPOSITE_METHOD, FUSION).
+ * 3. Creates one export task per missing year (Code/modules/composite_cache.js).
+ *
+ * Key Notes:
+ * - Images are tagged with 'composite_year' and the compositing parameters;
+ *   runs with other parameters (e.g. another method or fusion) add their own
+ *   images and never reuse these.
+ * - Re-running the script only exports the years still missing.
+ * - Use the same COMPOSITE_METHOD and FUSION as the mapping runs; the mapping
+ *   pipeline's default method is 'medoid'.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 0. DEPENDENCIES
+// -------------------------------
+
+var cache = require('users/ldf160107/ECF-TST:Code/modules/composite_cache.js');
+var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. USER CONFIGURATION
+// -------------------------------
+var ECOREGION_IDS = [1];       // IDs (1 to 35) or codes (e.g. 'I01').
+var START_YEAR = pipeline.START_YEAR;
+var END_YEAR = 2024;
+
+// Compositing parameters, as in the mapping script.
+var COMPOSITE_METHOD = 'medoid';
+var FUSION = {source: 'none', resampling: 'aggregate'};
+
+print('===================================');
+print('ECF-TST Annual Composite Cache');
+print('Ecoregions:', ECOREGION_IDS);
+print('Years:', START_YEAR + '-' + END_YEAR);
+print('Method:', COMPOSITE_METHOD);
+print('===================================');
+
+// -------------------------------
+// 2. CACHE EXPORTS PER ECOREGION
+// -------------------------------
+
+ECOREGION_IDS.forEach(function(key) {
+  var ecoregion = catalogue.get(key);
+  var options = pipeline.compositeOptions(ecoregion, COMPOSITE_METHOD, FUSION, false);
+  var collection = cache.ensureCollection(ecoregion);
+  var missing = cache.missingYears(ecoregion, START_YEAR, END_YEAR, options);
+
+  missing.forEach(function(year) {
+    Export.image.toAsset(cache.getExportOptions(ecoregion, year, options));
+  });
+  print('Ecoregion ' + ecoregion.code + ': ' + missing.length + ' year(s) to cache in', collection);
+});
+
+print('===================================');
+print('Please run the export tasks from the "Tasks" tab.');
+print('===================================');
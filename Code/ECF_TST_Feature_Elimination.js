@@ -0,0 +1,98 @@
+/**
+ * =================================================================================
+ * ECF-TST Framework: Recursive Feature Elimination (RFE)
+ * =================================================================================
+ *
+ * Purpose: This script re-derives the optimal feature subset of each selected
+ * ecoregion from the full multidimensional feature stack, so the subsets can be
+ * regenerated when features or samples are added.
+ *
+ * Corresponding Manuscript Section: 2.3.2 "Ecoregion-Specific Model Training,
+ * Optimization, and FCL Mapping" (feature selection).
+ *
+ * Workflow:
+ * 1. Loads the ecoregion's full-stack sample table (every feature in
+ *    feature_registry.js, sampled as in the mapping pipeline at each point's
+ *    year), written by ECF_TST_Sample_Extraction.js.
+ * 2. Ranks the features by Random Forest `explain()` importance and drops the
+ *    weakest ones step by step, scoring each step as the mean over the
+ *    CV_OPTIONS folds (Code/modules/feature_elimination.js).
+ * 3. Exports, per ecoregion, the accuracy curve (one row per step) and the
+ *    chosen subset.
+ *
+ * Key Notes:
+ * - The chosen subset is the smallest one whose objective is within
+ *   RFE_OPTIONS.tolerance of the best step. Copy its 'features' column into the
+ *   ecoregion's `trainingFeatures` in ecoregion_catalogue.js.
+ * - Extract the sample tables with the full feature list (the default of
+ *   ECF_TST_Sample_Extraction.js) before running this script.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 0. DEPENDENCIES
+// -------------------------------
+
+var rfe = require('users/ldf160107/ECF-TST:Code/modules/feature_elimination.js');
+var sampling = require('users/ldf160107/ECF-TST:Code/modules/sampling.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. USER CONFIGURATION
+// -------------------------------
+var ECOREGION_IDS = [1];       // IDs (1 to 35) or codes (e.g. 'I01').
+
+// Validation folds of each elimination step (see
+// Code/modules/cross_validation.js): use the CV_OPTIONS of the training
+// script. 'random' (single 75/25 split) inflates the scores of spatially
+// autocorrelated samples and so favours the wrong subset.
+var CV_OPTIONS = {
+  strategy: 'spatial_block',
+  folds: 5,                  // 'spatial_block' only
+  blockSizeKm: 10,           // 'spatial_block' only
+  yearProperty: 'year',      // 'leave_one_year_out' only
+  seed: 0                    // 'spatial_block' random block-to-fold assignment
+};
+
+// Elimination settings (see DEFAULTS in feature_elimination.js).
+var RFE_OPTIONS = {
+  step: 5,
+  minFeatures: 3,
+  objective: 'kappa',
+  tolerance: 0.01,
+  trees: 100,
+  seed: 0
+};
+
+var candidates = rfe.candidateFeatures();
+
+print('===================================');
+print('ECF-TST Recursive Feature Elimination');
+print('Ecoregions:', ECOREGION_IDS);
+print('Candidate features:', candidates.length);
+print('Objective:', RFE_OPTIONS.objective);
+print('CV strategy:', CV_OPTIONS.strategy);
+print('===================================');
+
+// -------------------------------
+// 2. ELIMINATION PER ECOREGION
+// -------------------------------
+
+ECOREGION_IDS.forEach(function(key) {
+  var ecoregion = catalogue.get(key);
+  var samples = ee.FeatureCollection(sampling.sampleAssetId(ecoregion));
+  var options = {ecoregionId: ecoregion.id, cv: CV_OPTIONS};
+  Object.keys(RFE_OPTIONS).forEach(function(k) { options[k] = RFE_OPTIONS[k]; });
+  var result = rfe.eliminate(samples, candidates, options);
+
+  Export.table.toDrive(rfe.getExportOptions(
+    result.curve, 'RFE_Curve_E' + ecoregion.id, rfe.CURVE_COLUMNS));
+  Export.table.toDrive(rfe.getExportOptions(
+    ee.FeatureCollection([result.selected]), 'RFE_Subset_E' + ecoregion.id, rfe.SUBSET_COLUMNS));
+  print('Ecoregion ' + ecoregion.code + ': RFE export tasks created.');
+});
+
+print('===================================');
+print('Please run the export tasks from the "Tasks" tab.');
+print('===================================');
@@ -0,0 +1,117 @@
+/**
+ * =================================================================================
+ * ECF-TST Framework: Zonal Loss-Area Statistics
+ * =================================================================================
+ *
+ * Purpose: This script computes annual forest cover loss area (km² and ha) from
+ * the national FCL loss-year stack per ecoregion, per administrative unit
+ * (province, city, county) and nationally, and exports the tables as CSV.
+ *
+ * Workflow:
+ * 1. Loads the loss-year stack written by `ECF_TST_National_Mosaic.js`.
+ * 2. Sums `ee.Image.pixelArea()` over the loss pixels of each year per zone
+ *    (Code/modules/loss_stats.js).
+ * 3. Exports one table per zone level, plus the national annual totals.
+ * 4. Compares the stack with Hansen GFC loss per ecoregion and nationally
+ *    (Code/modules/hansen_comparison.js).
+ *
+ * Key Notes:
+ * - The ecoregion table has the columns of
+ *   `data/annual_ecoregion_loss_area_2001_2020.csv`; admin tables use
+ *   '<level>_id'/'<level>_name' for the first two columns.
+ * - Admin boundaries are not part of this repository. Upload the province,
+ *   city and county boundaries as table assets and set `ADMIN_LEVELS` below;
+ *   levels with an empty `asset` are skipped.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 0. DEPENDENCIES
+// -------------------------------
+
+var stats = require('users/ldf160107/ECF-TST:Code/modules/loss_stats.js');
+var hansen = require('users/ldf160107/ECF-TST:Code/modules/hansen_comparison.js');
+var mosaic = require('users/ldf160107/ECF-TST:Code/modules/fcl_mosaic.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. USER CONFIGURATION
+// -------------------------------
+var STACK_START_YEAR = 2001;  // Years of the loss-year stack asset.
+var STACK_END_YEAR = 2024;
+var START_YEAR = 2001;        // Years to report.
+var END_YEAR = 2024;
+
+// Export the Hansen GFC comparison tables (per ecoregion and national).
+var EXPORT_HANSEN_COMPARISON = true;
+
+// Administrative boundary collections: asset, ID property and name property.
+var ADMIN_LEVELS = {
+  province: {asset: '', idField: 'code', nameField: 'name'},
+  city: {asset: '', idField: 'code', nameField: 'name'},
+  county: {asset: '', idField: 'code', nameField: 'name'}
+};
+
+var stackName = mosaic.exportDescription(STACK_START_YEAR, STACK_END_YEAR);
+var stack = ee.Image(catalogue.getOutputFolder('national') + '/' + stackName);
+
+var years = [];
+for (var y = START_YEAR; y <= END_YEAR; y++) years.push(y);
+
+print('===================================');
+print('ECF-TST Zonal Loss-Area Statistics');
+print('Loss-year stack:', stackName);
+print('Years:', START_YEAR + '-' + END_YEAR);
+print('===================================');
+
+// -------------------------------
+// 2. ECOREGION AND NATIONAL TABLES
+// -------------------------------
+
+var ecoregionTable = stats.zonalLossStats(stack, stats.ecoregionZones(), years);
+var suffix = START_YEAR + '_' + END_YEAR;
+
+Export.table.toDrive(stats.getExportOptions(
+  ecoregionTable, 'annual_ecoregion_loss_area_' + suffix));
+
+Export.table.toDrive(stats.getExportOptions(
+  stats.nationalLossStats(stack, years), 'national_annual_loss_' + suffix,
+  stats.NATIONAL_COLUMNS));
+
+// -------------------------------
+// 3. ADMINISTRATIVE TABLES
+// -------------------------------
+
+Object.keys(ADMIN_LEVELS).forEach(function(level) {
+  var config = ADMIN_LEVELS[level];
+  if (!config.asset) {
+    print('Skipping ' + level + ' statistics (no boundary asset set).');
+    return;
+  }
+  var table = stats.zonalLossStats(stack, ee.FeatureCollection(config.asset), years, {
+    idField: config.idField,
+    nameField: config.nameField,
+    level: level
+  });
+  Export.table.toDrive(stats.getExportOptions(
+    table, 'annual_' + level + '_loss_area_' + suffix, stats.zonalColumns(level)));
+});
+
+// -------------------------------
+// 4. HANSEN GFC COMPARISON
+// -------------------------------
+
+if (EXPORT_HANSEN_COMPARISON) {
+  Export.table.toDrive(hansen.getExportOptions(
+    hansen.zonalComparison(stack, stats.ecoregionZones(), years),
+    'hansen_comparison_ecoregion_' + suffix, 'eco_region'));
+  Export.table.toDrive(hansen.getExportOptions(
+    hansen.nationalComparison(stack, years), 'hansen_comparison_national_' + suffix));
+}
+
+print('First ecoregion rows:', ecoregionTable.limit(5));
+
+print('===================================');
+print('Please run the export tasks from the "Tasks" tab.');
+print('===================================');
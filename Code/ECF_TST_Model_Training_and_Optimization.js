@@ -14,19 +14,35 @@
  * Workflow:
  * 1. Loads the pre-defined optimal feature subset for the target ecoregion.
  * 2. Loads the validated sample points (FCL & Stable) for the ecoregion.
- * 3. Applies stratified random split to create training/testing sets.
- * 4. Conducts a grid search over hyperparameters (class target sizes, RF params).
- * 5. Trains a Random Forest model for each combination and evaluates performance.
- * 6. Exports evaluation metrics to Google Drive for selecting the optimal model.
+ * 3. Splits the samples into training/testing folds (random 75/25 split,
+ *    spatial-block k-fold or leave-one-year-out CV; see CV_OPTIONS).
+ * 4. Searches the hyperparameters (class target sizes, RF params): the fixed
+ *    grid, random search, successive halving or Bayesian-style refinement
+ *    (see SEARCH_OPTIONS).
+ * 5. Trains a Random Forest model for each combination and fold and evaluates
+ *    performance on the held-out fold.
+ * 6. Exports evaluation metrics (fold means and per-fold metrics) to Google
+ *    Drive.
+ * 7. Selects the best combination by the configured objective, retrains it on
+ *    the full balanced sample set and exports it as a candidate model asset
+ *    together with its training settings; a reviewed candidate is promoted to
+ *    the ecoregion's model asset in a later run (see SELECTION_OPTIONS).
  * 
  * Key Notes:
  * - The optimal feature subset (`optimalFeatures*`) is the result of a separate
- *   Recursive Feature Elimination (RFE) process (see manuscript).
+ *   Recursive Feature Elimination (RFE) process (see manuscript), which
+ *   `ECF_TST_Feature_Elimination.js` reproduces.
  * - Sample points are derived from the Hansen Global Forest Change v1.12 dataset
  *   (2000-2024) and rigorously validated via LandTrendr trajectories and
  *   high-resolution imagery (Section 2.2.1).
- * - The final, best-performing model for each ecoregion is saved as a GEE Asset
- *   (e.g., `RF2_Optimized_Model_E1`) and used in the prediction script.
+ * - The best-performing model is exported to the catalogue's 'models' folder
+ *   (e.g. `RF2_Optimized_Model_E1_v2`), never over the deployed model. Once
+ *   promoted, it replaces the catalogue's `modelAsset` (e.g.
+ *   `RF2_Optimized_Model_E1`) used by the prediction script. Its training
+ *   settings, including the features it was trained on and the options the
+ *   samples were extracted with, are stored as asset properties
+ *   (Code/modules/model_selection.js); the mapping pipeline classifies with
+ *   those features and the mapping script verifies both.
  * 
  * Data Sources Cited:
  * - Forest Cover Loss Reference: Hansen/UMD/Google/USGS/NASA (2013).
@@ -35,102 +51,176 @@
  * =================================================================================
  */
 
+// -------------------------------
+// 0. DEPENDENCIES
+// -------------------------------
+
+// Import the shared feature-name registry (also used by the mapping script).
+var registry = require('users/ldf160107/ECF-TST:Code/modules/feature_registry.js');
+
+// Import the ecoregion catalogue (samples and feature subset per ecoregion).
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// Import the cross-validation split strategies.
+var cv = require('users/ldf160107/ECF-TST:Code/modules/cross_validation.js');
+
+// Import the class balancing strategies.
+var balancing = require('users/ldf160107/ECF-TST:Code/modules/class_balancing.js');
+
+// Import the hyperparameter search driver.
+var hyperparamSearch = require('users/ldf160107/ECF-TST:Code/modules/hyperparam_search.js');
+
+// Import the classification metrics (label-keyed confusion matrix, F1).
+var metrics = require('users/ldf160107/ECF-TST:Code/modules/classification_metrics.js');
+
+// Import the training-sample extraction (sample table asset IDs).
+var sampling = require('users/ldf160107/ECF-TST:Code/modules/sampling.js');
+
+// Import the mapping pipeline (feature settings recorded with the model).
+var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+
+// Import the best-model selection and model asset settings.
+var modelSelection = require('users/ldf160107/ECF-TST:Code/modules/model_selection.js');
+
 // -------------------------------
 // 1. ECOREGION CONFIGURATION
 // -------------------------------
 // USER MUST SET THIS VARIABLE
-var ECO_ZONE_ID = 1; // Set target ecoregion ID (1 to 35).
+var ECO_ZONE_ID = 1; // Set target ecoregion ID (1 to 35) or code (e.g. 'I01').
+
+// Sample table: 'catalogue' (the legacy `E1..E35` assets, string-typed) or
+// 'extracted' (tables written by ECF_TST_Sample_Extraction.js).
+var SAMPLE_SOURCE = 'catalogue';
+
+// Validation split strategy (see Code/modules/cross_validation.js):
+// 'random' (single 75/25 split), 'spatial_block' (k-fold over spatial blocks)
+// or 'leave_one_year_out' (temporal CV).
+var CV_OPTIONS = {
+  strategy: 'random',
+  folds: 5,                  // 'spatial_block' only
+  blockSizeKm: 10,           // 'spatial_block' only
+  yearProperty: 'year',      // 'leave_one_year_out' only
+  seed: 0                    // 'spatial_block' random block-to-fold assignment
+};
+
+// Class balancing strategy (see Code/modules/class_balancing.js):
+// 'oversample' (random oversampling to the target sizes of grid 3.1),
+// 'undersample' (reduce Stable class 0), 'class_weights' (inverse-frequency
+// replication) or 'smote' (synthetic samples up to the target sizes).
+var BALANCE_OPTIONS = {
+  strategy: 'oversample',
+  stableRatio: 1,            // 'undersample': class 0 size / largest loss class
+  maxWeight: 20              // 'class_weights': replication cap
+};
+
+// Hyperparameter search (see Code/modules/hyperparam_search.js):
+// 'grid' (the 81 combinations of section 3), 'random', 'successive_halving' or
+// 'bayesian' over SEARCH_SPACE. The budget caps the number of evaluations on
+// the full training set; the adaptive methods fetch each round's scores with
+// getInfo(), so keep their budget moderate in the Code Editor.
+var SEARCH_OPTIONS = {
+  method: 'grid',
+  budget: 40,                // Not used by 'grid'
+  seed: 42
+};
+
+// Best-model selection (see Code/modules/model_selection.js). The objective
+// ('kappa', 'overall_accuracy', 'macro_f1', 'weighted_f1' or 'min_recall') is
+// also the score
+// maximised by the adaptive search methods.
+// stage: 'none' skips this step; 'export' retrains the winner on all samples
+// and exports it and its settings as the candidate `version`; once both tasks
+// have completed, re-run with 'tag' to copy the settings onto the candidate.
+// After reviewing its metrics, 'promote' copies the candidate over the
+// ecoregion's deployed model asset.
+var SELECTION_OPTIONS = {
+  objective: 'kappa',
+  stage: 'none',
+  version: 'v2'
+};
 
 print('===================================');
 print('ECF-TST Model Training');
 print('Target Ecoregion ID:', ECO_ZONE_ID);
+print('Sample source:', SAMPLE_SOURCE);
+print('CV strategy:', CV_OPTIONS.strategy);
+print('Balancing strategy:', BALANCE_OPTIONS.strategy);
+print('Search method:', SEARCH_OPTIONS.method);
+print('Selection objective:', SELECTION_OPTIONS.objective);
 print('===================================');
+if (modelSelection.OBJECTIVES.indexOf(SELECTION_OPTIONS.objective) < 0) {
+  throw new Error('Unknown objective "' + SELECTION_OPTIONS.objective + '"; use ' +
+                  modelSelection.OBJECTIVES.join(', ') + '.');
+}
 
 // -------------------------------
 // 2. LOAD ECOREGION-SPECIFIC ASSETS
 // -------------------------------
 
+// All ecoregion-specific assets come from the ecoregion catalogue.
+var catalogueCheck = catalogue.validate();
+if (!catalogueCheck.valid) {
+  print('Ecoregion catalogue errors:', catalogueCheck.errors);
+  throw new Error('Ecoregion catalogue is invalid (' + catalogueCheck.errors.length + ' error(s)).');
+}
+var ecoregion = catalogue.get(ECO_ZONE_ID);
+
 // 2.1 Load the pre-optimized feature subset for this ecoregion.
-// These lists are the result of the RFE process described in the manuscript.
-var optimalFeatures1 = ee.List(['NBR', 'NBR_chg_ra', 'NBR_rol_3y']);
-var optimalFeatures2 = ee.List(['NBR_chg_ra', 'NBR', 'NDMI', 'NBR_rol_3y']);
-var optimalFeatures3 = ee.List(['NBR', 'NDMI', 'NBR_rol_3y', 'NDBI', 'NBR_rol_5y', 'RVI', 'NDMI_rol_5', 'SAVI', 'NBR_chg_ra']);
-var optimalFeatures4 = ee.List(['NBR', 'NBR_rol_3y', 'NDMI', 'NBR_rol_5y', 'NDBI', 'NDMI_chg_r', 'NDBI_chg_r', 'NBR_chg_ra', 'NDMI_rol_3', 'NDBI_rol_3']);
-var optimalFeatures5 = ee.List(['NBR', 'NDBI', 'NBR_rol_5y', 'NDMI', 'NDMI_rol_5', 'NDMI_rol_3', 'NBR_rol_3y', 'NBR_chg_ra']);
-var optimalFeatures6 = ee.List(['NBR_chg_ra', 'NBR', 'NBR_rol_3y']);
-var optimalFeatures7 = ee.List(['NDMI', 'NBR', 'NDBI', 'NBR_rol_3y', 'NBR_rol_5y', 'NDMI_rol_3', 'NDMI_rol_5', 'NDBI_rol_3', 'NBR_chg_ac', 'NBR_chg_ra', 'EVI']);
-var optimalFeatures8 = ee.List(['NBR', 'NBR_rol_5y', 'NDMI', 'NBR_rol_3y', 'NBR_chg_ra']);
-var optimalFeatures9 = ee.List(['NBR', 'NBR_rol_3y', 'NBR_rol_5y']);
-var optimalFeatures10 = ee.List(['NBR', 'NDMI', 'NDBI', 'NBR_chg_ra', 'NBR_trend', 'NBR_rol_5y', 'EVI_mean']);
-var optimalFeatures11 = ee.List(['NBR', 'NBR_rol_5y', 'NDMI', 'NDBI', 'NBR_rol_3y', 'NDMI_rol_5', 'NDBI_rol_3']);
-var optimalFeatures12 = ee.List(['NBR', 'NBR_rol_5y', 'NDMI_rol_5', 'NDMI']);
-var optimalFeatures13 = ee.List(['NBR_rol_5y', 'NBR', 'NDMI', 'NDBI', 'NBR_chg_ra', 'NBR_rol_3y']);
-var optimalFeatures14 = ee.List(['NBR', 'NBR_rol_3y', 'NDBI', 'NBR_rol_5y']);
-var optimalFeatures15 = ee.List(['NBR_rol_5y', 'NBR', 'NDMI', 'NBR_vola_5', 'NBR_rol_3y', 'NDBI', 'NBR_chg_ra']);
-var optimalFeatures16 = ee.List(['NBR', 'NBR_rol_3y', 'NBR_rol_5y', 'NDMI', 'NDBI', 'NBR_trend', 'NDMI_rol_5']);
-var optimalFeatures17 = ee.List(['NBR', 'NBR_rol_5y', 'NDBI', 'NDMI', 'NBR_chg_ra', 'NDMI_rol_5', 'NBR_rol_3y']);
-var optimalFeatures18 = ee.List(['NBR', 'NBR_rol_5y', 'NDBI', 'NDMI', 'NBR_rol_3y', 'NBR_chg_ra']);
-var optimalFeatures19 = ee.List(['NBR', 'NDBI', 'NBR_rol_5y']);
-var optimalFeatures20 = ee.List(['NBR', 'NDMI', 'NBR_rol_5y', 'NDBI', 'NBR_rol_3y', 'NDMI_rol_5', 'RVI_rol_5y', 'NDBI_rol_3', 'NDVI_rol_3', 'NBR_chg_ra', 'NBR_an_cha']);
-var optimalFeatures21 = ee.List(['NBR', 'NBR_rol_3y', 'NDBI', 'NDMI', 'NBR_rol_5y', 'NDBI_rol_3', 'NDMI_rol_3', 'NDMI_rol_5', 'EVI', 'NBR_chg_ra']);
-var optimalFeatures22 = ee.List(['NBR', 'NDMI', 'NDBI', 'NBR_chg_ra', 'NBR_rol_3y']);
-var optimalFeatures23 = ee.List(['NBR', 'NBR_rol_5y', 'NBR_rol_3y', 'NDMI', 'NDBI', 'NDMI_rol_5', 'NBR_chg_ra', 'SAVI_rol_3']);
-var optimalFeatures24 = ee.List(['NBR', 'NBR_rol_5y', 'NDBI', 'NDMI', 'NBR_rol_3y', 'NBR_chg_ra', 'NDVI']);
-var optimalFeatures25 = ee.List(['NBR', 'NDBI', 'NBR_rol_3y', 'NDMI', 'NBR_rol_5y', 'NBR_chg_ra']);
-var optimalFeatures26 = ee.List(['NBR', 'NDBI', 'NBR_rol_3y', 'NDMI', 'NBR_trend']);
-var optimalFeatures27 = ee.List(['NBR', 'NBR_rol_5y', 'NDMI', 'NDBI', 'NBR_chg_ra', 'NBR_rol_3y']);
-var optimalFeatures28 = ee.List(['NBR_rol_3y', 'NBR', 'NDBI', 'NDMI', 'NBR_rol_5y', 'NBR_chg_ra']);
-var optimalFeatures29 = ee.List(['NBR', 'NDBI', 'NDMI', 'NBR_rol_3y', 'NDVI_rol_3', 'SAVI_rol_3', 'NBR_rol_5y', 'NDMI_rol_5', 'RVI', 'NDBI_rol_3', 'NBR_an_cha', 'NBR_reco_s', 'NDMI_rol_3', 'NDVI', 'NBR_chg_ra']);
-var optimalFeatures30 = ee.List(['NBR', 'NDMI', 'NBR_rol_3y', 'NDVI_rol_3', 'NDBI', 'NBR_rol_5y', 'NBR_chg_ra']);
-var optimalFeatures31 = ee.List(['NBR_chg_ra', 'NBR', 'NDMI', 'NBR_rol_3y', 'NDBI', 'NDMI_rol_3', 'NDBI_rol_3', 'NBR_trend', 'NDVI']);
-var optimalFeatures32 = ee.List(['NDBI', 'NDMI', 'NBR', 'NDMI_rol_3', 'NBR_rol_3y', 'NBR_chg_ra', 'NDBI_rol_3', 'NBR_rol_5y', 'NDBI_chg_r', 'NDMI_rol_5', 'NDMI_chg_r', 'NBR_an_cha']);
-var optimalFeatures33 = ee.List(['NBR', 'NDBI', 'NDMI', 'NBR_chg_ra', 'NDMI_rol_5', 'NBR_trend', 'NBR_rol_5y']);
-var optimalFeatures34 = ee.List(['NBR', 'NBR_chg_ra', 'NDMI', 'NBR_rol_5y', 'NDMI_rol_5', 'NDBI', 'NBR_rol_3y']);
-var optimalFeatures35 = ee.List(['NBR', 'NBR_chg_ra', 'NBR_rol_3y']);
-
-// Dynamically select the correct feature list.
-var optimalFeatures = ee.List(eval('optimalFeatures' + ECO_ZONE_ID));
+// These lists are the result of the RFE process described in the manuscript
+// (regenerate them with ECF_TST_Feature_Elimination.js).
+var requestedFeatures = ecoregion.trainingFeatures;
+
+// Resolve the subset to canonical feature names. Unknown names are reported here
+// rather than failing later inside the classifier.
+var featureResolution = registry.resolveAll(requestedFeatures);
+if (featureResolution.unresolved.length > 0) {
+  print('Unresolvable features in subset:', featureResolution.unresolved);
+  throw new Error('Ecoregion ' + ecoregion.id + ': ' +
+    featureResolution.unresolved.length + ' feature(s) cannot be resolved: ' +
+    featureResolution.unresolved.join(', '));
+}
+var optimalFeatures = ee.List(featureResolution.canonical);
 
 // 2.2 Load the validated sample points for this ecoregion.
 // These collections contain the 'label' property (0:Stable, 1-3:FCL sub-types)
 // and all feature values extracted at sample locations.
-var sampledPoints1 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E1");
-var sampledPoints2 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E2");
-var sampledPoints3 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E3");
-var sampledPoints4 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E4");
-var sampledPoints5 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E5");
-var sampledPoints6 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E6");
-var sampledPoints7 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E7");
-var sampledPoints8 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E8");
-var sampledPoints9 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E9");
-var sampledPoints10 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E10");
-var sampledPoints11 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E11");
-var sampledPoints12 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E12");
-var sampledPoints13 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E13");
-var sampledPoints14 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E14");
-var sampledPoints15 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E15");
-var sampledPoints16 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E16");
-var sampledPoints17 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E17");
-var sampledPoints18 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E18");
-var sampledPoints19 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E19");
-var sampledPoints20 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E20");
-var sampledPoints21 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E21");
-var sampledPoints22 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E22");
-var sampledPoints23 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E23");
-var sampledPoints24 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E24");
-var sampledPoints25 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E25");
-var sampledPoints26 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E26");
-var sampledPoints27 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E27");
-var sampledPoints28 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E28");
-var sampledPoints29 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E29");
-var sampledPoints30 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E30");
-var sampledPoints31 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E31");
-var sampledPoints32 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E32");
-var sampledPoints33 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E33");
-var sampledPoints34 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E34");
-var sampledPoints35 = ee.FeatureCollection("projects/polished-autumn-296103/assets/E35");
-
-var sampledPoints = ee.FeatureCollection(eval('sampledPoints' + ECO_ZONE_ID));
+var sampledPoints;
+if (SAMPLE_SOURCE === 'catalogue') {
+  sampledPoints = catalogue.loadSamples(ecoregion);
+} else if (SAMPLE_SOURCE === 'extracted') {
+  sampledPoints = ee.FeatureCollection(sampling.sampleAssetId(ecoregion));
+} else {
+  throw new Error('Unknown SAMPLE_SOURCE "' + SAMPLE_SOURCE + '"; use catalogue or extracted.');
+}
+
+// Options that changed the sample feature values (season, composite method,
+// fusion, mask mode, climate, DEM), recorded with the model so the mapping
+// script can refuse a run with other options. Extracted tables carry them
+// (sampling.js); the legacy tables were built with the defaults.
+var sampleFeatureSettings = SAMPLE_SOURCE === 'extracted' ?
+  ee.Dictionary(sampledPoints.toDictionary()).select(
+    Object.keys(pipeline.featureSettings()), true) :
+  ee.Dictionary(pipeline.featureSettings());
+
+// 2.3 Locate each canonical feature in the sample asset. Assets uploaded from
+// shapefiles store truncated names (e.g. 'NDMI_rol_5' for 'NDMI_rol_5y').
+var sampleProperties = sampledPoints.first().propertyNames().getInfo();
+var propertyMatch = registry.matchProperties(featureResolution.canonical, sampleProperties);
+if (propertyMatch.missing.length > 0) {
+  print('Features missing from the sample asset:', propertyMatch.missing);
+  throw new Error('Ecoregion ' + ecoregion.id + ': sample asset lacks ' +
+    propertyMatch.missing.join(', '));
+}
+var sourceProperties = featureResolution.canonical.map(function(name) {
+  return propertyMatch.found[name];
+});
+if (CV_OPTIONS.strategy === 'leave_one_year_out') {
+  if (sampleProperties.indexOf(CV_OPTIONS.yearProperty) < 0) {
+    throw new Error('Leave-one-year-out CV needs the sample property "' +
+                    CV_OPTIONS.yearProperty + '".');
+  }
+  sourceProperties.push(CV_OPTIONS.yearProperty);
+}
 
 print('Loaded optimal feature subset:', optimalFeatures);
 print('Number of sample points:', sampledPoints.size());
@@ -141,7 +231,9 @@ print('Number of sample points:', sampledPoints.size());
 
 // 3.1 Target class sizes for oversampling (to handle class imbalance).
 // Format: [Target_Class1, Target_Class2, Target_Class3]
-var targetSizesGrid = ee.List([
+// Strategies without class targets use a single placeholder row (-1).
+var usesTargets = balancing.usesTargetSizes(BALANCE_OPTIONS.strategy);
+var targetSizesGrid = !usesTargets ? [[-1, -1, -1]] : [
   [400, 400, 600],
   [400, 400, 800],
   [400, 500, 700],
@@ -151,10 +243,10 @@ var targetSizesGrid = ee.List([
   [500, 500, 800],
   [600, 400, 700],
   [600, 500, 800]
-]);
+];
 
 // 3.2 Random Forest algorithm parameters.
-var rfParamsGrid = ee.List([
+var rfParamsGrid = [
   {trees: 50, leafPop: 1, bagFrac: 0.5, splitVar: 0.5},
   {trees: 50, leafPop: 1, bagFrac: 0.7, splitVar: 0.7},
   {trees: 50, leafPop: 2, bagFrac: 0.6, splitVar: 0.6},
@@ -164,28 +256,64 @@ var rfParamsGrid = ee.List([
   {trees: 150, leafPop: 2, bagFrac: 0.7, splitVar: 0.5},
   {trees: 150, leafPop: 5, bagFrac: 0.5, splitVar: 0.7},
   {trees: 200, leafPop: 5, bagFrac: 0.6, splitVar: 0.6}
-]);
-
-// 3.3 Create the full Cartesian product of all parameter combinations.
-var allCombinations = targetSizesGrid.map(function(targetSizes) {
-  return rfParamsGrid.map(function(rfParams) {
-    return ee.Dictionary({
-      targetSizes: ee.List(targetSizes),
-      rfParams: ee.Dictionary(rfParams)
+];
+
+// 3.3 The full Cartesian product of both grids ('grid' method).
+var gridConfigs = [];
+targetSizesGrid.forEach(function(targetSizes) {
+  rfParamsGrid.forEach(function(rfParams) {
+    gridConfigs.push({
+      class1Target: targetSizes[0],
+      class2Target: targetSizes[1],
+      class3Target: targetSizes[2],
+      trees: rfParams.trees,
+      leafPop: rfParams.leafPop,
+      bagFrac: rfParams.bagFrac,
+      splitVar: rfParams.splitVar
     });
   });
-}).flatten();
+});
 
-print('Total parameter combinations to evaluate:', allCombinations.size());
+// 3.4 Parameter ranges of the random and adaptive methods.
+// variablesPerSplit = sqrt(numFeatures * splitVar), capped at numFeatures.
+var targetRange = function() {
+  return usesTargets ? {min: 300, max: 1000, type: 'int'} : {value: -1};
+};
+var SEARCH_SPACE = {
+  class1Target: targetRange(),
+  class2Target: targetRange(),
+  class3Target: targetRange(),
+  trees: {min: 50, max: 500, type: 'int', log: true},
+  leafPop: {min: 1, max: 10, type: 'int'},
+  bagFrac: {min: 0.4, max: 1.0, type: 'float'},
+  splitVar: {min: 0.2, max: 4.0, type: 'float'}
+};
+
+/**
+ * Converts a proposed configuration into the dictionary used by `evaluateFold`.
+ * @param {Object} entry - {config, resource, round} from the search driver.
+ * @returns {ee.Dictionary} targetSizes, rfParams, resource and round.
+ */
+var toCombination = function(entry) {
+  var c = entry.config;
+  return ee.Dictionary({
+    targetSizes: [c.class1Target, c.class2Target, c.class3Target],
+    rfParams: {trees: c.trees, leafPop: c.leafPop, bagFrac: c.bagFrac, splitVar: c.splitVar},
+    resource: entry.resource,
+    round: entry.round
+  });
+};
 
 // -------------------------------
 // 4. HELPER FUNCTIONS
 // -------------------------------
 
 /**
- * Converts feature property strings to numbers for model ingestion.
- * @param {ee.Feature} feature - Input feature with string properties.
- * @returns {ee.Feature} Feature with numeric properties.
+ * Converts feature property strings to numbers for model ingestion and stores
+ * them under their canonical feature names. Numeric properties (extracted
+ * sample tables) are kept as they are.
+ * @param {ee.Feature} feature - Input feature with string or numeric properties.
+ * @returns {ee.Feature} Feature with numeric, canonically named properties.
  */
 var convertToFloat = function(feature) {
   var safeParse = function(prop) {
@@ -193,16 +321,15 @@ var convertToFloat = function(feature) {
     var strVal = ee.String(val);
     var isEmpty = strVal.length().eq(0);
     return ee.Algorithms.If(
-      isEmpty,
-      0,
-      ee.Number.parse(strVal)
+      ee.Algorithms.ObjectType(val).equals('String'),
+      ee.Algorithms.If(isEmpty, 0, ee.Number.parse(strVal)),
+      val
     );
   };
 
   var converted = {};
-  var featureNames = optimalFeatures.getInfo(); // Requires getInfo for mapping
-  featureNames.forEach(function(prop) {
-    converted[prop] = safeParse(prop);
+  featureResolution.canonical.forEach(function(name) {
+    converted[name] = safeParse(propertyMatch.found[name]);
   });
   var label = ee.Number(safeParse('label')).toInt();
   
@@ -211,82 +338,80 @@ var convertToFloat = function(feature) {
     .set('label', label);
 };
 
-/**
- * Performs oversampling for a specific class to reach a target size.
- * @param {ee.FeatureCollection} features - Full training set.
- * @param {Number} targetClass - The class label to oversample.
- * @param {ee.Number} multiplier - Oversampling multiplier.
- * @returns {ee.FeatureCollection} Oversampled collection for the class.
- */
-function oversampleClass(features, targetClass, multiplier) {
-  var classSamples = features.filter(ee.Filter.eq('label', targetClass));
-  var size = classSamples.size();
-  var targetSize = ee.Number(multiplier).multiply(size).max(0).round();
-  var overSize = targetSize.subtract(size);
-  
-  var overSampled = ee.Algorithms.If(
-    overSize.gt(0),
-    classSamples.randomColumn('oversample').limit(overSize, 'oversample', true),
-    ee.FeatureCollection([])
-  );
-  return classSamples.merge(overSampled);
-}
-
 // -------------------------------
 // 5. PARAMETER EVALUATION FUNCTION
 // -------------------------------
 
+// 5.0 Data Preprocessing (shared by all combinations and folds)
+var completeSamples = sampledPoints
+  .filter(ee.Filter.notNull(sourceProperties))
+  .map(convertToFloat)
+  .filter(ee.Filter.neq('NBR', 0)); // Basic quality filter
+
+// The folds are fixed for the whole search, so every combination (and every
+// round of the adaptive methods) is scored on the same test sets. The random
+// 75/25 split is drawn once from SEARCH_OPTIONS.seed.
+var fixedFolds = CV_OPTIONS.strategy === 'random' ?
+  cv.assignFolds(completeSamples, {strategy: 'random', seed: SEARCH_OPTIONS.seed + 100}) :
+  cv.assignFolds(completeSamples, CV_OPTIONS);
+var foldIds = cv.listFolds(fixedFolds, CV_OPTIONS);
+if (CV_OPTIONS.strategy !== 'random') {
+  print('CV folds (sample counts; empty or very small folds are skipped):',
+        cv.describeFolds(fixedFolds, CV_OPTIONS));
+}
+
 /**
- * Evaluates one hyperparameter combination.
- * @param {ee.Dictionary} combination - Contains targetSizes and rfParams.
+ * Evaluates one hyperparameter combination on one held-out fold.
+ * @param {ee.Dictionary} combination - Contains targetSizes, rfParams,
+ *     resource (share of the training samples used) and round.
  * @param {ee.Number} iteration - Index of the combination.
- * @returns {ee.Feature} A feature with evaluation metrics as properties.
+ * @param {ee.Number} fold - Held-out fold ID.
+ * @returns {ee.Feature} A feature with fold-level evaluation metrics.
  */
-var evaluateParams = function(combination, iteration) {
+var evaluateFold = function(combination, iteration, fold) {
   combination = ee.Dictionary(combination);
   var targetSizes = ee.List(combination.get('targetSizes'));
   var rfParams = ee.Dictionary(combination.get('rfParams'));
+  var resource = ee.Number(combination.get('resource'));
   
-  // 5.1 Data Preprocessing & Split
-  var completeSamples = sampledPoints
-    .filter(ee.Filter.notNull(optimalFeatures))
-    .map(convertToFloat)
-    .filter(ee.Filter.neq('NBR', 0)); // Basic quality filter
-  
-  var split = 0.75; // 75% training, 25% testing
-  var withRandom = completeSamples.randomColumn('random', ee.Number(iteration).add(100));
-  var trainingOriginal = withRandom.filter(ee.Filter.lt('random', split));
-  var testingSet = withRandom.filter(ee.Filter.gte('random', split));
-  
-  // 5.2 Class Balancing via Oversampling
-  var classSizes = trainingOriginal.reduceColumns({
-    reducer: ee.Reducer.frequencyHistogram(),
-    selectors: ['label']
-  }).get('histogram');
-  var classSizesDict = ee.Dictionary(classSizes);
+  // 5.1 Training/Testing Split
+  var split = cv.splitFold(fixedFolds, fold);
+  var testingSet = split.testing;
+  // Low-fidelity rounds of successive halving train on a share of the samples.
+  // The draw is fixed per search, so the shares of later rounds contain those
+  // of earlier ones.
+  var trainingOriginal = ee.FeatureCollection(ee.Algorithms.If(
+    resource.lt(1),
+    split.training.randomColumn('fidelity', SEARCH_OPTIONS.seed + 200)
+      .filter(ee.Filter.lt('fidelity', resource)),
+    split.training
+  ));
   
+  // 5.2 Class Balancing (the seed follows the combination). Class targets are
+  // scaled by the resource, so a low-fidelity round costs `resource` of a full
+  // evaluation, as hyperparam_search.js budgets it; -1 placeholders are kept.
   var class1Target = targetSizes.getNumber(0);
   var class2Target = targetSizes.getNumber(1);
   var class3Target = targetSizes.getNumber(2);
+  var scaledTargets = targetSizes.map(function(target) {
+    target = ee.Number(target);
+    return ee.Algorithms.If(target.lt(0), target, target.multiply(resource).round().max(1));
+  });
   
-  var class1Multiplier = class1Target.divide(classSizesDict.getNumber('1'));
-  var class2Multiplier = class2Target.divide(classSizesDict.getNumber('2'));
-  var class3Multiplier = class3Target.divide(classSizesDict.getNumber('3'));
-  
-  var oversampledClass1 = oversampleClass(trainingOriginal, 1, class1Multiplier);
-  var oversampledClass2 = oversampleClass(trainingOriginal, 2, class2Multiplier);
-  var oversampledClass3 = oversampledClass(trainingOriginal, 3, class3Multiplier);
-  
-  var balancedTrainingSet = trainingOriginal
-    .filter(ee.Filter.eq('label', 0))
-    .merge(oversampledClass1)
-    .merge(oversampledClass2)
-    .merge(oversampledClass3);
+  var balanced = balancing.balance(trainingOriginal, {
+    strategy: BALANCE_OPTIONS.strategy,
+    targetSizes: scaledTargets,
+    stableRatio: BALANCE_OPTIONS.stableRatio,
+    maxWeight: BALANCE_OPTIONS.maxWeight,
+    inputProperties: featureResolution.canonical,
+    seed: ee.Number(iteration).add(100)
+  });
+  var balancedTrainingSet = balanced.collection;
   
   // 5.3 Classifier Configuration & Training
   var numFeatures = optimalFeatures.size();
   var splitVarFactor = rfParams.getNumber('splitVar');
-  var splitVars = numFeatures.multiply(splitVarFactor).sqrt().int();
+  var splitVars = numFeatures.multiply(splitVarFactor).sqrt().int().max(1).min(numFeatures);
   
   var classifier = ee.Classifier.smileRandomForest({
     numberOfTrees: rfParams.getNumber('trees'),
@@ -304,62 +429,213 @@ var evaluateParams = function(combination, iteration) {
   // 5.4 Model Evaluation
   var testFeatures = testingSet.select(optimalFeatures.add('label'));
   var testClassification = testFeatures.classify(trainedClassifier);
-  var confusionMatrix = testClassification.errorMatrix('label', 'classification');
+  var confusionMatrix = metrics.confusionMatrix(testClassification);
   
   // 5.5 Compile Results
   var stats = ee.Dictionary({
-    'eco_zone': ECO_ZONE_ID,
+    'eco_zone': ecoregion.id,
     'iteration': iteration,
+    'fold': fold,
+    'search_round': combination.get('round'),
+    'resource': resource,
+    'n_train': trainingOriginal.size(),
+    'n_test': testingSet.size(),
     'class1_target': class1Target,
     'class2_target': class2Target,
     'class3_target': class3Target,
     'num_trees': rfParams.getNumber('trees'),
     'min_leaf_pop': rfParams.getNumber('leafPop'),
     'bag_frac': rfParams.getNumber('bagFrac'),
-    'split_vars': splitVars,
-    'overall_accuracy': confusionMatrix.accuracy(),
-    'kappa': confusionMatrix.kappa(),
-    'recall_0': ee.Number(confusionMatrix.producersAccuracy().toList().get(0)),
-    'recall_1': ee.Number(confusionMatrix.producersAccuracy().toList().get(1)),
-    'recall_2': ee.Number(confusionMatrix.producersAccuracy().toList().get(2)),
-    'recall_3': ee.Number(confusionMatrix.producersAccuracy().toList().get(3)),
-  });
+    'split_vars': splitVars
+  }).combine(metrics.evaluate(confusionMatrix))
+    .combine(balanced.settings).combine(balanced.stats);
   
   return ee.Feature(null, stats);
 };
 
+/**
+ * Summarises the fold-level metrics of one hyperparameter combination.
+ * @param {ee.FeatureCollection} foldResults - Results of `evaluateFold`.
+ * @returns {ee.Feature} Parameters, fold means of the rates, pooled counts
+ *     and the standard deviation of overall accuracy and kappa across folds.
+ */
+var summariseFolds = function(foldResults) {
+  var first = ee.Feature(foldResults.first());
+  var stats = first.toDictionary([
+    'eco_zone', 'iteration', 'class1_target', 'class2_target', 'class3_target',
+    'num_trees', 'min_leaf_pop', 'bag_frac', 'split_vars', 'search_round', 'resource'
+  ].concat(balancing.SETTING_COLUMNS));
+  return ee.Feature(null, stats.combine(metrics.summariseFolds(foldResults)).combine({
+    'cv_strategy': CV_OPTIONS.strategy,
+    'num_folds': foldResults.size(),
+    'overall_accuracy_sd': foldResults.aggregate_total_sd('overall_accuracy'),
+    'kappa_sd': foldResults.aggregate_total_sd('kappa')
+  }));
+};
+
 // -------------------------------
-// 6. EXECUTE GRID SEARCH & EXPORT
+// 6. EXECUTE HYPERPARAMETER SEARCH & EXPORT
 // -------------------------------
 
-print('Starting grid search evaluation...');
-var sequence = ee.List.sequence(0, allCombinations.size().subtract(1));
-var results = ee.FeatureCollection(
-  sequence.map(function(iteration) {
-    iteration = ee.Number(iteration);
-    var combination = allCombinations.get(iteration);
-    return evaluateParams(combination, iteration);
-  })
-);
+/**
+ * Evaluates a batch of combinations on every fold.
+ * @param {Array<ee.Dictionary>} combinations - Results of `toCombination`.
+ * @param {Number} firstIteration - Iteration number of the first combination.
+ * @returns {Object} {foldMetrics, results} FeatureCollections.
+ */
+var evaluateBatch = function(combinations, firstIteration) {
+  var combinationList = ee.List(combinations);
+  var sequence = ee.List.sequence(firstIteration, firstIteration + combinations.length - 1);
+  var foldMetrics = ee.FeatureCollection(
+    sequence.map(function(iteration) {
+      iteration = ee.Number(iteration);
+      var combination = combinationList.get(iteration.subtract(firstIteration));
+      return ee.FeatureCollection(foldIds.map(function(fold) {
+        return evaluateFold(combination, iteration, fold);
+      }));
+    })
+  ).flatten();
+  var results = ee.FeatureCollection(
+    sequence.map(function(iteration) {
+      return summariseFolds(foldMetrics.filter(ee.Filter.eq('iteration', iteration)));
+    })
+  );
+  return {foldMetrics: foldMetrics, results: results};
+};
+
+print('Starting hyperparameter search...');
+var search = hyperparamSearch.create({
+  method: SEARCH_OPTIONS.method,
+  budget: SEARCH_OPTIONS.method === 'grid' ? undefined : SEARCH_OPTIONS.budget,
+  seed: SEARCH_OPTIONS.seed,
+  space: SEARCH_SPACE,
+  grid: gridConfigs
+});
+
+var batchResults = [];
+var batchFoldMetrics = [];
+var nextIteration = 0;
+var batch;
+while ((batch = search.next()).length > 0) {
+  var evaluated = evaluateBatch(batch.map(toCombination), nextIteration);
+  nextIteration += batch.length;
+  batchResults.push(evaluated.results);
+  batchFoldMetrics.push(evaluated.foldMetrics);
+  if (search.adaptive) {
+    // Adaptive methods need this round's scores before proposing the next one.
+    print('Search round ' + batch[0].round + ': ' + batch.length + ' combination(s), resource ' +
+          batch[0].resource.toFixed(2));
+    search.report(evaluated.results.aggregate_array(SELECTION_OPTIONS.objective).getInfo());
+  }
+}
+print('Total parameter combinations evaluated:', nextIteration);
+
+var searchTrace = ee.FeatureCollection(batchResults).flatten();
+var foldMetrics = ee.FeatureCollection(batchFoldMetrics).flatten();
+// Only full-sample evaluations enter the results table (successive halving
+// also evaluates on sample shares).
+var results = searchTrace.filter(ee.Filter.gte('resource', 1));
 
 print('Parameter optimization results sample:', results.limit(5));
 
 // Export the full results table for analysis.
 Export.table.toDrive({
   collection: results,
-  description: 'Full_Hyperparam_Optimization_E' + ECO_ZONE_ID,
+  description: 'Full_Hyperparam_Optimization_E' + ecoregion.id,
   fileFormat: 'CSV',
   folder: 'GEE_Exports',
   selectors: [
     'eco_zone', 'iteration', 
     'class1_target', 'class2_target', 'class3_target',
-    'num_trees', 'min_leaf_pop', 'bag_frac', 'split_vars',
-    'overall_accuracy', 'kappa',
-    'recall_0', 'recall_1', 'recall_2', 'recall_3'
-  ]
+    'num_trees', 'min_leaf_pop', 'bag_frac', 'split_vars'
+  ].concat(metrics.METRIC_COLUMNS, [
+    'cv_strategy', 'num_folds', 'overall_accuracy_sd', 'kappa_sd'
+  ], balancing.SETTING_COLUMNS)
 });
 
+// Export every evaluation of the search, including low-fidelity rounds.
+if (search.adaptive) {
+  Export.table.toDrive({
+    collection: searchTrace,
+    description: 'Hyperparam_Search_Trace_E' + ecoregion.id,
+    fileFormat: 'CSV',
+    folder: 'GEE_Exports',
+    selectors: [
+      'eco_zone', 'iteration', 'search_round', 'resource',
+      'class1_target', 'class2_target', 'class3_target',
+      'num_trees', 'min_leaf_pop', 'bag_frac', 'split_vars'
+    ].concat(metrics.RATE_COLUMNS)
+  });
+}
+
+// Export the per-fold metrics behind the fold means above.
+Export.table.toDrive({
+  collection: foldMetrics,
+  description: 'Fold_Metrics_E' + ecoregion.id,
+  fileFormat: 'CSV',
+  folder: 'GEE_Exports',
+  selectors: [
+    'eco_zone', 'iteration', 'fold', 'search_round', 'resource', 'n_train', 'n_test'
+  ].concat(metrics.METRIC_COLUMNS, balancing.STAT_COLUMNS)
+});
+
+// -------------------------------
+// 7. BEST-MODEL SELECTION & MODEL EXPORT
+// -------------------------------
+
+var candidateAsset = modelSelection.candidateAssetId(ecoregion, SELECTION_OPTIONS.version);
+
+if (SELECTION_OPTIONS.stage === 'export') {
+  var best = modelSelection.selectBest(results, SELECTION_OPTIONS.objective);
+  print('Best combination (' + SELECTION_OPTIONS.objective + '):', best);
+
+  // 7.1 Retrain the winner on the full sample set, balanced as in the search.
+  var finalBalanced = balancing.balance(completeSamples, {
+    strategy: BALANCE_OPTIONS.strategy,
+    targetSizes: ee.List([
+      best.get('class1_target'), best.get('class2_target'), best.get('class3_target')
+    ]),
+    stableRatio: BALANCE_OPTIONS.stableRatio,
+    maxWeight: BALANCE_OPTIONS.maxWeight,
+    inputProperties: featureResolution.canonical,
+    seed: SEARCH_OPTIONS.seed
+  });
+  var finalModel = ee.Classifier.smileRandomForest({
+    numberOfTrees: best.getNumber('num_trees'),
+    minLeafPopulation: best.getNumber('min_leaf_pop'),
+    variablesPerSplit: best.getNumber('split_vars'),
+    bagFraction: best.getNumber('bag_frac')
+  }).train({
+    features: finalBalanced.collection,
+    classProperty: 'label',
+    inputProperties: optimalFeatures
+  });
+
+  // 7.2 Export the model and its training settings.
+  var settings = modelSelection.modelSettings(best, {
+    ecoregionId: ecoregion.id,
+    features: featureResolution.canonical,
+    classes: finalBalanced.collection.aggregate_array('label').distinct().sort(),
+    featureSettings: sampleFeatureSettings,
+    searchMethod: SEARCH_OPTIONS.method,
+    seed: SEARCH_OPTIONS.seed,
+    trainingSize: completeSamples.size()
+  }).combine(finalBalanced.stats);
+  Export.classifier.toAsset(finalModel, candidateAsset.split('/').pop(), candidateAsset);
+  Export.table.toAsset(modelSelection.getSettingsExportOptions(best, settings, candidateAsset));
+  print('Candidate model asset:', candidateAsset);
+  print('After both asset exports have completed, re-run with SELECTION_OPTIONS.stage = \'tag\'.');
+} else if (SELECTION_OPTIONS.stage === 'tag') {
+  print('Candidate model properties set:', modelSelection.tagModel(candidateAsset));
+} else if (SELECTION_OPTIONS.stage === 'promote') {
+  print('Promoted ' + candidateAsset + ' to ' + ecoregion.modelAsset + ':',
+        modelSelection.promoteModel(candidateAsset, ecoregion));
+} else if (SELECTION_OPTIONS.stage !== 'none') {
+  throw new Error('Unknown selection stage "' + SELECTION_OPTIONS.stage +
+                  '"; use export, tag, promote or none.');
+}
+
 print('===================================');
-print('Export task initiated.');
+print('Export tasks initiated.');
 print('Check the "Tasks" tab to run the export to Google Drive.');
 print('===================================');
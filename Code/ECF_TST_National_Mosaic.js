@@ -0,0 +1,90 @@
+/**
+ * =================================================================================
+ * ECF-TST Framework: National FCL Mosaic
+ * =================================================================================
+ *
+ * Purpose: This script assembles the per-ecoregion annual FCL maps into the
+ * national product: one mosaic per year and a single multi-year stack with a
+ * Hansen-style loss-year band for the release.
+ *
+ * Corresponding Manuscript Sections:
+ * - 2.3.2 "Ecoregion-Specific Model Training, Optimization, and FCL Mapping"
+ *
+ * Workflow:
+ * 1. Loads the 35 ecoregion maps of each year (exported to assets by
+ *    `ECF_TST_Annual_FCL_Mapping.js` or `run_batch.js --destination asset`).
+ * 2. Mosaics them with the seam priority rule documented in
+ *    `Code/modules/fcl_mosaic.js` (ownership, then loss over stable, then the
+ *    lower ecoregion ID; boundary gaps are filled from neighbouring maps).
+ * 3. Derives 'lossyear' (first loss year - 2000) and 'losstype' and stacks them
+ *    with the annual labels.
+ * 4. Exports the stack (and optionally the annual mosaics) to the catalogue's
+ *    'national' asset folder.
+ *
+ * Key Notes:
+ * - All ecoregion/year maps of the release must exist before running this
+ *   script; a missing asset makes the export task fail.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 0. DEPENDENCIES
+// -------------------------------
+
+var mosaic = require('users/ldf160107/ECF-TST:Code/modules/fcl_mosaic.js');
+
+// -------------------------------
+// 1. USER CONFIGURATION
+// -------------------------------
+var START_YEAR = 2001;        // First loss year of the release.
+var END_YEAR = 2024;          // Last loss year of the release.
+var EXPORT_ANNUAL = false;    // Also export one national mosaic per year.
+var GAP_BUFFER_METERS = mosaic.DEFAULT_GAP_BUFFER; // 0 disables gap filling.
+
+print('===================================');
+print('ECF-TST National FCL Mosaic');
+print('Release years:', START_YEAR + '-' + END_YEAR);
+print('===================================');
+
+// -------------------------------
+// 2. MOSAICKING
+// -------------------------------
+
+var options = {gapBufferMeters: GAP_BUFFER_METERS};
+var stack = mosaic.buildLossStack(START_YEAR, END_YEAR, options);
+var stackName = mosaic.exportDescription(START_YEAR, END_YEAR);
+
+print('Stack bands:', stack.bandNames());
+
+// -------------------------------
+// 3. EXPORT RESULTS
+// -------------------------------
+
+print('Preparing export task:', stackName);
+Export.image.toAsset(mosaic.getExportOptions(stack, stackName));
+
+if (EXPORT_ANNUAL) {
+  for (var year = START_YEAR; year <= END_YEAR; year++) {
+    var name = mosaic.exportDescription(year);
+    Export.image.toAsset(mosaic.getExportOptions(
+      mosaic.buildNationalMosaic(year, options), name));
+  }
+}
+
+// -------------------------------
+// 4. VISUALIZATION (Optional)
+// -------------------------------
+
+Map.setCenter(105, 35, 4);
+Map.addLayer(stack.select('lossyear').selfMask(), {
+  min: 1,
+  max: END_YEAR - mosaic.LOSSYEAR_BASE,
+  palette: ['yellow', 'orange', 'red']
+}, 'Loss Year');
+Map.addLayer(mosaic.buildNationalMosaic(END_YEAR, options).select('ecoregion_id').randomVisualizer(),
+             {}, 'Source Ecoregion (' + END_YEAR + ')', false);
+
+print('===================================');
+print('Please run the export tasks from the "Tasks" tab.');
+print('===================================');
@@ -0,0 +1,120 @@
+/**
+ * =================================================================================
+ * ECF-TST Framework: Training-Sample Extraction
+ * =================================================================================
+ *
+ * Purpose: This script builds the training-sample tables of the selected
+ * ecoregions from raw labelled points. Every point is sampled from the exact
+ * feature image the mapping script builds for the point's year, so training
+ * and inference features match.
+ *
+ * Corresponding Manuscript Section: 2.2.1 (samples) and 2.2.2 "Multidimensional
+ * Feature Dataset".
+ *
+ * Workflow:
+ * 1. Loads the raw points (POINTS_ASSET): point geometry, year and label
+ *    (0:Stable, 1-3:FCL sub-types).
+ * 2. Keeps the points inside each ecoregion and samples the feature stack of
+ *    each point's year (Code/modules/sampling.js).
+ * 3. Exports one sample table asset per ecoregion (`Samples_E<id>` in the
+ *    catalogue's 'samples' folder) and optionally a CSV copy.
+ *
+ * Key Notes:
+ * - FEATURES = null extracts every registered feature (needed by
+ *   ECF_TST_Feature_Elimination.js); a list restricts the table to a subset.
+ * - Composites use the ecoregion's `compositeSeason`, the mapping pipeline's
+ *   default method and FUSION, as in the mapping script. Keep FUSION, MASK_MODE,
+ *   CLIMATE and DEM equal to the mapping run of the models trained on these
+ *   tables: the tables record them, models trained on them record them too
+ *   and the mapping script refuses a run with other options. Cached composites (ECF_TST_Composite_Cache.js) are read where
+ *   present.
+ * - Set SAMPLE_SOURCE = 'extracted' in the training script to train on these
+ *   tables instead of the legacy `E1..E35` assets.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 0. DEPENDENCIES
+// -------------------------------
+
+var sampling = require('users/ldf160107/ECF-TST:Code/modules/sampling.js');
+var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. USER CONFIGURATION
+// -------------------------------
+var POINTS_ASSET = '';         // Raw labelled points (table asset).
+var ECOREGION_IDS = [1];       // IDs (1 to 35) or codes (e.g. 'I01').
+
+var POINT_PROPERTIES = {
+  year: 'year',
+  label: 'label'
+};
+
+// Years to extract; null uses the distinct point years (one getInfo call).
+var YEARS = null;
+
+// Features to extract; null extracts every registered feature.
+var FEATURES = null;
+
+// Sentinel-2 fusion, as FUSION in the mapping script (see compositing.js).
+var FUSION = {source: 'none', resampling: 'aggregate'};
+
+// Forest mask mode of each point's year, as MASK_MODE in the mapping script
+// (see forest_baseline.js).
+var MASK_MODE = 'baseline_2000';
+
+// Climate feature options, as CLIMATE in the mapping script (see features.js).
+var CLIMATE = {temperature: 'skin_temperature', baselineStart: 1990, baselineEnd: 2020};
+
+// DEM of the terrain features, as DEM in the mapping script (see terrain.js).
+var DEM = 'srtm';
+
+// Also export each table as CSV to Google Drive.
+var EXPORT_CSV = false;
+
+if (!POINTS_ASSET) throw new Error('Set POINTS_ASSET to the raw labelled points.');
+var points = ee.FeatureCollection(POINTS_ASSET);
+
+print('===================================');
+print('ECF-TST Training-Sample Extraction');
+print('Points:', POINTS_ASSET);
+print('Ecoregions:', ECOREGION_IDS);
+print('===================================');
+
+// -------------------------------
+// 2. EXTRACTION PER ECOREGION
+// -------------------------------
+
+ECOREGION_IDS.forEach(function(key) {
+  var ecoregion = catalogue.get(key);
+  var aoi = catalogue.loadGeometry(ecoregion);
+  var samples = sampling.extractSamples(points.filterBounds(aoi.geometry()), aoi, {
+    years: YEARS,
+    features: FEATURES,
+    yearProperty: POINT_PROPERTIES.year,
+    labelProperty: POINT_PROPERTIES.label,
+    ecoregionId: ecoregion.id,
+    maskMode: MASK_MODE,
+    composite: pipeline.compositeOptions(ecoregion, null, FUSION),
+    climate: CLIMATE,
+    dem: DEM
+  });
+
+  Export.table.toAsset(sampling.getAssetExportOptions(samples, ecoregion));
+  if (EXPORT_CSV) {
+    Export.table.toDrive({
+      collection: samples,
+      description: 'Samples_E' + ecoregion.id + '_CSV',
+      fileFormat: 'CSV',
+      folder: 'GEE_Exports'
+    });
+  }
+  print('Ecoregion ' + ecoregion.code + ':', sampling.sampleAssetId(ecoregion));
+});
+
+print('===================================');
+print('Please run the export tasks from the "Tasks" tab.');
+print('===================================');
@@ -0,0 +1,293 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Stratified Area Estimation
+ * =================================================================================
+ *
+ * Purpose: Good-practice (Olofsson et al., 2014) accuracy assessment and area
+ * estimation of an FCL map. The map classes 0-3 are the strata:
+ * 1. `drawSample` draws a stratified random validation sample to be labelled
+ *    by an interpreter ('ref_class').
+ * 2. `estimateArea` turns the labelled sample and the mapped stratum areas into
+ *    error-adjusted areas, user's/producer's/overall accuracy and 95%
+ *    confidence intervals.
+ *
+ * Usage:
+ *   var area = require('users/ldf160107/ECF-TST:Code/modules/area_estimation.js');
+ *   var strata = area.strataAreas(map, aoi);
+ *   var sample = area.drawSample(map, aoi, strata, {total: 600, minPerClass: 100});
+ *   // ... label the sample, import it as an asset, then:
+ *   var table = area.estimateArea(ee.FeatureCollection(refAsset), strata);
+ *
+ * Allocation methods ('allocation' option of `drawSample`):
+ * - 'proportional' (default): n_h = total * A_h / A, but at least
+ *   `minPerClass` points per stratum, so rare loss classes are sampled.
+ * - 'equal': total / 4 points per stratum.
+ * - 'fixed': `classPoints` gives the count of each stratum [n0, n1, n2, n3].
+ *
+ * Key Notes:
+ * - `map` is an FCL label image ('prediction', 0-3) masked outside the forest,
+ *   e.g. `fcl_pipeline.buildFclMap(...).smoothed` or an exported map. Stratum
+ *   areas come from `ee.Image.pixelArea()`.
+ * - Strata without sample points get no accuracy estimate (null) and add
+ *   nothing to the adjusted areas; use `minPerClass` so every non-empty
+ *   stratum is sampled.
+ * - Reference:
+ *   Olofsson, P., Foody, G. M., Herold, M., et al. (2014). Good practices for
+ *   estimating area and assessing accuracy of land change. Remote Sensing of
+ *   Environment, 148, 42-57.
+ *
+ * =================================================================================
+ */
+
+var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var STRATA = pipeline.CLASS_VALUES;        // 0:Stable, 1-3: FCL sub-types
+var ALLOCATIONS = ['proportional', 'equal', 'fixed'];
+var Z_95 = 1.96;
+var M2_PER_KM2 = 1e6;
+
+var SAMPLE_FOLDER = 'GEE_FCL_Validation'; // Google Drive folder
+
+// Columns of the interpretation sheet and of the estimation table.
+var SAMPLE_COLUMNS = ['point_id', 'eco_region_id', 'year', 'map_class', 'ref_class',
+                      'longitude', 'latitude'];
+var ESTIMATE_COLUMNS = ['eco_region_id', 'year', 'class', 'sample_count',
+                        'mapped_area_km2', 'adjusted_area_km2', 'adjusted_area_ci_km2',
+                        'users_accuracy', 'users_accuracy_ci',
+                        'producers_accuracy', 'producers_accuracy_ci',
+                        'overall_accuracy', 'overall_accuracy_ci'];
+
+// -------------------------------
+// 2. SAMPLING
+// -------------------------------
+
+/**
+ * Mapped area of each stratum.
+ * @param {ee.Image} map - FCL label image (first band is used).
+ * @param {ee.Geometry|ee.FeatureCollection} region - Area of interest.
+ * @returns {ee.Dictionary} Class value ('0'-'3') -> area in m².
+ */
+function strataAreas(map, region) {
+  var label = map.select([0], ['map_class']).toInt();
+  var groups = ee.List(ee.Image.pixelArea().addBands(label).reduceRegion({
+    reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'map_class'}),
+    geometry: region,
+    scale: pipeline.EXPORT_SCALE,
+    crs: pipeline.EXPORT_CRS,
+    maxPixels: 1e13,
+    tileScale: 4
+  }).get('groups'));
+
+  // Start from zero so absent strata still have an entry.
+  var empty = ee.Dictionary.fromLists(STRATA.map(String), STRATA.map(function() { return 0; }));
+  return ee.Dictionary(groups.iterate(function(group, acc) {
+    group = ee.Dictionary(group);
+    return ee.Dictionary(acc).set(ee.Number(group.get('map_class')).format('%d'), group.get('sum'));
+  }, empty));
+}
+
+/**
+ * Number of sample points per stratum.
+ * @param {ee.Dictionary} areas - Result of `strataAreas`.
+ * @param {Object} options - See `drawSample`.
+ * @returns {ee.List} Points per stratum, in STRATA order.
+ */
+function allocate(areas, options) {
+  var method = options.allocation || 'proportional';
+  if (ALLOCATIONS.indexOf(method) < 0) {
+    throw new Error('Unknown allocation "' + method + '"; use ' + ALLOCATIONS.join(', ') + '.');
+  }
+  if (method === 'fixed') {
+    if (!options.classPoints || options.classPoints.length !== STRATA.length) {
+      throw new Error('Fixed allocation needs classPoints with ' + STRATA.length + ' counts.');
+    }
+    return ee.List(options.classPoints);
+  }
+  if (!options.total) throw new Error('Allocation "' + method + '" needs a total sample size.');
+  if (method === 'equal') {
+    return ee.List(STRATA.map(function() { return Math.round(options.total / STRATA.length); }));
+  }
+  var totalArea = ee.Number(areas.values().reduce(ee.Reducer.sum()));
+  var minPerClass = options.minPerClass || 0;
+  return ee.List(STRATA.map(function(k) {
+    var share = ee.Number(areas.get(String(k))).divide(totalArea.max(1));
+    return share.multiply(options.total).round().max(minPerClass);
+  }));
+}
+
+/**
+ * Draws a stratified random validation sample from an FCL map.
+ * @param {ee.Image} map - FCL label image (first band is used as stratum).
+ * @param {ee.Geometry|ee.FeatureCollection} region - Area of interest.
+ * @param {ee.Dictionary} areas - Result of `strataAreas` for the same map/region.
+ * @param {Object} options
+ * @param {String} [options.allocation='proportional'] - See ALLOCATIONS.
+ * @param {Number} [options.total] - Total sample size (proportional, equal).
+ * @param {Number} [options.minPerClass=0] - Floor per stratum (proportional).
+ * @param {Array<Number>} [options.classPoints] - Points per stratum (fixed).
+ * @param {Number} [options.seed=42] - Random seed.
+ * @param {Number} [options.ecoregionId] - Stamped as 'eco_region_id'.
+ * @param {Number} [options.year] - Stamped as 'year'.
+ * @returns {ee.FeatureCollection} Points with SAMPLE_COLUMNS; 'ref_class' is -1
+ *     until interpreted.
+ */
+function drawSample(map, region, areas, options) {
+  var label = map.select([0], ['map_class']).toInt();
+  var geometry = region instanceof ee.FeatureCollection ? region.geometry() : region;
+  var points = label.stratifiedSample({
+    numPoints: 0,
+    classBand: 'map_class',
+    region: geometry,
+    scale: pipeline.EXPORT_SCALE,
+    projection: pipeline.EXPORT_CRS,
+    seed: options.seed !== undefined ? options.seed : 42,
+    classValues: STRATA,
+    classPoints: allocate(areas, options),
+    geometries: true,
+    tileScale: 4
+  });
+  return points.map(function(point) {
+    var coords = point.geometry().coordinates();
+    return point.set({
+      'point_id': point.id(),
+      'eco_region_id': options.ecoregionId !== undefined ? options.ecoregionId : -1,
+      'year': options.year !== undefined ? options.year : -1,
+      'ref_class': -1,
+      'longitude': coords.get(0),
+      'latitude': coords.get(1)
+    });
+  });
+}
+
+// -------------------------------
+// 3. ESTIMATION
+// -------------------------------
+
+/**
+ * Error-adjusted area and accuracy with 95% confidence intervals.
+ * Notation (Olofsson et al., 2014): i = map stratum, j = reference class,
+ * n_ij = sample counts, W_i = stratum area share, A = total area.
+ * @param {ee.FeatureCollection} reference - Interpreted sample (points with
+ *     'map_class' and 'ref_class'; points with ref_class < 0 are ignored).
+ * @param {ee.Dictionary} areas - Result of `strataAreas` for the sampled map.
+ * @param {Object} [options]
+ * @param {Number} [options.ecoregionId] - Stamped as 'eco_region_id'.
+ * @param {Number} [options.year] - Stamped as 'year'.
+ * @returns {ee.FeatureCollection} One row per class (ESTIMATE_COLUMNS).
+ */
+function estimateArea(reference, areas, options) {
+  options = options || {};
+  var K = STRATA.length;
+  var labelled = reference.filter(ee.Filter.gte('ref_class', 0));
+
+  // counts.get([j, i]): reference class j (rows), map class i (columns).
+  var counts = labelled.errorMatrix('ref_class', 'map_class', STRATA).array();
+  var n = function(i, j) { return ee.Number(counts.get([j, i])); };
+
+  var totalArea = ee.Number(areas.values().reduce(ee.Reducer.sum()));
+  var A = [], W = [], nRow = [];
+  for (var i = 0; i < K; i++) {
+    A[i] = ee.Number(areas.get(String(STRATA[i])));
+    W[i] = A[i].divide(totalArea.max(1));
+    var rowSum = ee.Number(0);
+    for (var j = 0; j < K; j++) rowSum = rowSum.add(n(i, j));
+    nRow[i] = rowSum;
+  }
+  // Share of map stratum i with reference class j, and its sampling variance.
+  var q = function(i, j) { return n(i, j).divide(nRow[i].max(1)); };
+  var qVar = function(i, j) {
+    return q(i, j).multiply(ee.Number(1).subtract(q(i, j))).divide(nRow[i].subtract(1).max(1));
+  };
+
+  // Estimated area proportions p_ij = W_i * n_ij / n_i.
+  var pCol = [];
+  for (var j2 = 0; j2 < K; j2++) {
+    var col = ee.Number(0);
+    for (var i2 = 0; i2 < K; i2++) col = col.add(W[i2].multiply(q(i2, j2)));
+    pCol[j2] = col;
+  }
+
+  var overall = ee.Number(0), overallVar = ee.Number(0);
+  for (var i3 = 0; i3 < K; i3++) {
+    overall = overall.add(W[i3].multiply(q(i3, i3)));
+    overallVar = overallVar.add(W[i3].pow(2).multiply(qVar(i3, i3)));
+  }
+
+  var rows = STRATA.map(function(k, c) {
+    // Adjusted area of reference class c and its standard error.
+    var propVar = ee.Number(0);
+    for (var i = 0; i < K; i++) propVar = propVar.add(W[i].pow(2).multiply(qVar(i, c)));
+
+    // User's accuracy of map stratum c.
+    var ua = q(c, c);
+    var uaVar = qVar(c, c);
+
+    // Producer's accuracy of reference class c (eq. 7 of Olofsson et al., 2014).
+    var pa = W[c].multiply(q(c, c)).divide(pCol[c].max(1e-12));
+    var nHatCol = pCol[c].multiply(totalArea);
+    var other = ee.Number(0);
+    for (var i4 = 0; i4 < K; i4++) {
+      if (i4 !== c) other = other.add(A[i4].pow(2).multiply(qVar(i4, c)));
+    }
+    var paVar = A[c].pow(2).multiply(ee.Number(1).subtract(pa).pow(2)).multiply(uaVar)
+      .add(pa.pow(2).multiply(other))
+      .divide(nHatCol.pow(2).max(1));
+
+    var sampled = nRow[c].gt(0);
+    return ee.Feature(null, {
+      'eco_region_id': options.ecoregionId !== undefined ? options.ecoregionId : -1,
+      'year': options.year !== undefined ? options.year : -1,
+      'class': k,
+      'sample_count': nRow[c],
+      'mapped_area_km2': A[c].divide(M2_PER_KM2),
+      'adjusted_area_km2': pCol[c].multiply(totalArea).divide(M2_PER_KM2),
+      'adjusted_area_ci_km2': propVar.sqrt().multiply(Z_95).multiply(totalArea).divide(M2_PER_KM2),
+      'users_accuracy': ee.Algorithms.If(sampled, ua, null),
+      'users_accuracy_ci': ee.Algorithms.If(sampled, uaVar.sqrt().multiply(Z_95), null),
+      'producers_accuracy': ee.Algorithms.If(pCol[c].gt(0), pa, null),
+      'producers_accuracy_ci': ee.Algorithms.If(pCol[c].gt(0), paVar.sqrt().multiply(Z_95), null),
+      'overall_accuracy': overall,
+      'overall_accuracy_ci': overallVar.sqrt().multiply(Z_95)
+    });
+  });
+  return ee.FeatureCollection(rows);
+}
+
+// -------------------------------
+// 4. EXPORT
+// -------------------------------
+
+/**
+ * Returns the `Export.table.toDrive` parameters for a sample or estimate table.
+ * @param {ee.FeatureCollection} table - Result of `drawSample` or `estimateArea`.
+ * @param {String} description - Task and file name.
+ * @param {Array<String>} selectors - SAMPLE_COLUMNS or ESTIMATE_COLUMNS.
+ * @returns {Object} Export parameters.
+ */
+function getExportOptions(table, description, selectors) {
+  return {
+    collection: table,
+    description: description,
+    folder: SAMPLE_FOLDER,
+    fileNamePrefix: description,
+    fileFormat: 'CSV',
+    selectors: selectors
+  };
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.ALLOCATIONS = ALLOCATIONS;
+exports.SAMPLE_COLUMNS = SAMPLE_COLUMNS;
+exports.ESTIMATE_COLUMNS = ESTIMATE_COLUMNS;
+exports.strataAreas = strataAreas;
+exports.allocate = allocate;
+exports.drawSample = drawSample;
+exports.estimateArea = estimateArea;
+exports.getExportOptions = getExportOptions;
@@ -0,0 +1,263 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Class Balancing Strategies
+ * =================================================================================
+ *
+ * Purpose: Balances the FCL training samples (0:Stable, 1-3:FCL sub-types)
+ * before Random Forest training in `ECF_TST_Model_Training_and_Optimization.js`.
+ * Loss classes are rare compared with Stable, so each strategy below enlarges
+ * the loss classes or shrinks the Stable class.
+ *
+ * Usage:
+ *   var balancing = require('users/ldf160107/ECF-TST:Code/modules/class_balancing.js');
+ *   var balanced = balancing.balance(training, {
+ *     strategy: 'oversample', targetSizes: [500, 500, 700], seed: 1
+ *   });
+ *   // balanced.collection -> training set; balanced.settings / balanced.stats
+ *   // -> columns of the exported results (SETTING_COLUMNS / STAT_COLUMNS)
+ *
+ * Strategies:
+ * - 'oversample' (default): random oversampling of classes 1-3 up to
+ *   `targetSizes` (the original ECF-TST procedure).
+ * - 'undersample': random undersampling of the Stable class 0 to
+ *   `stableTarget` samples, or to `stableRatio` times the largest loss class.
+ * - 'class_weights': inverse-frequency class weights. `smileRandomForest`
+ *   accepts no sample weights, so each sample of class c is replicated
+ *   round(n_max / n_c) times (capped at `maxWeight`).
+ * - 'smote': SMOTE-like synthetic samples for classes 1-3 up to `targetSizes`.
+ *   Each synthetic sample interpolates the `inputProperties` of a sample and
+ *   a random partner of the same class at a quasi-random gap in [0, 1).
+ *
+ * Key Notes:
+ * - Classes absent from the training set are skipped (no division by a
+ *   zero class size); the recorded class counts show the gap.
+ * - `settings` records the strategy and its parameters (SETTING_COLUMNS);
+ *   `stats` records what balancing did to a given training set: the class
+ *   counts after balancing and the class weights (STAT_COLUMNS). Parameters
+ *   that do not apply to the strategy are -1, so every strategy exports the
+ *   same columns. The class targets of 'oversample'/'smote' are recorded by
+ *   the caller ('class1_target'..'class3_target').
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var STRATEGIES = ['oversample', 'undersample', 'class_weights', 'smote'];
+var CLASS_VALUES = [0, 1, 2, 3];
+var LOSS_CLASSES = [1, 2, 3];
+
+var DEFAULT_STABLE_RATIO = 1;
+var DEFAULT_MAX_WEIGHT = 20;
+var GOLDEN_RATIO = 0.6180339887; // Low-discrepancy sequence of SMOTE gaps.
+var NOT_APPLICABLE = -1;
+
+// Result columns written by `balance`.
+var SETTING_COLUMNS = ['balance_strategy', 'stable_target', 'stable_ratio', 'max_weight'];
+var STAT_COLUMNS = CLASS_VALUES.map(function(c) { return 'n_balanced_' + c; })
+  .concat(CLASS_VALUES.map(function(c) { return 'weight_' + c; }));
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Whether a strategy uses the per-class `targetSizes`.
+ * @param {String} strategy - Strategy name.
+ * @returns {Boolean}
+ */
+function usesTargetSizes(strategy) {
+  return strategy === 'oversample' || strategy === 'smote';
+}
+
+/**
+ * Counts samples per class; absent classes count 0.
+ * @param {ee.FeatureCollection} samples - Samples with 'label'.
+ * @returns {ee.Dictionary} Class value ('0'-'3') -> count.
+ */
+function classCounts(samples) {
+  var histogram = ee.Dictionary(samples.reduceColumns({
+    reducer: ee.Reducer.frequencyHistogram(),
+    selectors: ['label']
+  }).get('histogram'));
+  var counts = {};
+  CLASS_VALUES.forEach(function(c) {
+    counts[String(c)] = ee.Number(histogram.get(String(c), 0));
+  });
+  return ee.Dictionary(counts);
+}
+
+/**
+ * Random oversampling of one class to a target size.
+ * @param {ee.FeatureCollection} classSamples - Samples of a single class.
+ * @param {ee.Number} targetSize - Desired class size.
+ * @param {Number|ee.Number} seed - Random seed.
+ * @returns {ee.FeatureCollection} Original plus duplicated samples.
+ */
+function oversampleClass(classSamples, targetSize, seed) {
+  var size = classSamples.size();
+  var overSize = ee.Number(targetSize).subtract(size).max(0).round();
+  // Repeat the class until it can supply `overSize` duplicates.
+  var copies = overSize.divide(size.max(1)).ceil();
+  var pool = ee.FeatureCollection(ee.List.sequence(1, copies.max(1)).map(function(k) {
+    return classSamples.randomColumn('oversample', ee.Number(seed).add(k));
+  })).flatten();
+  var overSampled = ee.Algorithms.If(
+    overSize.gt(0).and(size.gt(0)),
+    pool.limit(overSize, 'oversample', true),
+    ee.FeatureCollection([])
+  );
+  return classSamples.merge(ee.FeatureCollection(overSampled));
+}
+
+/**
+ * Replicates every sample of a class `weight` times.
+ * @param {ee.FeatureCollection} classSamples - Samples of a single class.
+ * @param {ee.Number} weight - Integer replication factor (>= 1).
+ * @returns {ee.FeatureCollection} Replicated samples.
+ */
+function replicateClass(classSamples, weight) {
+  return ee.FeatureCollection(ee.List.sequence(1, weight).map(function() {
+    return classSamples;
+  })).flatten();
+}
+
+/**
+ * SMOTE-like synthetic samples for one class.
+ * @param {ee.FeatureCollection} classSamples - Samples of a single class.
+ * @param {Number} classValue - Class label.
+ * @param {ee.Number} targetSize - Desired class size.
+ * @param {Array<String>} inputProperties - Feature properties to interpolate.
+ * @param {Number|ee.Number} seed - Random seed.
+ * @returns {ee.FeatureCollection} Original plus synthetic samples.
+ */
+function smoteClass(classSamples, classValue, targetSize, inputProperties, seed) {
+  var size = classSamples.size();
+  var synthSize = ee.Number(targetSize).subtract(size).max(0).round();
+  var base = classSamples.randomColumn('smote', seed).sort('smote').toList(size.max(1));
+  var partners = classSamples.randomColumn('smote', ee.Number(seed).add(1)).sort('smote')
+    .toList(size.max(1));
+  var offset = ee.Number(seed).multiply(GOLDEN_RATIO).mod(1);
+
+  var synthetic = ee.List.sequence(0, synthSize.subtract(1).max(0)).map(function(i) {
+    i = ee.Number(i);
+    var a = ee.Feature(base.get(i.mod(size)));
+    var b = ee.Feature(partners.get(i.add(1).mod(size)));
+    var gap = i.multiply(GOLDEN_RATIO).add(offset).mod(1);
+    var va = ee.Array(a.toDictionary(inputProperties).values(inputProperties));
+    var vb = ee.Array(b.toDictionary(inputProperties).values(inputProperties));
+    var values = va.add(vb.subtract(va).multiply(gap));
+    return ee.Feature(null, ee.Dictionary.fromLists(inputProperties, values.toList()))
+      .set('label', classValue)
+      .set('synthetic', 1);
+  });
+
+  return ee.FeatureCollection(ee.Algorithms.If(
+    synthSize.gt(0).and(size.gt(0)),
+    classSamples.merge(ee.FeatureCollection(synthetic)),
+    classSamples
+  ));
+}
+
+// -------------------------------
+// 3. BALANCING
+// -------------------------------
+
+/**
+ * Balances a training set with the selected strategy.
+ * @param {ee.FeatureCollection} training - Training samples with 'label'.
+ * @param {Object} options
+ * @param {String} [options.strategy='oversample'] - One of STRATEGIES.
+ * @param {ee.List|Array<Number>} [options.targetSizes] - Target sizes of
+ *     classes 1-3 ('oversample', 'smote').
+ * @param {Number} [options.stableTarget] - Class 0 size ('undersample').
+ * @param {Number} [options.stableRatio=1] - Class 0 size as a multiple of the
+ *     largest loss class, if `stableTarget` is not set ('undersample').
+ * @param {Number} [options.maxWeight=20] - Replication cap ('class_weights').
+ * @param {Array<String>} [options.inputProperties] - Features ('smote').
+ * @param {Number|ee.Number} [options.seed=0] - Random seed.
+ * @returns {Object} {collection: ee.FeatureCollection, settings: Object,
+ *     stats: ee.Dictionary}.
+ */
+function balance(training, options) {
+  var strategy = options.strategy || 'oversample';
+  if (STRATEGIES.indexOf(strategy) < 0) {
+    throw new Error('Unknown balancing strategy "' + strategy + '"; use ' +
+                    STRATEGIES.join(', ') + '.');
+  }
+  if (usesTargetSizes(strategy) && !options.targetSizes) {
+    throw new Error('Balancing strategy "' + strategy + '" needs targetSizes.');
+  }
+  if (strategy === 'smote' && !options.inputProperties) {
+    throw new Error('Balancing strategy "smote" needs inputProperties.');
+  }
+  var seed = options.seed !== undefined ? options.seed : 0;
+  var counts = classCounts(training);
+  var byClass = function(c) { return training.filter(ee.Filter.eq('label', c)); };
+  var settings = {
+    'balance_strategy': strategy,
+    'stable_target': NOT_APPLICABLE,
+    'stable_ratio': NOT_APPLICABLE,
+    'max_weight': NOT_APPLICABLE
+  };
+  var weights = {};
+  CLASS_VALUES.forEach(function(c) { weights['weight_' + c] = NOT_APPLICABLE; });
+  var balanced;
+
+  if (strategy === 'oversample' || strategy === 'smote') {
+    var targetSizes = ee.List(options.targetSizes);
+    balanced = byClass(0);
+    LOSS_CLASSES.forEach(function(c, i) {
+      var target = targetSizes.getNumber(i);
+      balanced = balanced.merge(strategy === 'smote' ?
+        smoteClass(byClass(c), c, target, options.inputProperties, ee.Number(seed).add(c)) :
+        oversampleClass(byClass(c), target, ee.Number(seed).add(c)));
+    });
+  } else if (strategy === 'undersample') {
+    var stableTarget;
+    if (options.stableTarget !== undefined) {
+      stableTarget = ee.Number(options.stableTarget);
+      settings['stable_target'] = options.stableTarget;
+    } else {
+      var ratio = options.stableRatio || DEFAULT_STABLE_RATIO;
+      var largestLoss = ee.Number(counts.get('1')).max(counts.get('2')).max(counts.get('3'));
+      stableTarget = largestLoss.multiply(ratio).round();
+      settings['stable_ratio'] = ratio;
+    }
+    balanced = byClass(0).randomColumn('undersample', seed)
+      .limit(stableTarget, 'undersample')
+      .merge(training.filter(ee.Filter.neq('label', 0)));
+  } else {
+    var largest = ee.Number(counts.values().reduce(ee.Reducer.max()));
+    var maxWeight = options.maxWeight || DEFAULT_MAX_WEIGHT;
+    settings['max_weight'] = maxWeight;
+    balanced = ee.FeatureCollection([]);
+    CLASS_VALUES.forEach(function(c) {
+      var n = ee.Number(counts.get(String(c)));
+      var weight = largest.divide(n.max(1)).round().max(1).min(maxWeight);
+      balanced = balanced.merge(ee.FeatureCollection(ee.Algorithms.If(
+        n.gt(0), replicateClass(byClass(c), weight), ee.FeatureCollection([]))));
+      weights['weight_' + c] = ee.Algorithms.If(n.gt(0), weight, 0);
+    });
+  }
+
+  var after = classCounts(balanced);
+  var stats = ee.Dictionary(weights);
+  CLASS_VALUES.forEach(function(c) {
+    stats = stats.set('n_balanced_' + c, after.get(String(c)));
+  });
+  return {collection: balanced, settings: settings, stats: stats};
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.STRATEGIES = STRATEGIES;
+exports.SETTING_COLUMNS = SETTING_COLUMNS;
+exports.STAT_COLUMNS = STAT_COLUMNS;
+exports.usesTargetSizes = usesTargetSizes;
+exports.classCounts = classCounts;
+exports.balance = balance;
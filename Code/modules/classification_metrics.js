@@ -0,0 +1,169 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Classification Metrics
+ * =================================================================================
+ *
+ * Purpose: Evaluation metrics of the FCL classifiers (0:Stable, 1-3:FCL
+ * sub-types) for the hyperparameter results of
+ * `ECF_TST_Model_Training_and_Optimization.js`: the label-keyed confusion
+ * matrix and the per-class and summary metrics derived from it.
+ *
+ * Usage:
+ *   var metrics = require('users/ldf160107/ECF-TST:Code/modules/classification_metrics.js');
+ *   var matrix = metrics.confusionMatrix(classifiedTestSet);
+ *   var values = metrics.evaluate(matrix);          // ee.Dictionary, METRIC_COLUMNS
+ *   var summary = metrics.summariseFolds(foldRows); // over several folds
+ *
+ * Columns (k = class value 0-3, r = reference class, p = predicted class):
+ * - overall_accuracy, kappa.
+ * - recall_k (producer's accuracy), precision_k (consumer's accuracy), f1_k.
+ * - macro_f1 (unweighted mean F1), weighted_f1 (F1 weighted by n_k),
+ *   min_recall (lowest recall_k).
+ * - n_k: reference samples of class k.
+ * - cm_r_p: samples of reference class r predicted as p.
+ *
+ * Key Notes:
+ * - Every column is keyed by class value, never by position, so it means the
+ *   same whether or not a class occurs in the test set.
+ * - recall_k and f1_k are -1 (not applicable) when class k has no reference
+ *   samples; precision_k is -1 when no sample was predicted as k. The
+ *   summaries (macro_f1, weighted_f1, min_recall) cover the classes with
+ *   reference samples; a class that is present but never predicted counts
+ *   with F1 = 0.
+ * - `summariseFolds` averages the applicable values of each rate over the
+ *   folds and sums the counts (n_k, cm_r_p) into the pooled matrix.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var CLASS_VALUES = [0, 1, 2, 3];
+var NOT_APPLICABLE = -1;
+
+var perClass = function(prefix) {
+  return CLASS_VALUES.map(function(k) { return prefix + '_' + k; });
+};
+
+var MATRIX_COLUMNS = [];
+CLASS_VALUES.forEach(function(r) {
+  CLASS_VALUES.forEach(function(p) { MATRIX_COLUMNS.push('cm_' + r + '_' + p); });
+});
+
+// Rates averaged over folds, and counts summed over folds.
+var RATE_COLUMNS = ['overall_accuracy', 'kappa']
+  .concat(perClass('recall'), perClass('precision'), perClass('f1'))
+  .concat(['macro_f1', 'weighted_f1', 'min_recall']);
+var COUNT_COLUMNS = perClass('n').concat(MATRIX_COLUMNS);
+var METRIC_COLUMNS = RATE_COLUMNS.concat(COUNT_COLUMNS);
+
+// -------------------------------
+// 2. CONFUSION MATRIX & METRICS
+// -------------------------------
+
+/**
+ * Builds the confusion matrix with rows and columns in CLASS_VALUES order,
+ * including classes absent from the test set.
+ * @param {ee.FeatureCollection} classified - Test samples with reference and
+ *     predicted labels.
+ * @param {String} [actual='label'] - Reference label property.
+ * @param {String} [predicted='classification'] - Predicted label property.
+ * @returns {ee.ConfusionMatrix} 4x4 matrix (rows: reference).
+ */
+function confusionMatrix(classified, actual, predicted) {
+  return classified.errorMatrix(actual || 'label', predicted || 'classification', CLASS_VALUES);
+}
+
+/**
+ * Derives all METRIC_COLUMNS from a confusion matrix.
+ * @param {ee.ConfusionMatrix} matrix - Result of `confusionMatrix`.
+ * @returns {ee.Dictionary} Metric column -> value.
+ */
+function evaluate(matrix) {
+  var cells = matrix.array();
+  var referenceTotals = cells.reduce(ee.Reducer.sum(), [1]);
+  var mappedTotals = cells.reduce(ee.Reducer.sum(), [0]);
+  var values = ee.Dictionary({
+    'overall_accuracy': matrix.accuracy(),
+    'kappa': matrix.kappa()
+  });
+  var f1Sum = ee.Number(0);
+  var weightedF1Sum = ee.Number(0);
+  var present = ee.Number(0);
+  var total = ee.Number(0);
+  var minRecall = ee.Number(1);
+
+  CLASS_VALUES.forEach(function(k) {
+    var hits = ee.Number(cells.get([k, k]));
+    var reference = ee.Number(referenceTotals.get([k, 0]));
+    var mapped = ee.Number(mappedTotals.get([0, k]));
+    var isPresent = reference.gt(0);
+    var recall = hits.divide(reference.max(1));
+    var precision = hits.divide(mapped.max(1));
+    var f1 = ee.Number(ee.Algorithms.If(
+      precision.add(recall).gt(0),
+      precision.multiply(recall).multiply(2).divide(precision.add(recall)),
+      0
+    ));
+
+    values = values
+      .set('n_' + k, reference)
+      .set('recall_' + k, ee.Algorithms.If(isPresent, recall, NOT_APPLICABLE))
+      .set('precision_' + k, ee.Algorithms.If(mapped.gt(0), precision, NOT_APPLICABLE))
+      .set('f1_' + k, ee.Algorithms.If(isPresent, f1, NOT_APPLICABLE));
+    CLASS_VALUES.forEach(function(p) {
+      values = values.set('cm_' + k + '_' + p, cells.get([k, p]));
+    });
+
+    f1Sum = f1Sum.add(f1.multiply(isPresent));
+    weightedF1Sum = weightedF1Sum.add(f1.multiply(reference));
+    present = present.add(isPresent);
+    total = total.add(reference);
+    minRecall = ee.Number(ee.Algorithms.If(isPresent, minRecall.min(recall), minRecall));
+  });
+
+  return values.combine({
+    'macro_f1': ee.Algorithms.If(present.gt(0), f1Sum.divide(present.max(1)), NOT_APPLICABLE),
+    'weighted_f1': ee.Algorithms.If(total.gt(0), weightedF1Sum.divide(total.max(1)), NOT_APPLICABLE),
+    'min_recall': ee.Algorithms.If(present.gt(0), minRecall, NOT_APPLICABLE)
+  });
+}
+
+// -------------------------------
+// 3. FOLD SUMMARY
+// -------------------------------
+
+/**
+ * Summarises the metrics of several folds: rates are averaged over the folds
+ * where they apply (-1 if none), counts are summed.
+ * @param {ee.FeatureCollection} foldResults - Rows with METRIC_COLUMNS.
+ * @returns {ee.Dictionary} Metric column -> value.
+ */
+function summariseFolds(foldResults) {
+  var summary = ee.Dictionary({});
+  RATE_COLUMNS.forEach(function(column) {
+    var applicable = foldResults.filter(ee.Filter.neq(column, NOT_APPLICABLE));
+    summary = summary.set(column, ee.Algorithms.If(
+      applicable.size().gt(0), applicable.aggregate_mean(column), NOT_APPLICABLE));
+  });
+  COUNT_COLUMNS.forEach(function(column) {
+    summary = summary.set(column, foldResults.aggregate_sum(column));
+  });
+  return summary;
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.CLASS_VALUES = CLASS_VALUES;
+exports.NOT_APPLICABLE = NOT_APPLICABLE;
+exports.RATE_COLUMNS = RATE_COLUMNS;
+exports.COUNT_COLUMNS = COUNT_COLUMNS;
+exports.MATRIX_COLUMNS = MATRIX_COLUMNS;
+exports.METRIC_COLUMNS = METRIC_COLUMNS;
+exports.confusionMatrix = confusionMatrix;
+exports.evaluate = evaluate;
+exports.summariseFolds = summariseFolds;
@@ -0,0 +1,264 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Composite Cache
+ * =================================================================================
+ *
+ * Purpose: Stores each ecoregion's annual SR composites and spectral indices
+ * as images of an ImageCollection asset, so mapping and sampling runs stop
+ * rebuilding every year from 2000. Cached years are read from the asset; only
+ * missing years are built on the fly (compositing.js + features.addIndices).
+ *
+ * Usage:
+ *   var cache = require('users/ldf160107/ECF-TST:Code/modules/composite_cache.js');
+ *   var options = pipeline.compositeOptions(ecoregion);
+ *   cache.ensureCollection(ecoregion);
+ *   cache.missingYears(ecoregion, 2000, 2024, options).forEach(function(year) {
+ *     Export.image.toAsset(cache.getExportOptions(ecoregion, year, options));
+ *   });
+ *   var annual = cache.annualCollection(ecoregion, aoi, 2000, 2020, options);
+ *
+ * Key Notes:
+ * - One collection per ecoregion: `Composites_E<id>` in the catalogue's
+ *   'composites' folder. Images carry 'composite_year' and the compositing
+ *   parameters ('composite_method', 'season_start', 'season_end',
+ *   'harmonise', 'fusion_source', 'fusion_resampling', ...) plus 'cache_key',
+ *   the resolved parameters as one string. Only images whose key matches the
+ *   requested options are used, so several parameter sets can share a
+ *   collection.
+ * - Images hold compositing.BANDS (Int16) and features.INDEX_BANDS (Float),
+ *   i.e. exactly what the uncached path computes.
+ * - Which years are cached is read with one getInfo() per collection and
+ *   parameter set (memoised); `ensureCollection` uses `ee.data`. Call these
+ *   from scripts, not inside mapped functions.
+ * - Written by ECF_TST_Composite_Cache.js; fcl_pipeline.js reads the cache by
+ *   default (see `compositeOptions`).
+ *
+ * =================================================================================
+ */
+
+var compositing = require('users/ldf160107/ECF-TST:Code/modules/compositing.js');
+var features = require('users/ldf160107/ECF-TST:Code/modules/features.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var CACHE_CRS = 'EPSG:4326';   // As the FCL map exports
+var KEY_SEPARATOR = '|';
+
+// Cached years per collection and key (client-side memo).
+var cachedYearsMemo = {};
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Cache key of a set of composite options: the resolved parameters.
+ * @param {Object} [options] - Options of `compositing.buildAnnualComposites`.
+ * @returns {String} e.g. 'medoid|05-01|09-30|oli_to_etm:roy2016_rma|
+ *     LT05+LE07+LC08+LC09|cloud+shadow+snow|none|aggregate'. The
+ *     harmonisation carries its coefficients and a fusion source its Landsat
+ *     fill ('s2+landsat'), so composites cached by earlier versions of
+ *     compositing.js are not reused.
+ */
+function cacheKey(options) {
+  var o = compositing.resolveOptions(options);
+  var harmonise = o.harmonise === 'none' ? o.harmonise :
+                  o.harmonise + ':' + compositing.HARMONISATION_COEFFICIENTS;
+  return [o.method, o.season.start, o.season.end, harmonise,
+          o.sensors.join('+'), o.maskThese.join('+'),
+          o.fusion.source === 'none' ? o.fusion.source : o.fusion.source + '+landsat',
+          o.fusion.resampling].join(KEY_SEPARATOR);
+}
+
+/**
+ * Short, stable hash of a cache key, used in asset names.
+ * @param {String} key - Cache key.
+ * @returns {String} Base-36 hash.
+ */
+function keyHash(key) {
+  var hash = 5381;
+  for (var i = 0; i < key.length; i++) {
+    hash = ((hash * 33) ^ key.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Asset ID of an ecoregion's composite collection.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @returns {String} e.g. '<composites folder>/Composites_E1'.
+ */
+function collectionId(ecoregion) {
+  return catalogue.getOutputFolder('composites') + '/Composites_E' + ecoregion.id;
+}
+
+/**
+ * Asset ID of one cached year.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @param {Number} year - Composite year.
+ * @param {Object} [options] - Composite options.
+ * @returns {String} e.g. '<collection>/Composite_E1_2005_<hash>'.
+ */
+function imageId(ecoregion, year, options) {
+  return collectionId(ecoregion) + '/Composite_E' + ecoregion.id + '_' + year + '_' +
+         keyHash(cacheKey(options));
+}
+
+// -------------------------------
+// 3. CACHE CONTENT
+// -------------------------------
+
+/**
+ * Builds the cache image of one year: SR bands, index bands and parameters.
+ * @param {ee.FeatureCollection|ee.Geometry} aoi - Ecoregion geometry.
+ * @param {Number} year - Composite year.
+ * @param {Object} [options] - Composite options.
+ * @returns {ee.Image} compositing.BANDS and features.INDEX_BANDS.
+ */
+function cacheImage(aoi, year, options) {
+  var o = compositing.resolveOptions(options);
+  var composite = ee.Image(compositing.buildAnnualComposites(aoi, year, year, o).first());
+  var indices = features.addIndices(composite).select(features.INDEX_BANDS).toFloat();
+  return composite.select(compositing.BANDS).addBands(indices)
+    .copyProperties(composite, ['composite_year', 'composite_method', 'composite_source',
+                                'n_images', 'n_images_landsat', 'n_images_fused',
+                                'system:time_start'])
+    .set({
+      'season_start': o.season.start,
+      'season_end': o.season.end,
+      'harmonise': o.harmonise,
+      'fusion_source': o.fusion.source,
+      'fusion_resampling': o.fusion.resampling,
+      'cache_key': cacheKey(o)
+    });
+}
+
+/**
+ * Lists the cached years of a parameter set (client-side, memoised).
+ * @param {Object} ecoregion - Catalogue entry.
+ * @param {Object} [options] - Composite options.
+ * @returns {Array<Number>} Cached years; [] if the collection does not exist.
+ */
+function cachedYears(ecoregion, options) {
+  var id = collectionId(ecoregion);
+  var key = cacheKey(options);
+  var memoKey = id + KEY_SEPARATOR + key;
+  if (!cachedYearsMemo.hasOwnProperty(memoKey)) {
+    var years = [];
+    if (collectionExists(id)) {
+      years = ee.ImageCollection(id).filter(ee.Filter.eq('cache_key', key))
+        .aggregate_array('composite_year').getInfo();
+    }
+    cachedYearsMemo[memoKey] = years;
+  }
+  return cachedYearsMemo[memoKey];
+}
+
+/**
+ * Lists the years of a range that are not cached yet.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @param {Number} startYear - First year.
+ * @param {Number} endYear - Last year.
+ * @param {Object} [options] - Composite options.
+ * @returns {Array<Number>} Missing years.
+ */
+function missingYears(ecoregion, startYear, endYear, options) {
+  var cached = cachedYears(ecoregion, options);
+  var missing = [];
+  for (var year = startYear; year <= endYear; year++) {
+    if (cached.indexOf(year) < 0) missing.push(year);
+  }
+  return missing;
+}
+
+/**
+ * Annual composites and indices of a year range: cached years from the
+ * collection, missing years built on the fly.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @param {ee.FeatureCollection|ee.Geometry} aoi - Ecoregion geometry.
+ * @param {Number} startYear - First year.
+ * @param {Number} endYear - Last year.
+ * @param {Object} [options] - Composite options.
+ * @returns {ee.ImageCollection} One image per year, sorted by 'composite_year'.
+ */
+function annualCollection(ecoregion, aoi, startYear, endYear, options) {
+  var missing = missingYears(ecoregion, startYear, endYear, options);
+  var built = ee.ImageCollection.fromImages(missing.map(function(year) {
+    return cacheImage(aoi, year, options);
+  }));
+  if (missing.length === endYear - startYear + 1) return built;
+  return ee.ImageCollection(collectionId(ecoregion))
+    .filter(ee.Filter.eq('cache_key', cacheKey(options)))
+    .filter(ee.Filter.rangeContains('composite_year', startYear, endYear))
+    .merge(built)
+    .sort('composite_year');
+}
+
+// -------------------------------
+// 4. ASSET MANAGEMENT
+// -------------------------------
+
+/**
+ * Whether an asset exists (client-side).
+ * @param {String} assetId - Asset ID.
+ * @returns {Boolean} True if the asset can be read.
+ */
+function collectionExists(assetId) {
+  try {
+    return !!ee.data.getAsset(assetId);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Creates an ecoregion's composite collection if it does not exist yet. The
+ * 'composites' folder itself must exist.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @returns {String} Collection asset ID.
+ */
+function ensureCollection(ecoregion) {
+  var id = collectionId(ecoregion);
+  if (!collectionExists(id)) {
+    ee.data.createAsset({type: 'IMAGE_COLLECTION'}, id);
+  }
+  return id;
+}
+
+/**
+ * Returns the `Export.image.toAsset` parameters of one cached year.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @param {Number} year - Composite year.
+ * @param {Object} [options] - Composite options.
+ * @returns {Object} Export parameters.
+ */
+function getExportOptions(ecoregion, year, options) {
+  var aoi = catalogue.loadGeometry(ecoregion);
+  var o = compositing.resolveOptions(options);
+  return {
+    image: cacheImage(aoi, year, o).set('ecoregion_id', ecoregion.id),
+    description: 'Composite_E' + ecoregion.id + '_' + year,
+    assetId: imageId(ecoregion, year, o),
+    region: aoi.geometry(),
+    scale: compositing.fusionScale(o.fusion),
+    crs: CACHE_CRS,
+    maxPixels: 1e13
+  };
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.cacheKey = cacheKey;
+exports.collectionId = collectionId;
+exports.imageId = imageId;
+exports.cacheImage = cacheImage;
+exports.cachedYears = cachedYears;
+exports.missingYears = missingYears;
+exports.annualCollection = annualCollection;
+exports.ensureCollection = ensureCollection;
+exports.getExportOptions = getExportOptions;
@@ -0,0 +1,428 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Annual Landsat Surface-Reflectance Composites
+ * =================================================================================
+ *
+ * Purpose: Builds the annual Landsat SR composites behind every spectral,
+ * temporal and texture feature. Replaces `ltgee.buildSRcollection` with a
+ * compositing layer owned by this project: Landsat 5/7/8/9 Collection 2,
+ * cross-sensor harmonisation, selectable composite methods and per-ecoregion
+ * seasonal windows.
+ *
+ * Usage:
+ *   var compositing = require('users/ldf160107/ECF-TST:Code/modules/compositing.js');
+ *   var composites = compositing.buildAnnualComposites(aoi, 2000, 2020, {
+ *     season: {start: '06-01', end: '09-15'}, method: 'medoid'
+ *   });
+ *
+ * Band-name contract: every composite has the TM-style bands
+ *   B1 (blue), B2 (green), B3 (red), B4 (NIR), B5 (SWIR1), B7 (SWIR2)
+ * as Int16 reflectance * 10000, plus the properties 'composite_year',
+ * 'composite_method', 'composite_source' and 'n_images', exactly as the features.js functions
+ * expect. Years without clear observations get a fully masked composite, so
+ * the collection always holds one image per year.
+ *
+ * Options:
+ * - method: 'medoid' (default; per pixel the observation closest to the band
+ *   medians, as LandTrendr), 'median', or 'max_nbr' (observation with the
+ *   highest NBR, i.e. the least disturbed/most vegetated).
+ * - harmonise: 'oli_to_etm' (default; OLI/OLI-2 reflectance mapped to ETM+ by
+ *   inverting the Roy et al. (2016) RMA ETM+ -> OLI regression, exactly as
+ *   LandTrendr's harmonizationRoy, which built the deployed models' inputs),
+ *   'etm_to_oli' (TM and ETM+ mapped to OLI with the same regression) or
+ *   'none'. TM is treated as ETM+.
+ * - season: {start: 'MM-DD', end: 'MM-DD'}, inclusive. A start later than the
+ *   end is a window across the new year; it then begins in the previous year
+ *   (e.g. {start: '11-01', end: '03-31'} for dry-season composites).
+ * - sensors: subset of SENSORS (default all; L9 from late 2021).
+ * - maskThese: subset of 'cloud', 'shadow', 'snow', 'water'.
+ * - fusion: {source, resampling} (see below); default {source: 'none'}.
+ *
+ * Sentinel-2 fusion (years >= FUSION_START_YEAR):
+ * - source 's2': Sentinel-2 L2A SR (B2, B3, B4, B8A, B11, B12 -> B1..B7),
+ *   bandpass-adjusted to OLI with the HLS coefficients, then harmonised like
+ *   OLI. 'hls': the HLS S30 product (already BRDF-normalised and adjusted to
+ *   OLI at 30 m). The composite then has the same bands, so `addIndices` and
+ *   the texture functions produce the same band names.
+ * - resampling 'aggregate' (default): 20 m bands bilinear onto the 10 m grid,
+ *   then the area mean of each 30 m cell, i.e. Landsat-like pixels.
+ *   'native': the 10 m grid is kept; maps and samples are then computed at
+ *   10 m (see `fusionScale`), with 3x3 texture windows of 30 m instead of 90 m.
+ *   HLS is 30 m either way.
+ * - The fused composite is used where it has valid observations; every other
+ *   pixel keeps the Landsat composite (S2 L2A coverage of China is patchy
+ *   until late 2018). 'composite_source' records the sources of each
+ *   composite ('landsat', or 's2+landsat' / 'hls+landsat' where fusion
+ *   applies), 'n_images_landsat' and 'n_images_fused' the scenes of each.
+ *
+ * Data Sources Cited:
+ * - Landsat Collection 2 Level-2 SR: USGS.
+ * - Sentinel-2 L2A SR: ESA Copernicus. HLS S30 v2.0: NASA LP DAAC.
+ * - Harmonisation: Roy et al. (2016), Remote Sensing of Environment 185;
+ *   Claverie et al. (2018), Remote Sensing of Environment 219.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var BANDS = ['B1', 'B2', 'B3', 'B4', 'B5', 'B7'];
+
+var SENSORS = {
+  LT05: {collection: 'LANDSAT/LT05/C02/T1_L2', family: 'etm',
+         bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7']},
+  LE07: {collection: 'LANDSAT/LE07/C02/T1_L2', family: 'etm',
+         bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7']},
+  LC08: {collection: 'LANDSAT/LC08/C02/T1_L2', family: 'oli',
+         bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7']},
+  LC09: {collection: 'LANDSAT/LC09/C02/T1_L2', family: 'oli',
+         bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7']}
+};
+
+var METHODS = ['medoid', 'median', 'max_nbr'];
+var HARMONISATIONS = ['oli_to_etm', 'etm_to_oli', 'none'];
+
+// Roy et al. (2016) Table 2, RMA: OLI = slope * ETM+ + intercept (reflectance
+// units), in BANDS order; the coefficients of LandTrendr's harmonizationRoy.
+// OLI -> ETM+ uses the inverse, (OLI - intercept) / slope, as LandTrendr does.
+var ROY_RMA = {slopes: [0.9785, 0.9542, 0.9825, 1.0073, 1.0171, 0.9949],
+               intercepts: [-0.0095, -0.0016, -0.0022, -0.0021, -0.0030, 0.0029]};
+var COEFFICIENTS = {
+  oli_to_etm: {slopes: ROY_RMA.slopes.map(function(a) { return 1 / a; }),
+               intercepts: ROY_RMA.intercepts.map(function(b, i) { return -b / ROY_RMA.slopes[i]; })},
+  etm_to_oli: ROY_RMA
+};
+// Identifies the coefficients in composite cache keys (composite_cache.js).
+var HARMONISATION_COEFFICIENTS = 'roy2016_rma';
+
+// Collection 2 Level-2 scaling and the output scale.
+var SR_SCALE = 0.0000275;
+var SR_OFFSET = -0.2;
+var OUTPUT_SCALE = 10000;
+
+// QA_PIXEL bits per mask category.
+var QA_BITS = {cloud: [1, 3], shadow: [4], snow: [5], water: [7]};
+
+// Sentinel-2 fusion sources. 'adjust' maps the source to OLI (Claverie et al.
+// 2018, HLS v2.0 S2A coefficients, in BANDS order); HLS is already adjusted.
+var FUSION_SOURCES = {
+  s2: {collection: 'COPERNICUS/S2_SR_HARMONIZED',
+       bands: ['B2', 'B3', 'B4', 'B8A', 'B11', 'B12'], scale: 0.0001, gridScale: 10,
+       qa: {band: 'SCL', classes: {cloud: [8, 9, 10], shadow: [3], snow: [11], water: [6]},
+            always: [0, 1]},
+       adjust: {slopes: [0.9778, 1.0053, 0.9765, 0.9983, 0.9987, 1.0030],
+                intercepts: [-0.0040, -0.0009, 0.0009, -0.0001, -0.0011, -0.0012]}},
+  hls: {collection: 'NASA/HLS/HLSS30/v002',
+        bands: ['B2', 'B3', 'B4', 'B8A', 'B11', 'B12'], scale: 1, gridScale: 30,
+        qa: {band: 'Fmask', bits: {cloud: [1, 2], shadow: [3], snow: [4], water: [5]}},
+        adjust: null}
+};
+var FUSION_START_YEAR = 2017;
+var RESAMPLING = ['aggregate', 'native'];
+var LANDSAT_SCALE = 30;
+
+var DEFAULT_SEASON = {start: '05-01', end: '09-30'};
+var DEFAULT_MASK = ['cloud', 'shadow', 'snow'];
+var DEFAULT_FUSION = {source: 'none', resampling: 'aggregate'};
+var SEASON_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Validates a seasonal window.
+ * @param {Object} season - {start: 'MM-DD', end: 'MM-DD'}.
+ * @returns {Object} The season.
+ */
+function checkSeason(season) {
+  if (!season || !SEASON_PATTERN.test(season.start) || !SEASON_PATTERN.test(season.end)) {
+    throw new Error('Composite season needs start and end as "MM-DD".');
+  }
+  return season;
+}
+
+/**
+ * Validates fusion options and fills in the defaults.
+ * @param {Object} [fusion] - {source: 'none'|'s2'|'hls', resampling}.
+ * @returns {Object} {source, resampling}.
+ */
+function checkFusion(fusion) {
+  fusion = fusion || {};
+  var source = fusion.source || DEFAULT_FUSION.source;
+  var resampling = fusion.resampling || DEFAULT_FUSION.resampling;
+  if (source !== 'none' && !FUSION_SOURCES.hasOwnProperty(source)) {
+    throw new Error('Unknown fusion source "' + source + '"; use none, ' +
+                    Object.keys(FUSION_SOURCES).join(', ') + '.');
+  }
+  if (RESAMPLING.indexOf(resampling) < 0) {
+    throw new Error('Unknown resampling "' + resampling + '"; use ' + RESAMPLING.join(', ') + '.');
+  }
+  return {source: source, resampling: resampling};
+}
+
+/**
+ * Pixel size (m) at which features from these fusion options are computed:
+ * 10 for Sentinel-2 with 'native' resampling, else the Landsat 30.
+ * @param {Object} [fusion] - Fusion options.
+ * @returns {Number} Scale in metres.
+ */
+function fusionScale(fusion) {
+  fusion = checkFusion(fusion);
+  if (fusion.source === 'none' || fusion.resampling !== 'native') return LANDSAT_SCALE;
+  return FUSION_SOURCES[fusion.source].gridScale;
+}
+
+/**
+ * Date range of a composite year.
+ * @param {Number} year - Composite year.
+ * @param {Object} season - {start, end}; start > end crosses the new year.
+ * @returns {Array<ee.Date>} [start, end) of the window.
+ */
+function seasonRange(year, season) {
+  var startYear = season.start > season.end ? year - 1 : year;
+  return [
+    ee.Date(startYear + '-' + season.start),
+    ee.Date(year + '-' + season.end).advance(1, 'day')
+  ];
+}
+
+/**
+ * Applies target = slope * source + intercept per band (reflectance units).
+ * @param {ee.Image} sr - Reflectance with BANDS.
+ * @param {Object} coefficients - {slopes, intercepts} in BANDS order.
+ * @returns {ee.Image} Adjusted reflectance.
+ */
+function applyCoefficients(sr, coefficients) {
+  return sr.multiply(ee.Image.constant(coefficients.slopes))
+    .add(ee.Image.constant(coefficients.intercepts)).rename(BANDS);
+}
+
+/**
+ * Builds the per-image preparation of one sensor: scaling, renaming to BANDS,
+ * harmonisation and QA masking.
+ * @param {String} sensor - Key of SENSORS.
+ * @param {String} harmonise - One of HARMONISATIONS.
+ * @param {Array<String>} maskThese - Mask categories.
+ * @returns {Function} ee.Image -> ee.Image.
+ */
+function prepareSensor(sensor, harmonise, maskThese) {
+  var spec = SENSORS[sensor];
+  var adjust = (harmonise === 'oli_to_etm' && spec.family === 'oli') ||
+               (harmonise === 'etm_to_oli' && spec.family === 'etm') ?
+               COEFFICIENTS[harmonise] : null;
+  var bits = [];
+  maskThese.forEach(function(category) { bits = bits.concat(QA_BITS[category]); });
+
+  return function(img) {
+    var sr = img.select(spec.bands, BANDS).multiply(SR_SCALE).add(SR_OFFSET);
+    if (adjust) sr = applyCoefficients(sr, adjust);
+    var qa = img.select('QA_PIXEL');
+    var clear = ee.Image.constant(1);
+    bits.forEach(function(bit) {
+      clear = clear.and(qa.bitwiseAnd(1 << bit).eq(0));
+    });
+    return sr.multiply(OUTPUT_SCALE).round().toInt16()
+      .updateMask(clear)
+      .copyProperties(img, ['system:time_start']);
+  };
+}
+
+/**
+ * Builds the per-image preparation of a fusion source: scaling, renaming to
+ * BANDS, adjustment to OLI, harmonisation, QA masking and resampling.
+ * @param {String} source - Key of FUSION_SOURCES.
+ * @param {String} harmonise - One of HARMONISATIONS.
+ * @param {Array<String>} maskThese - Mask categories.
+ * @param {String} resampling - One of RESAMPLING.
+ * @returns {Function} ee.Image -> ee.Image.
+ */
+function prepareFusion(source, harmonise, maskThese, resampling) {
+  var spec = FUSION_SOURCES[source];
+  var qa = spec.qa;
+
+  return function(img) {
+    var sr = img.select(spec.bands, BANDS).multiply(spec.scale);
+    if (harmonise !== 'none') {
+      if (spec.adjust) sr = applyCoefficients(sr, spec.adjust);
+      if (harmonise === 'oli_to_etm') sr = applyCoefficients(sr, COEFFICIENTS.oli_to_etm);
+    }
+    var flags = img.select(qa.band);
+    var clear = ee.Image.constant(1);
+    maskThese.forEach(function(category) {
+      if (qa.classes) {
+        qa.classes[category].forEach(function(c) { clear = clear.and(flags.neq(c)); });
+      } else {
+        qa.bits[category].forEach(function(bit) {
+          clear = clear.and(flags.bitwiseAnd(1 << bit).eq(0));
+        });
+      }
+    });
+    (qa.always || []).forEach(function(c) { clear = clear.and(flags.neq(c)); });
+    sr = sr.updateMask(clear);
+
+    if (spec.gridScale < LANDSAT_SCALE) {
+      // 20 m bands onto the 10 m grid of the first band.
+      var grid = img.select(spec.bands[0]).projection();
+      sr = sr.resample('bilinear').reproject(grid);
+      if (resampling === 'aggregate') {
+        sr = sr.reduceResolution({reducer: ee.Reducer.mean(), maxPixels: 64})
+          .reproject(grid.atScale(LANDSAT_SCALE));
+      }
+    }
+    return sr.multiply(OUTPUT_SCALE).round().toInt16()
+      .copyProperties(img, ['system:time_start']);
+  };
+}
+
+/**
+ * Reduces one season of observations to a composite.
+ * @param {ee.ImageCollection} observations - Prepared images (BANDS).
+ * @param {String} method - One of METHODS.
+ * @returns {ee.Image} Composite with BANDS.
+ */
+function reduceSeason(observations, method) {
+  if (method === 'median') {
+    return observations.median().round().toInt16();
+  }
+  if (method === 'max_nbr') {
+    return observations.map(function(img) {
+      return img.addBands(img.normalizedDifference(['B4', 'B7']).rename('composite_score'));
+    }).qualityMosaic('composite_score').select(BANDS);
+  }
+  // Medoid: the observation with the smallest squared distance to the medians.
+  var median = observations.median();
+  return observations.map(function(img) {
+    var distance = img.subtract(median).pow(2).reduce(ee.Reducer.sum());
+    return img.addBands(distance.multiply(-1).rename('composite_score'));
+  }).qualityMosaic('composite_score').select(BANDS);
+}
+
+// -------------------------------
+// 3. COMPOSITES
+// -------------------------------
+
+/**
+ * Validates composite options and fills in the defaults.
+ * @param {Object} [options] - method, harmonise, season, sensors, maskThese,
+ *     fusion (see the module header).
+ * @returns {Object} The options with every key set.
+ */
+function resolveOptions(options) {
+  options = options || {};
+  var method = options.method || 'medoid';
+  var harmonise = options.harmonise || 'oli_to_etm';
+  var season = checkSeason(options.season || DEFAULT_SEASON);
+  var sensors = options.sensors || Object.keys(SENSORS);
+  var maskThese = options.maskThese || DEFAULT_MASK;
+  var fusion = checkFusion(options.fusion);
+  if (METHODS.indexOf(method) < 0) {
+    throw new Error('Unknown composite method "' + method + '"; use ' + METHODS.join(', ') + '.');
+  }
+  if (HARMONISATIONS.indexOf(harmonise) < 0) {
+    throw new Error('Unknown harmonisation "' + harmonise + '"; use ' +
+                    HARMONISATIONS.join(', ') + '.');
+  }
+  sensors.forEach(function(sensor) {
+    if (!SENSORS.hasOwnProperty(sensor)) {
+      throw new Error('Unknown sensor "' + sensor + '"; use ' + Object.keys(SENSORS).join(', ') + '.');
+    }
+  });
+  maskThese.forEach(function(category) {
+    if (!QA_BITS.hasOwnProperty(category)) {
+      throw new Error('Unknown mask category "' + category + '"; use ' +
+                      Object.keys(QA_BITS).join(', ') + '.');
+    }
+  });
+  return {
+    method: method,
+    harmonise: harmonise,
+    season: season,
+    sensors: sensors,
+    maskThese: maskThese,
+    fusion: fusion
+  };
+}
+
+/**
+ * Builds one composite per year.
+ * @param {ee.FeatureCollection|ee.Geometry} aoi - Area of interest.
+ * @param {Number} startYear - First composite year.
+ * @param {Number} endYear - Last composite year.
+ * @param {Object} [options] - method, harmonise, season, sensors, maskThese,
+ *     fusion (see the module header).
+ * @returns {ee.ImageCollection} Composites with BANDS, 'composite_year',
+ *     'composite_source', 'n_images', 'n_images_landsat' and 'n_images_fused'.
+ */
+function buildAnnualComposites(aoi, startYear, endYear, options) {
+  var resolved = resolveOptions(options);
+  var method = resolved.method;
+  var harmonise = resolved.harmonise;
+  var season = resolved.season;
+  var sensors = resolved.sensors;
+  var maskThese = resolved.maskThese;
+  var fusion = resolved.fusion;
+  var empty = ee.Image.constant([0, 0, 0, 0, 0, 0]).rename(BANDS).toInt16()
+    .updateMask(ee.Image.constant(0));
+
+  var composites = [];
+  for (var year = startYear; year <= endYear; year++) {
+    var range = seasonRange(year, season);
+    var observations = ee.ImageCollection(sensors.map(function(sensor) {
+      return ee.ImageCollection(SENSORS[sensor].collection)
+        .filterBounds(aoi)
+        .filterDate(range[0], range[1])
+        .map(prepareSensor(sensor, harmonise, maskThese));
+    })).flatten();
+    var landsatCount = observations.size();
+    var composite = ee.Image(ee.Algorithms.If(
+      landsatCount.gt(0), reduceSeason(observations, method), empty));
+    var source = ee.String('landsat');
+    var fusedCount = ee.Number(0);
+
+    if (fusion.source !== 'none' && year >= FUSION_START_YEAR) {
+      var fused = ee.ImageCollection(FUSION_SOURCES[fusion.source].collection)
+        .filterBounds(aoi)
+        .filterDate(range[0], range[1])
+        .map(prepareFusion(fusion.source, harmonise, maskThese, fusion.resampling));
+      fusedCount = fused.size();
+      // Fused where the fused composite has observations, Landsat elsewhere.
+      composite = ee.Image(ee.Algorithms.If(fusedCount.gt(0),
+        reduceSeason(fused, method).unmask(composite, false), composite));
+      source = ee.String(ee.Algorithms.If(fusedCount.gt(0), fusion.source + '+landsat', source));
+    }
+    composites.push(composite.set({
+      'composite_year': year,
+      'composite_method': method,
+      'composite_source': source,
+      'n_images': landsatCount.add(fusedCount),
+      'n_images_landsat': landsatCount,
+      'n_images_fused': fusedCount,
+      'system:time_start': ee.Date.fromYMD(year, 8, 1).millis()
+    }));
+  }
+  return ee.ImageCollection.fromImages(composites);
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.BANDS = BANDS;
+exports.SENSORS = SENSORS;
+exports.METHODS = METHODS;
+exports.HARMONISATIONS = HARMONISATIONS;
+exports.HARMONISATION_COEFFICIENTS = HARMONISATION_COEFFICIENTS;
+exports.FUSION_SOURCES = FUSION_SOURCES;
+exports.FUSION_START_YEAR = FUSION_START_YEAR;
+exports.RESAMPLING = RESAMPLING;
+exports.DEFAULT_SEASON = DEFAULT_SEASON;
+exports.DEFAULT_FUSION = DEFAULT_FUSION;
+exports.checkSeason = checkSeason;
+exports.checkFusion = checkFusion;
+exports.resolveOptions = resolveOptions;
+exports.fusionScale = fusionScale;
+exports.seasonRange = seasonRange;
+exports.buildAnnualComposites = buildAnnualComposites;
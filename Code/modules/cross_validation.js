@@ -0,0 +1,209 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Cross-Validation Split Strategies
+ * =================================================================================
+ *
+ * Purpose: Assigns training samples to validation folds for the grid search in
+ * `ECF_TST_Model_Training_and_Optimization.js`. A random split lets spatially
+ * and temporally autocorrelated samples fall on both sides of the split and so
+ * inflates accuracy; the block and year strategies keep neighbouring samples
+ * (or all samples of a year) in the same fold. This is the GEE-side
+ * counterpart of `Spatial_Cross_Validation.ipynb`.
+ *
+ * Usage:
+ *   var cv = require('users/ldf160107/ECF-TST:Code/modules/cross_validation.js');
+ *   var withFolds = cv.assignFolds(samples, {strategy: 'spatial_block', folds: 5});
+ *   var foldIds = cv.listFolds(withFolds, {strategy: 'spatial_block', folds: 5});
+ *   var split = cv.splitFold(withFolds, foldIds.get(0)); // {training, testing}
+ *
+ * Strategies:
+ * - 'random': the original single 75/25 split. Fold 0 is the test set; samples
+ *   of fold 1 are only used for training.
+ * - 'spatial_block': samples are grouped into square blocks of `blockSizeKm`
+ *   (EASE-Grid 2.0 equal-area coordinates) and whole blocks are assigned to
+ *   one of `folds` folds at random (k-fold CV; the seed draws the assignment).
+ *   Folds that are empty or hold less than MIN_FOLD_SHARE of the mean fold
+ *   size are not evaluated; `describeFolds` reports them.
+ * - 'leave_one_year_out': the fold of a sample is its year (`yearProperty`);
+ *   every year is held out once (temporal CV).
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var STRATEGIES = ['random', 'spatial_block', 'leave_one_year_out'];
+
+var RANDOM_SPLIT = 0.75;           // Training share of the 'random' strategy.
+var DEFAULT_FOLDS = 5;
+var DEFAULT_BLOCK_SIZE_KM = 10;
+var DEFAULT_YEAR_PROPERTY = 'year';
+var EQUAL_AREA_CRS = 'EPSG:6933';  // EASE-Grid 2.0, metres
+
+// Smallest evaluated 'spatial_block' fold, as a share of the mean fold size.
+var MIN_FOLD_SHARE = 0.25;
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Validates the strategy of a CV options object.
+ * @param {Object} options - CV options.
+ * @returns {String} The strategy name.
+ */
+function getStrategy(options) {
+  var strategy = options.strategy || 'random';
+  if (STRATEGIES.indexOf(strategy) < 0) {
+    throw new Error('Unknown CV strategy "' + strategy + '"; use ' + STRATEGIES.join(', ') + '.');
+  }
+  return strategy;
+}
+
+/**
+ * Reads a numeric property that may be stored as a string (CSV uploads).
+ * @param {ee.Feature} feature - Sample point.
+ * @param {String} property - Property name.
+ * @returns {ee.Number} The value.
+ */
+function numericProperty(feature, property) {
+  var value = feature.get(property);
+  return ee.Number(ee.Algorithms.If(
+    ee.Algorithms.ObjectType(value).equals('String'),
+    ee.Number.parse(value),
+    value
+  ));
+}
+
+// -------------------------------
+// 3. FOLD ASSIGNMENT
+// -------------------------------
+
+/**
+ * Adds an integer 'fold' property to every sample.
+ * @param {ee.FeatureCollection} samples - Sample points (with geometry).
+ * @param {Object} options
+ * @param {String} [options.strategy='random'] - One of STRATEGIES.
+ * @param {Number} [options.folds=5] - Number of folds ('spatial_block').
+ * @param {Number} [options.blockSizeKm=10] - Block edge length ('spatial_block').
+ * @param {String} [options.yearProperty='year'] - Sample year ('leave_one_year_out').
+ * @param {Number|ee.Number} [options.seed=0] - Seed of the random split or of
+ *     the random block-to-fold assignment.
+ * @returns {ee.FeatureCollection} Samples with a 'fold' property.
+ */
+function assignFolds(samples, options) {
+  var strategy = getStrategy(options);
+  var seed = options.seed !== undefined ? options.seed : 0;
+
+  if (strategy === 'random') {
+    return samples.randomColumn('random', seed).map(function(f) {
+      return f.set('fold', ee.Number(f.get('random')).lt(RANDOM_SPLIT).int());
+    });
+  }
+  if (strategy === 'leave_one_year_out') {
+    var yearProperty = options.yearProperty || DEFAULT_YEAR_PROPERTY;
+    return samples.map(function(f) {
+      return f.set('fold', numericProperty(f, yearProperty).int());
+    });
+  }
+
+  // Block ID of every sample, then one uniform draw per distinct block.
+  var folds = options.folds || DEFAULT_FOLDS;
+  var blockSize = (options.blockSizeKm || DEFAULT_BLOCK_SIZE_KM) * 1000;
+  var blocked = samples.map(function(f) {
+    var xy = f.geometry().transform(EQUAL_AREA_CRS, 1).coordinates();
+    var bx = ee.Number(xy.get(0)).divide(blockSize).floor().format('%d');
+    var by = ee.Number(xy.get(1)).divide(blockSize).floor().format('%d');
+    return f.set('block', bx.cat('_').cat(by));
+  });
+  var blocks = ee.FeatureCollection(blocked.aggregate_array('block').distinct().map(function(id) {
+    return ee.Feature(null, {'block': id});
+  })).randomColumn('block_random', seed, 'uniform', ['block']).map(function(b) {
+    return b.set('fold', ee.Number(b.get('block_random')).multiply(folds).floor().int());
+  });
+
+  var joined = ee.Join.saveFirst('block_fold').apply(
+    blocked, blocks, ee.Filter.equals({leftField: 'block', rightField: 'block'}));
+  return ee.FeatureCollection(joined).map(function(f) {
+    var fold = ee.Feature(f.get('block_fold')).get('fold');
+    return f.set('fold', fold).select(f.propertyNames().remove('block_fold'));
+  });
+}
+
+/**
+ * Number of samples per fold.
+ * @param {ee.FeatureCollection} samples - Result of `assignFolds`.
+ * @returns {ee.Dictionary} Fold ID (string) -> sample count.
+ */
+function foldSizes(samples) {
+  return ee.Dictionary(samples.aggregate_histogram('fold'));
+}
+
+/**
+ * Lists the folds that are held out once each. 'spatial_block' folds that are
+ * empty or smaller than MIN_FOLD_SHARE of the mean fold size are left out.
+ * @param {ee.FeatureCollection} samples - Result of `assignFolds`.
+ * @param {Object} options - Same options as `assignFolds`.
+ * @returns {ee.List} Fold IDs to evaluate.
+ */
+function listFolds(samples, options) {
+  var strategy = getStrategy(options);
+  if (strategy === 'random') return ee.List([0]);
+  if (strategy === 'spatial_block') {
+    var folds = options.folds || DEFAULT_FOLDS;
+    var sizes = foldSizes(samples);
+    var minSize = samples.size().divide(folds).multiply(MIN_FOLD_SHARE);
+    return ee.List.sequence(0, folds - 1).map(function(fold) {
+      var size = ee.Number(sizes.get(ee.Number(fold).int().format(), 0));
+      return ee.Algorithms.If(size.gt(0).and(size.gte(minSize)), ee.Number(fold).int(), null);
+    }, true);
+  }
+  return samples.aggregate_array('fold').distinct().sort();
+}
+
+/**
+ * Describes the folds: sample counts and the folds that are evaluated or
+ * skipped (see `listFolds`).
+ * @param {ee.FeatureCollection} samples - Result of `assignFolds`.
+ * @param {Object} options - Same options as `assignFolds`.
+ * @returns {ee.Dictionary} {sizes, evaluated, skipped}.
+ */
+function describeFolds(samples, options) {
+  var evaluated = listFolds(samples, options);
+  var all = getStrategy(options) === 'spatial_block' ?
+    ee.List.sequence(0, (options.folds || DEFAULT_FOLDS) - 1).map(function(fold) {
+      return ee.Number(fold).int();
+    }) : evaluated;
+  return ee.Dictionary({
+    sizes: foldSizes(samples),
+    evaluated: evaluated,
+    skipped: all.removeAll(evaluated)
+  });
+}
+
+/**
+ * Splits samples into training (other folds) and testing (held-out fold).
+ * @param {ee.FeatureCollection} samples - Result of `assignFolds`.
+ * @param {Number|ee.Number} fold - Held-out fold ID.
+ * @returns {Object} {training, testing} FeatureCollections.
+ */
+function splitFold(samples, fold) {
+  return {
+    training: samples.filter(ee.Filter.neq('fold', fold)),
+    testing: samples.filter(ee.Filter.eq('fold', fold))
+  };
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.STRATEGIES = STRATEGIES;
+exports.DEFAULT_FOLDS = DEFAULT_FOLDS;
+exports.DEFAULT_BLOCK_SIZE_KM = DEFAULT_BLOCK_SIZE_KM;
+exports.assignFolds = assignFolds;
+exports.listFolds = listFolds;
+exports.describeFolds = describeFolds;
+exports.splitFold = splitFold;
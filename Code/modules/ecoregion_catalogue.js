@@ -0,0 +1,856 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Ecoregion Catalogue
+ * =================================================================================
+ *
+ * Purpose: Single configuration point for every ecoregion-specific asset used by
+ * the ECF-TST scripts: geometry, validated samples, trained model, optimal
+ * feature subsets and area metadata (Table S1, data/Table S1 Ecoregion
+ * Information.xlsx).
+ *
+ * Usage:
+ *   var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+ *   var eco = catalogue.get(20);        // or catalogue.get('I23')
+ *   var aoi = catalogue.loadGeometry(eco);
+ *   var model = catalogue.loadModel(eco);
+ *
+ * Key Notes:
+ * - The catalogue below is plain JSON. Asset paths use the placeholders
+ *   {project} and {legacy}, expanded from `assetRoots`. Moving the system to
+ *   another GEE project only requires copying the assets and editing
+ *   `assetRoots` (or the individual paths) in this file.
+ * - `features` is the subset consumed by the deployed `RF2_Optimized_Model_E*`
+ *   assets; `trainingFeatures` is the RFE subset used by the training script
+ *   (re-derived by ECF_TST_Feature_Elimination.js).
+ * - `forestArea2000Km2` is the GLC_FCS30-2000 forest area inside the ecoregion
+ *   (data/annual_ecoregion_loss_area_2001_2020.csv).
+ * - `probabilityThresholds` (class value -> minimum probability) drives the
+ *   label in the pipeline's probability output mode. The top-level value is the
+ *   default; an entry may override any class with its own
+ *   `probabilityThresholds` object.
+ * - `compositeSeason` ('MM-DD' start and end, inclusive) is the seasonal window
+ *   of the annual Landsat composites (compositing.js). An entry may override it
+ *   with its own `compositeSeason`, e.g. a shorter snow-free window for the
+ *   northeastern ecoregions (I01-I07) or a dry-season window for the tropical
+ *   ones (I30-I33, III09). No entry does yet: the deployed models were all
+ *   trained on the default window, so add an override only together with
+ *   samples re-extracted and a model retrained on that window (retrained
+ *   models record their season; the mapping script refuses a mismatch).
+ * - `outputFolders` are the asset folders (or ImageCollections) receiving the
+ *   per-ecoregion FCL maps, the national mosaics (fcl_mosaic.js), the
+ *   extracted training samples (sampling.js), the cached annual composites
+ *   (composite_cache.js), the retrained model candidates
+ *   (model_selection.js) and the area-estimation validation samples
+ *   (ECF_TST_Area_Estimation.js).
+ * - `socioeconomic` maps each census year to the RESDC 1 km population and GDP
+ *   grids (people and 10^4 yuan per km2); socioeconomic.js interpolates
+ *   between them.
+ * - This module has no dependencies and does not touch `ee` at load time, so it
+ *   can also be required from Node.js tooling.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 1. CATALOGUE (JSON)
+// -------------------------------
+
+var CATALOGUE = {
+  "version": 1,
+  "assetRoots": {
+    "project": "projects/polished-autumn-296103/assets",
+    "legacy": "users/ldf160107/climate_region"
+  },
+  "expectedCount": 35,
+  "probabilityThresholds": {"1": 0.5, "2": 0.5, "3": 0.5},
+  "compositeSeason": {"start": "05-01", "end": "09-30"},
+  "outputFolders": {
+    "fclMaps": "{project}/ECF_TST_FCL_Maps",
+    "national": "{project}/ECF_TST_FCL_National",
+    "samples": "{project}/ECF_TST_Samples",
+    "composites": "{project}/ECF_TST_Composites",
+    "models": "{project}/ECF_TST_Models",
+    "validation": "{project}/ECF_TST_Validation"
+  },
+  "forestBaselineTiles": [
+    "{project}/GLC_FCS30D_20002022_E70N40_Annual", "{project}/GLC_FCS30D_20002022_E70N45_Annual",
+    "{project}/GLC_FCS30D_20002022_E75N35_Annual", "{project}/GLC_FCS30D_20002022_E75N40_Annual",
+    "{project}/GLC_FCS30D_20002022_E75N45_Annual", "{project}/GLC_FCS30D_20002022_E80N30_Annual",
+    "{project}/GLC_FCS30D_20002022_E80N35_Annual", "{project}/GLC_FCS30D_20002022_E80N40_Annual",
+    "{project}/GLC_FCS30D_20002022_E80N45_Annual", "{project}/GLC_FCS30D_20002022_E80N50_Annual",
+    "{project}/GLC_FCS30D_20002022_E85N30_Annual", "{project}/GLC_FCS30D_20002022_E85N35_Annual",
+    "{project}/GLC_FCS30D_20002022_E85N40_Annual", "{project}/GLC_FCS30D_20002022_E85N45_Annual",
+    "{project}/GLC_FCS30D_20002022_E85N50_Annual", "{project}/GLC_FCS30D_20002022_E90N30_Annual",
+    "{project}/GLC_FCS30D_20002022_E90N35_Annual", "{project}/GLC_FCS30D_20002022_E90N40_Annual",
+    "{project}/GLC_FCS30D_20002022_E90N45_Annual", "{project}/GLC_FCS30D_20002022_E90N50_Annual",
+    "{project}/GLC_FCS30D_20002022_E95N25_Annual", "{project}/GLC_FCS30D_20002022_E95N30_Annual",
+    "{project}/GLC_FCS30D_20002022_E95N35_Annual", "{project}/GLC_FCS30D_20002022_E95N40_Annual",
+    "{project}/GLC_FCS30D_20002022_E95N45_Annual", "{project}/GLC_FCS30D_20002022_E100N25_Annual",
+    "{project}/GLC_FCS30D_20002022_E100N30_Annual", "{project}/GLC_FCS30D_20002022_E100N35_Annual",
+    "{project}/GLC_FCS30D_20002022_E100N40_Annual", "{project}/GLC_FCS30D_20002022_E100N45_Annual",
+    "{project}/GLC_FCS30D_20002022_E105N20_Annual", "{project}/GLC_FCS30D_20002022_E105N25_Annual",
+    "{project}/GLC_FCS30D_20002022_E105N30_Annual", "{project}/GLC_FCS30D_20002022_E105N35_Annual",
+    "{project}/GLC_FCS30D_20002022_E105N40_Annual", "{project}/GLC_FCS30D_20002022_E105N45_Annual",
+    "{project}/GLC_FCS30D_20002022_E110N25_Annual", "{project}/GLC_FCS30D_20002022_E110N30_Annual",
+    "{project}/GLC_FCS30D_20002022_E110N35_Annual", "{project}/GLC_FCS30D_20002022_E110N40_Annual",
+    "{project}/GLC_FCS30D_20002022_E110N45_Annual", "{project}/GLC_FCS30D_20002022_E110N50_Annual",
+    "{project}/GLC_FCS30D_20002022_E115N25_Annual", "{project}/GLC_FCS30D_20002022_E115N30_Annual",
+    "{project}/GLC_FCS30D_20002022_E115N35_Annual", "{project}/GLC_FCS30D_20002022_E115N40_Annual",
+    "{project}/GLC_FCS30D_20002022_E115N45_Annual", "{project}/GLC_FCS30D_20002022_E115N50_Annual",
+    "{project}/GLC_FCS30D_20002022_E115N55_Annual", "{project}/GLC_FCS30D_20002022_E120N25_Annual",
+    "{project}/GLC_FCS30D_20002022_E120N30_Annual", "{project}/GLC_FCS30D_20002022_E120N35_Annual",
+    "{project}/GLC_FCS30D_20002022_E120N40_Annual", "{project}/GLC_FCS30D_20002022_E120N45_Annual",
+    "{project}/GLC_FCS30D_20002022_E120N50_Annual", "{project}/GLC_FCS30D_20002022_E120N55_Annual",
+    "{project}/GLC_FCS30D_20002022_E125N45_Annual", "{project}/GLC_FCS30D_20002022_E125N50_Annual",
+    "{project}/GLC_FCS30D_20002022_E125N55_Annual", "{project}/GLC_FCS30D_20002022_E130N45_Annual",
+    "{project}/GLC_FCS30D_20002022_E130N50_Annual", "{project}/E135N50"
+  ],
+  "socioeconomic": {
+    "population": {
+      "1995": "{project}/RESDC_POP_1995", "2000": "{project}/RESDC_POP_2000",
+      "2005": "{project}/RESDC_POP_2005", "2010": "{project}/RESDC_POP_2010",
+      "2015": "{project}/RESDC_POP_2015", "2019": "{project}/RESDC_POP_2019"
+    },
+    "gdp": {
+      "1995": "{project}/RESDC_GDP_1995", "2000": "{project}/RESDC_GDP_2000",
+      "2005": "{project}/RESDC_GDP_2005", "2010": "{project}/RESDC_GDP_2010",
+      "2015": "{project}/RESDC_GDP_2015", "2019": "{project}/RESDC_GDP_2019"
+    }
+  },
+  "ecoregions": [
+    {
+      "id": 1,
+      "code": "I01",
+      "name": "Northern Greater Khingan Mountains Deciduous Coniferous Forest Ecoregion",
+      "forestType": "Deciduous Coniferous Forest (dominantly Dahurian Larch)",
+      "climateZone": "Cold Temperate Continental Monsoon Climate",
+      "forestArea2000Km2": 141729.72,
+      "geometryAsset": "{legacy}/A01",
+      "sampleAsset": "{project}/E1",
+      "modelAsset": "{project}/RF2_Optimized_Model_E1",
+      "features": ["a_precip","p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_cor","B7_ent","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDMI_r_m_5","NDVI_mean","NDVI_c_ac","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_c_ac","NBR_r_m_5","EVI_mean","EVI_trend","EVI_c_ac","EVI_r_m_3","EVI_r_sl","RVI_c_ac","RVI_r_m_3","RVI_r_m_5","RVI_r_sl","DVI_mean","DVI_c_ac","DVI_r_m_3","DVI_r_m_5","SAVI_mean","SAVI_trend","SAVI_c_ac","SAVI_r_m_3","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR","NBR_chg_ra","NBR_rol_3y"]
+    },
+    {
+      "id": 2,
+      "code": "I02",
+      "name": "Lesser Khingan Mountains Mixed Coniferous-Broadleaf Forest Ecoregion",
+      "forestType": "Temperate Mixed Coniferous-Broadleaf Forest (Korean Pine Broadleaf Forest)",
+      "climateZone": "Northern/Mid-Temperate Continental Monsoon Climate",
+      "forestArea2000Km2": 87242.02,
+      "geometryAsset": "{legacy}/A02",
+      "sampleAsset": "{project}/E2",
+      "modelAsset": "{project}/RF2_Optimized_Model_E2",
+      "features": ["p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_mean","B7_con","B7_cor","B7_ent","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDVI_c_ac","NDVI_r_m_3","NDVI_v_5","NDVI_r_sl","NBR_c_ac","NBR_r_m_5","EVI_v_5","RVI_v_5","SAVI_trend"],
+      "trainingFeatures": ["NBR_chg_ra","NBR","NDMI","NBR_rol_3y"]
+    },
+    {
+      "id": 3,
+      "code": "I03",
+      "name": "Sanjiang Plain Agriculture & Wetland Ecoregion",
+      "forestType": "Marsh Wetland (local mixed forests in low mountains/hills)",
+      "climateZone": "Temperate Humid-Semi-humid Continental Monsoon Climate",
+      "forestArea2000Km2": 21165.37,
+      "geometryAsset": "{legacy}/A03",
+      "sampleAsset": "{project}/E3",
+      "modelAsset": "{project}/RF2_Optimized_Model_E3",
+      "features": ["su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_cor","B7_ent","B7_mean","NDBI_r_m_3","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","EVI_r_m_3","EVI_r_m_5","EVI_r_sl","RVI_r_m_3","RVI_r_m_5","SAVI_mean","SAVI_r_m_5","SAVI_v_5"],
+      "trainingFeatures": ["NBR","NDMI","NBR_rol_3y","NDBI","NBR_rol_5y","RVI","NDMI_rol_5","SAVI","NBR_chg_ra"]
+    },
+    {
+      "id": 4,
+      "code": "I04",
+      "name": "Changbai Mountains-Qian Mountains Mixed Coniferous-Broadleaf Forest Ecoregion",
+      "forestType": "Temperate Mixed Coniferous-Broadleaf Forest (Summer-green Broadleaf in south)",
+      "climateZone": "Temperate Continental Monsoon Climate",
+      "forestArea2000Km2": 173223.03,
+      "geometryAsset": "{legacy}/A04",
+      "sampleAsset": "{project}/E4",
+      "modelAsset": "{project}/RF2_Optimized_Model_E4",
+      "features": ["a_precip","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B7_stdDev","B7_con","B7_cor","B7_mean","NDBI_r_m_3","NDVI_mean","NDVI_r_m_5","EVI_mean","EVI_r_m_3","EVI_r_m_5","RVI_r_m_3","RVI_v_5","DVI_v_5","SAVI_mean"],
+      "trainingFeatures": ["NBR","NBR_rol_3y","NDMI","NBR_rol_5y","NDBI","NDMI_chg_r","NDBI_chg_r","NBR_chg_ra","NDMI_rol_3","NDBI_rol_3"]
+    },
+    {
+      "id": 5,
+      "code": "I05",
+      "name": "Eastern Northeast Plain Agricultural Ecoregion",
+      "forestType": "Farmland & Plantations (natural vegetation scarce)",
+      "climateZone": "Temperate Continental Monsoon Climate",
+      "forestArea2000Km2": 14192.61,
+      "geometryAsset": "{legacy}/A05",
+      "sampleAsset": "{project}/E5",
+      "modelAsset": "{project}/RF2_Optimized_Model_E5",
+      "features": ["NDBI","NDMI","NDVI","NBR","RVI","SAVI","B3_stdDev","B3_mean","B7_mean","NDBI_mean","NDBI_r_m_3","NDMI_mean","NDMI_r_m_3","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NBR_mean","NBR_r_m_5","SAVI_mean","SAVI_r_m_3"],
+      "trainingFeatures": ["NBR","NDBI","NBR_rol_5y","NDMI","NDMI_rol_5","NDMI_rol_3","NBR_rol_3y","NBR_chg_ra"]
+    },
+    {
+      "id": 6,
+      "code": "I07",
+      "name": "Central-Southern Greater Khingan Mountains Deciduous Broadleaf Forest & Forest Steppe Ecoregion",
+      "forestType": "Deciduous Broadleaf Forest & Forest Steppe",
+      "climateZone": "Temperate Continental Monsoon Climate",
+      "forestArea2000Km2": 58797.05,
+      "geometryAsset": "{legacy}/A07",
+      "sampleAsset": "{project}/E6",
+      "modelAsset": "{project}/RF2_Optimized_Model_E6",
+      "features": ["p_precip","su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B1_mean","B7_con","B7_ent","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NBR_r_m_5","EVI_r_m_3","EVI_r_m_5","EVI_v_5","RVI_r_m_5","RVI_v_5","DVI_r_m_5","DVI_r_sl","SAVI_mean","SAVI_trend","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR_chg_ra","NBR","NBR_rol_3y"]
+    },
+    {
+      "id": 7,
+      "code": "I08",
+      "name": "Liaodong-Shandong Hills Deciduous Broadleaf Forest Ecoregion",
+      "forestType": "Warm Temperate Deciduous Broadleaf Forest",
+      "climateZone": "Warm Temperate Monsoon Climate",
+      "forestArea2000Km2": 5487.09,
+      "geometryAsset": "{project}/i-8",
+      "sampleAsset": "{project}/E7",
+      "modelAsset": "{project}/RF2_Optimized_Model_E7",
+      "features": ["a_precip","p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_mean","B4_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_cor","B7_ent","B7_mean","NDBI_r_m_3","NDMI_r_m_5","NDVI_mean","NDVI_c_ac","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_c_ac","NBR_r_m_5","EVI_mean","EVI_trend","EVI_r_m_3","EVI_r_m_5","EVI_v_5","EVI_r_sl","RVI_c_ac","RVI_r_m_3","RVI_r_m_5","RVI_v_5","RVI_r_sl","DVI_c_ac","DVI_r_m_3","DVI_v_5","SAVI_mean","SAVI_trend","SAVI_c_ac","SAVI_r_m_3","SAVI_r_m_5","SAVI_v_5","SAVI_r_sl"],
+      "trainingFeatures": ["NDMI","NBR","NDBI","NBR_rol_3y","NBR_rol_5y","NDMI_rol_3","NDMI_rol_5","NDBI_rol_3","NBR_chg_ac","NBR_chg_ra","EVI"]
+    },
+    {
+      "id": 8,
+      "code": "I10",
+      "name": "Yanshan-Taihang Mountains Deciduous Broadleaf Forest Ecoregion",
+      "forestType": "Warm Temperate Deciduous Broadleaf Forest & Shrub-Grassland",
+      "climateZone": "Warm Temperate Continental Monsoon Climate",
+      "forestArea2000Km2": 57907.75,
+      "geometryAsset": "{project}/i-10",
+      "sampleAsset": "{project}/E8",
+      "modelAsset": "{project}/RF2_Optimized_Model_E8",
+      "features": ["p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B7_stdDev","B1_mean","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDVI_mean","NDVI_c_ac","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","EVI_r_m_3","EVI_r_m_5","EVI_v_5","RVI_r_m_3","RVI_r_m_5","RVI_v_5","DVI_mean","DVI_c_ac","DVI_r_m_3","DVI_r_m_5","DVI_v_5","DVI_r_sl","SAVI_mean","SAVI_r_m_3","SAVI_r_m_5","SAVI_v_5"],
+      "trainingFeatures": ["NBR","NBR_rol_5y","NDMI","NBR_rol_3y","NBR_chg_ra"]
+    },
+    {
+      "id": 9,
+      "code": "I11",
+      "name": "Fen-Wei Basin Agricultural Ecoregion",
+      "forestType": "Agricultural Vegetation (secondary shrubs on margins)",
+      "climateZone": "Warm Temperate Semi-humid Climate",
+      "forestArea2000Km2": 10094.59,
+      "geometryAsset": "{legacy}/A11",
+      "sampleAsset": "{project}/E9",
+      "modelAsset": "{project}/RF2_Optimized_Model_E9",
+      "features": ["a_precip","p_precip","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_ent","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDMI_r_m_5","NDVI_mean","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_r_m_5","EVI_mean","EVI_r_m_5","RVI_r_m_3","RVI_r_m_5","RVI_r_sl","SAVI_mean","SAVI_v_5","SAVI_r_sl"],
+      "trainingFeatures": ["NBR","NBR_rol_3y","NBR_rol_5y"]
+    },
+    {
+      "id": 10,
+      "code": "I12",
+      "name": "Loess Plateau Agriculture & Steppe Ecoregion",
+      "forestType": "Agriculture & Steppe/Forest Steppe (vegetation sparse)",
+      "climateZone": "Warm Temperate Semi-humid to Semi-arid Climate",
+      "forestArea2000Km2": 34891.0,
+      "geometryAsset": "{project}/i-12",
+      "sampleAsset": "{project}/E10",
+      "modelAsset": "{project}/RF2_Optimized_Model_E10",
+      "features": ["NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B1_mean","B7_mean","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","RVI_r_m_5","SAVI_mean","SAVI_r_m_3","SAVI_v_5"],
+      "trainingFeatures": ["NBR","NDMI","NDBI","NBR_chg_ra","NBR_trend","NBR_rol_5y","EVI_mean"]
+    },
+    {
+      "id": 11,
+      "code": "I14",
+      "name": "Huaiyang Hills Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Evergreen Broadleaf Forest (mixed evergreen-deciduous in north)",
+      "climateZone": "Northern Subtropical to Warm Temperate Transitional Climate",
+      "forestArea2000Km2": 30759.84,
+      "geometryAsset": "{project}/i-14",
+      "sampleAsset": "{project}/E11",
+      "modelAsset": "{project}/RF2_Optimized_Model_E11",
+      "features": ["p_precip","su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_cor","B7_ent","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDMI_r_m_5","NDVI_mean","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","EVI_r_m_5","EVI_v_5","RVI_r_m_5","RVI_v_5","SAVI_mean","SAVI_r_m_5","SAVI_v_5"],
+      "trainingFeatures": ["NBR","NBR_rol_5y","NDMI","NDBI","NBR_rol_3y","NDMI_rol_5","NDBI_rol_3"]
+    },
+    {
+      "id": 12,
+      "code": "I15",
+      "name": "Qinling-Daba Mountains Deciduous & Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Evergreen-Deciduous Broadleaf Mixed Forest (pronounced vertical zonation)",
+      "climateZone": "Northern Subtropical to Warm Temperate Transitional Climate",
+      "forestArea2000Km2": 170784.67,
+      "geometryAsset": "{legacy}/A15",
+      "sampleAsset": "{project}/E12",
+      "modelAsset": "{project}/RF2_Optimized_Model_E12",
+      "features": ["a_precip","p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B1_mean","B7_con","B7_cor","B7_ent","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","EVI_mean","EVI_r_m_5","EVI_v_5","RVI_r_m_3","RVI_r_m_5","RVI_v_5","DVI_r_m_5","DVI_v_5","SAVI_mean","SAVI_r_m_5","SAVI_v_5"],
+      "trainingFeatures": ["NBR","NBR_rol_5y","NDMI_rol_5","NDMI"]
+    },
+    {
+      "id": 13,
+      "code": "I16",
+      "name": "Yangtze River Delta Urban & Peri-urban Agricultural Ecoregion",
+      "forestType": "Plantations & Evergreen Broadleaf Forest (mixed in north)",
+      "climateZone": "Northern Subtropical Monsoon Climate",
+      "forestArea2000Km2": 3787.86,
+      "geometryAsset": "{project}/i-16",
+      "sampleAsset": "{project}/E13",
+      "modelAsset": "{project}/RF2_Optimized_Model_E13",
+      "features": ["a_precip","p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_ent","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDMI_r_m_5","NDVI_r_m_5","NBR_r_m_5","EVI_r_m_3","EVI_v_5","DVI_v_5","SAVI_trend","SAVI_r_m_3","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR_rol_5y","NBR","NDMI","NDBI","NBR_chg_ra","NBR_rol_3y"]
+    },
+    {
+      "id": 14,
+      "code": "I17",
+      "name": "Middle-Lower Yangtze Plain Agricultural Ecoregion",
+      "forestType": "Agricultural Vegetation (remnant evergreen broadleaf forest & wetlands)",
+      "climateZone": "Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 21071.85,
+      "geometryAsset": "{project}/i-17",
+      "sampleAsset": "{project}/E14",
+      "modelAsset": "{project}/RF2_Optimized_Model_E14",
+      "features": ["a_precip","p_precip","su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_ent","B7_mean","NDBI_r_m_3","NDMI_r_m_5","NDVI_mean","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","RVI_r_m_3","RVI_r_m_5","DVI_mean","DVI_r_m_3","SAVI_mean","SAVI_r_m_3","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR","NBR_rol_3y","NDBI","NBR_rol_5y"]
+    },
+    {
+      "id": 15,
+      "code": "I18",
+      "name": "Three Gorges Reservoir Ecoregion",
+      "forestType": "Mid-Subtropical Evergreen Broadleaf Forest",
+      "climateZone": "Subtropical Monsoon Climate",
+      "forestArea2000Km2": 22258.52,
+      "geometryAsset": "{legacy}/A18",
+      "sampleAsset": "{project}/E15",
+      "modelAsset": "{project}/RF2_Optimized_Model_E15",
+      "features": ["p_precip","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_mean","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_r_m_5","EVI_mean","EVI_r_m_5","EVI_v_5","EVI_r_sl","RVI_r_m_3","RVI_r_m_5","RVI_v_5","DVI_r_m_5","SAVI_mean","SAVI_trend","SAVI_r_m_3","SAVI_r_m_5","SAVI_v_5"],
+      "trainingFeatures": ["NBR_rol_5y","NBR","NDMI","NBR_vola_5","NBR_rol_3y","NDBI","NBR_chg_ra"]
+    },
+    {
+      "id": 16,
+      "code": "I19",
+      "name": "Sichuan Basin Agroforestry Ecoregion",
+      "forestType": "Subtropical Evergreen Broadleaf Forest (widespread plantations & bamboo)",
+      "climateZone": "Mid-Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 47640.65,
+      "geometryAsset": "{project}/i-19",
+      "sampleAsset": "{project}/E16",
+      "modelAsset": "{project}/RF2_Optimized_Model_E16",
+      "features": ["a_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B1_mean","B7_con","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_r_m_5","EVI_r_m_5","RVI_r_m_5","RVI_v_5","DVI_mean","DVI_r_m_3","DVI_r_m_5","DVI_v_5","SAVI_mean","SAVI_r_m_3","SAVI_r_m_5","SAVI_v_5","SAVI_r_sl"],
+      "trainingFeatures": ["NBR","NBR_rol_3y","NBR_rol_5y","NDMI","NDBI","NBR_trend","NDMI_rol_5"]
+    },
+    {
+      "id": 17,
+      "code": "I20",
+      "name": "Tianmu-Huaiyu Mountains Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Evergreen Broadleaf Forest (distinct vertical zones)",
+      "climateZone": "Mid-Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 52459.3,
+      "geometryAsset": "{project}/i-20",
+      "sampleAsset": "{project}/E17",
+      "modelAsset": "{project}/RF2_Optimized_Model_E17",
+      "features": ["su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_ent","B7_mean","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_r_m_5","EVI_v_5","RVI_r_m_3","RVI_r_m_5","RVI_v_5","DVI_r_m_3","SAVI_mean","SAVI_r_m_5","SAVI_v_5"],
+      "trainingFeatures": ["NBR","NBR_rol_5y","NDBI","NDMI","NBR_chg_ra","NDMI_rol_5","NBR_rol_3y"]
+    },
+    {
+      "id": 18,
+      "code": "I21",
+      "name": "Zhejiang-Fujian Hills Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Subtropical Evergreen Broadleaf Forest (widespread coniferous plantations)",
+      "climateZone": "Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 162197.57,
+      "geometryAsset": "{project}/i-21",
+      "sampleAsset": "{project}/E18",
+      "modelAsset": "{project}/RF2_Optimized_Model_E18",
+      "features": ["a_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B7_stdDev","B1_mean","B7_con","B7_mean","NDBI_r_m_3","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NBR_r_m_5","RVI_r_m_5","DVI_mean","DVI_c_ac","DVI_r_m_3","DVI_r_m_5","SAVI_mean","SAVI_trend","SAVI_r_m_3","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR","NBR_rol_5y","NDBI","NDMI","NBR_rol_3y","NBR_chg_ra"]
+    },
+    {
+      "id": 19,
+      "code": "I22",
+      "name": "Hunan-Jiangxi Hills Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Evergreen Broadleaf Forest (mainly secondary & plantations)",
+      "climateZone": "Mid-Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 104994.49,
+      "geometryAsset": "{legacy}/A22",
+      "sampleAsset": "{project}/E19",
+      "modelAsset": "{project}/RF2_Optimized_Model_E19",
+      "features": ["p_precip","su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_mean","NDBI_r_sl","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_r_m_5","EVI_r_m_3","EVI_r_m_5","EVI_v_5","RVI_r_m_3","RVI_r_m_5","DVI_mean","SAVI_mean","SAVI_r_m_3","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR","NDBI","NBR_rol_5y"]
+    },
+    {
+      "id": 20,
+      "code": "I23",
+      "name": "Wuling-Xuefeng Mountains Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Evergreen Broadleaf Forest & Evergreen-Deciduous Mixed Forest",
+      "climateZone": "Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 153028.27,
+      "geometryAsset": "{legacy}/A23",
+      "sampleAsset": "{project}/E20",
+      "modelAsset": "{project}/RF2_Optimized_Model_E20",
+      "features": ["p_precip","su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B7_con","B7_mean","NDBI_r_sl","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","EVI_r_m_3","EVI_r_m_5","EVI_r_sl","RVI_r_m_3","RVI_r_m_5","DVI_v_5","SAVI_mean","SAVI_r_m_5","SAVI_v_5"],
+      "trainingFeatures": ["NBR","NDMI","NBR_rol_5y","NDBI","NBR_rol_3y","NDMI_rol_5","RVI_rol_5y","NDBI_rol_3","NDVI_rol_3","NBR_chg_ra","NBR_an_cha"]
+    },
+    {
+      "id": 21,
+      "code": "I24",
+      "name": "Central Guizhou Karst Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Karst Evergreen Broadleaf Forest (highly secondary)",
+      "climateZone": "Mid-Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 68192.68,
+      "geometryAsset": "{legacy}/A24",
+      "sampleAsset": "{project}/E21",
+      "modelAsset": "{project}/RF2_Optimized_Model_E21",
+      "features": ["a_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_ent","B7_mean","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","EVI_r_m_3","EVI_r_m_5","EVI_v_5","RVI_r_m_3","RVI_r_m_5","DVI_v_5","DVI_r_sl","SAVI_mean","SAVI_r_m_3","SAVI_r_m_5","SAVI_v_5"],
+      "trainingFeatures": ["NBR","NBR_rol_3y","NDBI","NDMI","NBR_rol_5y","NDBI_rol_3","NDMI_rol_3","NDMI_rol_5","EVI","NBR_chg_ra"]
+    },
+    {
+      "id": 22,
+      "code": "I25",
+      "name": "Southwest Sichuan-Central North Yunnan Mountains Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Evergreen Broadleaf Forest (complete vertical spectrum)",
+      "climateZone": "Plateau-type Subtropical Monsoon Climate (significant vertical variation)",
+      "forestArea2000Km2": 192941.57,
+      "geometryAsset": "{project}/i-25",
+      "sampleAsset": "{project}/E22",
+      "modelAsset": "{project}/RF2_Optimized_Model_E22",
+      "features": ["a_precip","p_precip","su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_mean","B4_mean","B7_stdDev","B1_mean","B7_con","B7_ent","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","EVI_mean","EVI_trend","EVI_r_m_3","EVI_r_m_5","EVI_r_sl","RVI_r_m_3","RVI_r_m_5","DVI_mean","DVI_r_m_3","DVI_r_m_5","SAVI_mean","SAVI_r_m_3","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR","NDMI","NDBI","NBR_chg_ra","NBR_rol_3y"]
+    },
+    {
+      "id": 23,
+      "code": "I26",
+      "name": "Nanling Mountains Hills Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Mid-Subtropical Evergreen Broadleaf Forest",
+      "climateZone": "Mid-Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 152037.86,
+      "geometryAsset": "{legacy}/A26",
+      "sampleAsset": "{project}/E23",
+      "modelAsset": "{project}/RF2_Optimized_Model_E23",
+      "features": ["a_precip","su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B7_stdDev","B1_mean","B7_con","B7_cor","B7_ent","B7_mean","NDBI_r_m_3","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_c_ac","NBR_r_m_5","EVI_mean","EVI_c_ac","RVI_v_5","DVI_mean","SAVI_mean","SAVI_trend","SAVI_r_m_3","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR","NBR_rol_5y","NBR_rol_3y","NDMI","NDBI","NDMI_rol_5","NBR_chg_ra","SAVI_rol_3"]
+    },
+    {
+      "id": 24,
+      "code": "I27",
+      "name": "Northern Taiwan Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "Evergreen Broadleaf Forest",
+      "climateZone": "Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 18808.84,
+      "geometryAsset": "{legacy}/A27",
+      "sampleAsset": "{project}/E24",
+      "modelAsset": "{project}/RF2_Optimized_Model_E24",
+      "features": ["a_precip","p_precip","su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_mean","NDBI_r_m_3","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_r_m_5","EVI_r_m_3","EVI_r_m_5","EVI_r_sl","RVI_r_m_3","RVI_r_m_5","RVI_v_5","DVI_r_m_3","SAVI_mean","SAVI_r_m_3","SAVI_r_m_5","SAVI_r_sl"],
+      "trainingFeatures": ["NBR","NBR_rol_5y","NDBI","NDMI","NBR_rol_3y","NBR_chg_ra","NDVI"]
+    },
+    {
+      "id": 25,
+      "code": "I28",
+      "name": "Central Yunnan-Guangdong-Guangxi-South Fujian Hills Evergreen Broadleaf Forest Ecoregion",
+      "forestType": "South Subtropical Evergreen Broadleaf Forest (Monsoon Evergreen in east)",
+      "climateZone": "South Subtropical Monsoon Climate",
+      "forestArea2000Km2": 224290.82,
+      "geometryAsset": "{project}/i-28",
+      "sampleAsset": "{project}/E25",
+      "modelAsset": "{project}/RF2_Optimized_Model_E25",
+      "features": ["a_precip","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B7_stdDev","B1_mean","B7_con","B7_mean","NDBI_r_m_3","NDBI_r_sl","NDMI_r_m_5","NDVI_mean","NDVI_r_m_5","NDVI_v_5","EVI_mean","EVI_c_ac","EVI_r_m_3","EVI_v_5","EVI_r_sl","RVI_r_m_5","RVI_v_5","DVI_r_m_5","SAVI_mean","SAVI_trend","SAVI_r_m_5","SAVI_v_5"],
+      "trainingFeatures": ["NBR","NDBI","NBR_rol_3y","NDMI","NBR_rol_5y","NBR_chg_ra"]
+    },
+    {
+      "id": 26,
+      "code": "I29",
+      "name": "Pearl River Delta Urban & Peri-urban Agricultural Ecoregion",
+      "forestType": "South Subtropical Evergreen Broadleaf Forest (remnant) & Agriculture/Urban",
+      "climateZone": "South Subtropical Humid Monsoon Climate",
+      "forestArea2000Km2": 2343.28,
+      "geometryAsset": "{project}/i-29",
+      "sampleAsset": "{project}/E26",
+      "modelAsset": "{project}/RF2_Optimized_Model_E26",
+      "features": ["a_precip","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B7_stdDev","B1_mean","B7_con","B7_ent","B7_mean","NDBI_r_sl","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","RVI_r_m_3","RVI_r_m_5","RVI_v_5","DVI_mean","DVI_r_m_3","DVI_r_m_5","SAVI_mean","SAVI_c_ac","SAVI_r_m_3","SAVI_r_m_5","SAVI_v_5","SAVI_r_sl"],
+      "trainingFeatures": ["NBR","NDBI","NBR_rol_3y","NDMI","NBR_trend"]
+    },
+    {
+      "id": 27,
+      "code": "I30",
+      "name": "Southern Taiwan Tropical Monsoon & Rainforest Ecoregion",
+      "forestType": "Tropical Monsoon Forest & Tropical Rainforest",
+      "climateZone": "Tropical Monsoon Climate",
+      "forestArea2000Km2": 7959.09,
+      "geometryAsset": "{legacy}/A30",
+      "sampleAsset": "{project}/E27",
+      "modelAsset": "{project}/RF2_Optimized_Model_E27",
+      "features": ["p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_cor","B7_ent","B7_mean","NDBI_r_m_3","NDMI_r_m_5","NDVI_mean","NDVI_v_5","NDVI_r_sl","NBR_r_m_5","EVI_c_ac","EVI_r_m_5","RVI_r_m_5","DVI_r_m_5","DVI_v_5","SAVI_mean","SAVI_trend"],
+      "trainingFeatures": ["NBR","NBR_rol_5y","NDMI","NDBI","NBR_chg_ra","NBR_rol_3y"]
+    },
+    {
+      "id": 28,
+      "code": "I31",
+      "name": "Southern Yunnan-Guangxi-Guangdong Tropical Monsoon & Rainforest Ecoregion",
+      "forestType": "Tropical Rainforest & Tropical Monsoon Forest",
+      "climateZone": "Tropical Maritime Monsoon Climate",
+      "forestArea2000Km2": 79969.22,
+      "geometryAsset": "{legacy}/A31",
+      "sampleAsset": "{project}/E28",
+      "modelAsset": "{project}/RF2_Optimized_Model_E28",
+      "features": ["a_precip","p_precip","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B7_stdDev","B1_mean","B7_con","B7_cor","B7_mean","NDBI_r_m_3","NDVI_mean","NDVI_c_ac","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","EVI_mean","EVI_c_ac","EVI_r_m_3","EVI_r_m_5","RVI_r_m_5","RVI_v_5","DVI_mean","DVI_r_m_3","DVI_r_m_5","DVI_v_5","SAVI_mean","SAVI_r_m_3","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR_rol_3y","NBR","NDBI","NDMI","NBR_rol_5y","NBR_chg_ra"]
+    },
+    {
+      "id": 29,
+      "code": "I32",
+      "name": "Hainan Island Coastal Tropical Agricultural Ecoregion",
+      "forestType": "Tropical Agriculture, Plantations & Coastal Mangroves",
+      "climateZone": "Tropical Humid Monsoon Climate",
+      "forestArea2000Km2": 2097.26,
+      "geometryAsset": "{legacy}/A32",
+      "sampleAsset": "{project}/E29",
+      "modelAsset": "{project}/RF2_Optimized_Model_E29",
+      "features": ["a_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B7_stdDev","B7_con","B7_ent","B7_mean","NDBI_r_m_3","NDMI_r_m_5","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","EVI_r_m_3","EVI_r_m_5","EVI_v_5","RVI_r_m_5","DVI_r_m_5","SAVI_trend","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR","NDBI","NDMI","NBR_rol_3y","NDVI_rol_3","SAVI_rol_3","NBR_rol_5y","NDMI_rol_5","RVI","NDBI_rol_3","NBR_an_cha","NBR_reco_s","NDMI_rol_3","NDVI","NBR_chg_ra"]
+    },
+    {
+      "id": 30,
+      "code": "I33",
+      "name": "Central Hainan Mountains Tropical Rainforest & Monsoon Forest Ecoregion",
+      "forestType": "Montane Tropical Rainforest & Monsoon Forest",
+      "climateZone": "Tropical Montane Humid Climate",
+      "forestArea2000Km2": 4932.28,
+      "geometryAsset": "{legacy}/A33",
+      "sampleAsset": "{project}/E30",
+      "modelAsset": "{project}/RF2_Optimized_Model_E30",
+      "features": ["p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_stdDev","B7_stdDev","B7_con","B7_ent","B7_mean","NDBI_r_m_3","NDMI_r_m_5","NDVI_mean","NDVI_r_sl","NBR_r_m_5","EVI_mean","EVI_r_m_3","EVI_r_m_5","EVI_v_5","EVI_r_sl","DVI_r_m_3","SAVI_mean"],
+      "trainingFeatures": ["NBR","NDMI","NBR_rol_3y","NDVI_rol_3","NDBI","NBR_rol_5y","NBR_chg_ra"]
+    },
+    {
+      "id": 31,
+      "code": "II01",
+      "name": "Central-Eastern Inner Mongolia Plateau Typical Steppe Ecoregion",
+      "forestType": "Meadow Steppe — Typical Steppe",
+      "climateZone": "Temperate Semi-humid to Semi-arid Continental Climate",
+      "forestArea2000Km2": 20596.94,
+      "geometryAsset": "{project}/ii-1",
+      "sampleAsset": "{project}/E31",
+      "modelAsset": "{project}/RF2_Optimized_Model_E31",
+      "features": ["a_precip","p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_mean","B4_mean","B7_stdDev","B1_mean","B7_con","B7_cor","B7_ent","B7_mean","NDBI_r_sl","NDMI_r_m_5","NDVI_mean","NDVI_r_m_3","NBR_r_m_5","EVI_trend","EVI_v_5","RVI_r_m_3","RVI_r_m_5","DVI_mean","DVI_r_m_3","DVI_r_m_5","DVI_v_5","SAVI_mean","SAVI_trend","SAVI_r_m_3"],
+      "trainingFeatures": ["NBR_chg_ra","NBR","NDMI","NBR_rol_3y","NDBI","NDMI_rol_3","NDBI_rol_3","NBR_trend","NDVI"]
+    },
+    {
+      "id": 32,
+      "code": "II05",
+      "name": "Altai Mountains-Junggar Western Mountains Forest & Steppe Ecoregion",
+      "forestType": "Montane Forest (Taiga) & Montane Steppe Vertical Belts",
+      "climateZone": "Cold Temperate to Temperate Montane Climate",
+      "forestArea2000Km2": 11397.17,
+      "geometryAsset": "{legacy}/II05",
+      "sampleAsset": "{project}/E32",
+      "modelAsset": "{project}/RF2_Optimized_Model_E32",
+      "features": ["su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B1_mean","B7_mean","NDBI_r_m_3","NDMI_r_m_5","NBR_r_m_5","DVI_r_m_3","DVI_r_m_5","DVI_v_5","SAVI_trend"],
+      "trainingFeatures": ["NDBI","NDMI","NBR","NDMI_rol_3","NBR_rol_3y","NBR_chg_ra","NDBI_rol_3","NBR_rol_5y","NDBI_chg_r","NDMI_rol_5","NDMI_chg_r","NBR_an_cha"]
+    },
+    {
+      "id": 33,
+      "code": "II07",
+      "name": "Tianshan Mountains Forest & Steppe Ecoregion",
+      "forestType": "Montane Coniferous Forest & Montane Steppe (wetter north slope)",
+      "climateZone": "Temperate Continental Montane Climate",
+      "forestArea2000Km2": 26578.43,
+      "geometryAsset": "{legacy}/II07",
+      "sampleAsset": "{project}/E33",
+      "modelAsset": "{project}/RF2_Optimized_Model_E33",
+      "features": ["a_precip","p_precip","su_temp","NDBI","NDMI","NDVI","NBR","EVI","RVI","B5_mean","SAVI","B3_mean","B1_mean","B7_mean","NDVI_r_m_5","NDVI_v_5"],
+      "trainingFeatures": ["NBR","NDBI","NDMI","NBR_chg_ra","NDMI_rol_5","NBR_trend","NBR_rol_5y"]
+    },
+    {
+      "id": 34,
+      "code": "III07",
+      "name": "Eastern Tibet-Western Sichuan Cold Temperate Coniferous Forest Ecoregion",
+      "forestType": "Subalpine Cold Temperate Coniferous Forest (many endemics)",
+      "climateZone": "Cold Temperate Montane Climate",
+      "forestArea2000Km2": 146177.97,
+      "geometryAsset": "{project}/iii-7",
+      "sampleAsset": "{project}/E34",
+      "modelAsset": "{project}/RF2_Optimized_Model_E34",
+      "features": ["a_precip","p_precip","su_temp","temp_an","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_ent","B7_mean","NDBI_r_m_3","NDVI_mean","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NBR_r_m_5","EVI_trend","EVI_v_5","RVI_r_m_3","RVI_r_m_5","RVI_v_5","DVI_mean","DVI_r_m_3","DVI_r_m_5","DVI_v_5","SAVI_mean","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR","NBR_chg_ra","NDMI","NBR_rol_5y","NDMI_rol_5","NDBI","NBR_rol_3y"]
+    },
+    {
+      "id": 35,
+      "code": "III09",
+      "name": "Southeastern Tibet Tropical Rainforest & Monsoon Forest Ecoregion",
+      "forestType": "Tropical Rainforest — Montane Vertical Forest Spectrum",
+      "climateZone": "Tropical-Subtropical Montane Monsoon Climate",
+      "forestArea2000Km2": 67426.38,
+      "geometryAsset": "{legacy}/III09",
+      "sampleAsset": "{project}/E35",
+      "modelAsset": "{project}/RF2_Optimized_Model_E35",
+      "features": ["p_precip","NDBI","NDMI","NDVI","NBR","EVI","RVI","DVI","B5_mean","SAVI","B3_stdDev","B3_mean","B4_mean","B1_stdDev","B7_stdDev","B1_mean","B7_con","B7_mean","NDBI_r_m_3","NDMI_r_m_5","NDVI_mean","NDVI_c_ac","NDVI_r_m_3","NDVI_r_m_5","NDVI_v_5","NDVI_r_sl","NBR_r_m_5","EVI_mean","RVI_r_m_5","DVI_r_sl","SAVI_mean","SAVI_trend","SAVI_r_m_5"],
+      "trainingFeatures": ["NBR","NBR_chg_ra","NBR_rol_3y"]
+    }
+  ]
+};
+
+// -------------------------------
+// 2. LOOKUP FUNCTIONS
+// -------------------------------
+
+// Fields every ecoregion entry must define.
+var REQUIRED_FIELDS = [
+  'id', 'code', 'name', 'forestArea2000Km2',
+  'geometryAsset', 'sampleAsset', 'modelAsset', 'features', 'trainingFeatures'
+];
+
+// 'MM-DD' day of a composite season.
+var SEASON_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Normalises an ecoregion code: 'I-01', 'i01' and 'I01' all become 'I01'.
+ * @param {String} code - Ecoregion code.
+ * @returns {String} Normalised code.
+ */
+function normaliseCode(code) {
+  return String(code).replace(/[-_\s]/g, '').toUpperCase();
+}
+
+/**
+ * Expands the {project} and {legacy} placeholders of an asset path.
+ * @param {String} path - Asset path template.
+ * @returns {String} Full asset path.
+ */
+function resolveAsset(path) {
+  return path.replace(/\{(\w+)\}/g, function(match, root) {
+    if (!CATALOGUE.assetRoots.hasOwnProperty(root)) {
+      throw new Error('Unknown asset root "' + root + '" in ' + path);
+    }
+    return CATALOGUE.assetRoots[root];
+  });
+}
+
+/**
+ * Returns an ecoregion entry by numeric ID (1-35) or by code (e.g. 'II05').
+ * Asset paths in the returned entry are fully expanded.
+ * @param {Number|String} key - Ecoregion ID or code.
+ * @returns {Object} The ecoregion entry.
+ */
+function get(key) {
+  var isId = typeof key === 'number' || /^\d+$/.test(String(key));
+  var matches = CATALOGUE.ecoregions.filter(function(e) {
+    return isId ? e.id === Number(key) : normaliseCode(e.code) === normaliseCode(key);
+  });
+  if (matches.length === 0) {
+    throw new Error('Ecoregion "' + key + '" is not in the catalogue.');
+  }
+  var e = matches[0];
+  return {
+    id: e.id,
+    code: e.code,
+    name: e.name,
+    forestType: e.forestType,
+    climateZone: e.climateZone,
+    forestArea2000Km2: e.forestArea2000Km2,
+    geometryAsset: resolveAsset(e.geometryAsset),
+    sampleAsset: resolveAsset(e.sampleAsset),
+    modelAsset: resolveAsset(e.modelAsset),
+    features: e.features.slice(),
+    trainingFeatures: e.trainingFeatures.slice(),
+    probabilityThresholds: getThresholds(e),
+    compositeSeason: getSeason(e)
+  };
+}
+
+/**
+ * Merges the default probability thresholds with an entry's overrides.
+ * @param {Object} e - Raw catalogue entry.
+ * @returns {Object} Map class value ('1'-'3') -> minimum probability.
+ */
+function getThresholds(e) {
+  var merged = {};
+  var defaults = CATALOGUE.probabilityThresholds;
+  var overrides = e.probabilityThresholds || {};
+  Object.keys(defaults).forEach(function(k) {
+    merged[k] = overrides.hasOwnProperty(k) ? overrides[k] : defaults[k];
+  });
+  return merged;
+}
+
+/**
+ * Returns the compositing season of an entry (its override or the default).
+ * @param {Object} e - Raw catalogue entry.
+ * @returns {Object} {start: 'MM-DD', end: 'MM-DD'}.
+ */
+function getSeason(e) {
+  var season = e.compositeSeason || CATALOGUE.compositeSeason;
+  return {start: season.start, end: season.end};
+}
+
+/**
+ * Lists the IDs of all catalogued ecoregions in ascending order.
+ * @returns {Array<Number>} Ecoregion IDs.
+ */
+function listIds() {
+  return CATALOGUE.ecoregions
+    .map(function(e) { return e.id; })
+    .sort(function(a, b) { return a - b; });
+}
+
+/**
+ * Lists all forest-baseline (GLC_FCS30D) tile assets with expanded paths.
+ * @returns {Array<String>} Asset IDs.
+ */
+function listForestBaselineTiles() {
+  return CATALOGUE.forestBaselineTiles.map(resolveAsset);
+}
+
+/**
+ * Lists the census-year grids of a socio-economic layer, oldest first.
+ * @param {String} kind - Key of `socioeconomic` ('population' or 'gdp').
+ * @returns {Array<Object>} [{year: Number, asset: String}] with expanded paths.
+ */
+function listSocioeconomicLayers(kind) {
+  if (!CATALOGUE.socioeconomic.hasOwnProperty(kind)) {
+    throw new Error('Unknown socio-economic layer "' + kind + '"; use ' +
+                    Object.keys(CATALOGUE.socioeconomic).join(', ') + '.');
+  }
+  var layers = CATALOGUE.socioeconomic[kind];
+  return Object.keys(layers)
+    .map(function(year) { return {year: Number(year), asset: resolveAsset(layers[year])}; })
+    .sort(function(a, b) { return a.year - b.year; });
+}
+
+/**
+ * Returns an output asset folder with expanded path.
+ * @param {String} kind - Key of `outputFolders` ('fclMaps', 'national',
+ *     'samples', 'composites', 'models' or 'validation').
+ * @returns {String} Asset folder path.
+ */
+function getOutputFolder(kind) {
+  if (!CATALOGUE.outputFolders.hasOwnProperty(kind)) {
+    throw new Error('Unknown output folder "' + kind + '"; use ' +
+                    Object.keys(CATALOGUE.outputFolders).join(', ') + '.');
+  }
+  return resolveAsset(CATALOGUE.outputFolders[kind]);
+}
+
+// -------------------------------
+// 3. VALIDATION
+// -------------------------------
+
+/**
+ * Checks the catalogue for missing and duplicate entries.
+ * Flags: missing required fields, duplicate IDs/codes/asset paths, gaps in the
+ * 1..expectedCount ID sequence, empty feature subsets, probability thresholds
+ * outside [0, 1], malformed composite seasons and socio-economic census years
+ * and, if a resolver is supplied, feature names that cannot be resolved.
+ * @param {Function} [resolveFeature] - Optional function name -> canonical name
+ *     or null (e.g. `feature_registry.resolve`).
+ * @returns {Object} {valid: Boolean, errors: Array<String>}.
+ */
+function validate(resolveFeature) {
+  var errors = [];
+  var seen = {id: {}, code: {}, asset: {}};
+
+  var checkDuplicate = function(kind, value, id) {
+    if (seen[kind].hasOwnProperty(value)) {
+      errors.push('Duplicate ' + kind + ' "' + value + '" (ecoregions ' +
+                  seen[kind][value] + ' and ' + id + ').');
+    } else {
+      seen[kind][value] = id;
+    }
+  };
+
+  CATALOGUE.ecoregions.forEach(function(e, index) {
+    var label = e.id !== undefined ? e.id : ('#' + index);
+    REQUIRED_FIELDS.forEach(function(field) {
+      if (e[field] === undefined || e[field] === null || e[field] === '') {
+        errors.push('Ecoregion ' + label + ' is missing "' + field + '".');
+      }
+    });
+    if (e.id !== undefined) checkDuplicate('id', e.id, label);
+    if (e.code) checkDuplicate('code', normaliseCode(e.code), label);
+    ['geometryAsset', 'sampleAsset', 'modelAsset'].forEach(function(field) {
+      if (e[field]) checkDuplicate('asset', e[field], label);
+    });
+    var thresholds = getThresholds(e);
+    Object.keys(thresholds).forEach(function(k) {
+      var t = thresholds[k];
+      if (typeof t !== 'number' || t < 0 || t > 1) {
+        errors.push('Ecoregion ' + label + ': probability threshold for class ' +
+                    k + ' must be a number in [0, 1].');
+      }
+    });
+    var season = getSeason(e);
+    if (!SEASON_PATTERN.test(season.start) || !SEASON_PATTERN.test(season.end)) {
+      errors.push('Ecoregion ' + label + ': composite season needs "MM-DD" start and end.');
+    }
+    ['features', 'trainingFeatures'].forEach(function(field) {
+      if (!e[field]) return;
+      if (e[field].length === 0) {
+        errors.push('Ecoregion ' + label + ' has an empty "' + field + '" list.');
+      }
+      if (resolveFeature) {
+        e[field].forEach(function(name) {
+          if (resolveFeature(name) === null) {
+            errors.push('Ecoregion ' + label + ': unresolvable feature "' +
+                        name + '" in "' + field + '".');
+          }
+        });
+      }
+    });
+  });
+
+  for (var id = 1; id <= CATALOGUE.expectedCount; id++) {
+    if (!seen.id.hasOwnProperty(id)) {
+      errors.push('Ecoregion ' + id + ' is missing from the catalogue.');
+    }
+  }
+
+  CATALOGUE.forestBaselineTiles.forEach(function(tile) {
+    checkDuplicate('asset', tile, 'forest baseline');
+  });
+
+  Object.keys(CATALOGUE.socioeconomic).forEach(function(kind) {
+    var layers = CATALOGUE.socioeconomic[kind];
+    Object.keys(layers).forEach(function(year) {
+      if (!/^\d{4}$/.test(year)) {
+        errors.push('Socio-economic layer "' + kind + '": year "' + year + '" is not a 4-digit year.');
+      }
+      checkDuplicate('asset', layers[year], kind + ' ' + year);
+    });
+  });
+
+  return {valid: errors.length === 0, errors: errors};
+}
+
+// -------------------------------
+// 4. EARTH ENGINE LOADERS
+// -------------------------------
+
+/**
+ * Loads the ecoregion boundary.
+ * @param {Object} entry - Entry returned by `get`.
+ * @returns {ee.FeatureCollection} Ecoregion geometry.
+ */
+function loadGeometry(entry) {
+  return ee.FeatureCollection(entry.geometryAsset);
+}
+
+/**
+ * Loads the validated sample points.
+ * @param {Object} entry - Entry returned by `get`.
+ * @returns {ee.FeatureCollection} Sample points with 'label' and feature properties.
+ */
+function loadSamples(entry) {
+  return ee.FeatureCollection(entry.sampleAsset);
+}
+
+/**
+ * Loads the trained ecoregion classifier.
+ * @param {Object} entry - Entry returned by `get`.
+ * @returns {ee.Classifier} The saved Random Forest model.
+ */
+function loadModel(entry) {
+  return ee.Classifier.load(entry.modelAsset);
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.CATALOGUE = CATALOGUE;
+exports.normaliseCode = normaliseCode;
+exports.resolveAsset = resolveAsset;
+exports.get = get;
+exports.listIds = listIds;
+exports.listForestBaselineTiles = listForestBaselineTiles;
+exports.listSocioeconomicLayers = listSocioeconomicLayers;
+exports.getOutputFolder = getOutputFolder;
+exports.validate = validate;
+exports.loadGeometry = loadGeometry;
+exports.loadSamples = loadSamples;
+exports.loadModel = loadModel;
@@ -0,0 +1,253 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: National FCL Mosaic and Loss-Year Stack
+ * =================================================================================
+ *
+ * Purpose: Assembles the 35 per-ecoregion FCL maps of a year into one national
+ * image, and the annual national images of a release into a single multi-year
+ * stack with a Hansen-style 'lossyear' band.
+ *
+ * Corresponding Manuscript Sections:
+ * - 2.3.2 "Ecoregion-Specific Model Training, Optimization, and FCL Mapping"
+ *
+ * Usage:
+ *   var mosaic = require('users/ldf160107/ECF-TST:Code/modules/fcl_mosaic.js');
+ *   var national2020 = mosaic.buildNationalMosaic(2020);
+ *   var stack = mosaic.buildLossStack(2001, 2024);
+ *   Export.image.toAsset(mosaic.getExportOptions(stack, mosaic.exportDescription(2001, 2024)));
+ *
+ * Inputs:
+ * - source 'asset' (default): the per-ecoregion maps exported with
+ *   `fcl_pipeline.getAssetExportOptions` to the catalogue's 'fclMaps' folder,
+ *   e.g. `run_batch.js --destination asset`.
+ * - source 'build': the maps are built on the fly with `buildFclMap`. Only
+ *   practical for a few ecoregions or for checking a seam interactively.
+ *
+ * Seam priority rule (applied per pixel, highest priority wins):
+ * 1. Ownership: a map is first clipped to its own ecoregion boundary. A pixel
+ *    inside an ecoregion is always taken from that ecoregion's map.
+ * 2. Overlaps: where two boundaries overlap (both maps own the pixel), a loss
+ *    label (1-3) wins over Stable (0), so a loss detected by either model is
+ *    kept at the seam.
+ * 3. Ties: between owners with the same loss/stable status, the lower
+ *    ecoregion ID wins.
+ * 4. Gaps: pixels inside no boundary (slivers between polygons) are filled
+ *    from the maps of ecoregions within `gapBufferMeters`, using rules 2-3.
+ * The 'ecoregion_id' band records which ecoregion each pixel was taken from.
+ *
+ * Loss-year stack bands:
+ * - 'lossyear': first year with a loss label, as years since 2000 (1-24), 0 if
+ *   no loss was mapped (same encoding as Hansen GFC 'lossyear').
+ * - 'losstype': FCL class (1-3) in the loss year, 0 if no loss.
+ * - 'fcl_<year>': the national label of each year.
+ *
+ * =================================================================================
+ */
+
+var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+// Priority weights of the seam rule; each term dominates all terms after it.
+var OWNER_WEIGHT = 1000;
+var LOSS_WEIGHT = 100;        // Ecoregion IDs (1-35) stay below this weight.
+var DEFAULT_GAP_BUFFER = 300; // meters (10 Landsat pixels)
+
+var SOURCES = ['asset', 'build'];
+var LOSSYEAR_BASE = 2000;     // 'lossyear' = year - LOSSYEAR_BASE
+
+// National extent used as export region.
+var china = ee.FeatureCollection("USDOS/LSIB_SIMPLE/2017")
+  .filter(ee.Filter.eq('country_na', 'China'));
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Loads a per-ecoregion FCL map exported with `getAssetExportOptions`.
+ * @param {Number} ecoregionId - Ecoregion ID.
+ * @param {Number} year - Target year.
+ * @param {String} [outputMode='label'] - 'label' or 'probability'.
+ * @returns {ee.Image} The exported map.
+ */
+function loadEcoregionMap(ecoregionId, year, outputMode) {
+  return ee.Image(catalogue.getOutputFolder('fclMaps') + '/' +
+                  pipeline.exportDescription(ecoregionId, year, outputMode));
+}
+
+/**
+ * Adds the seam-rule 'priority' and the 'ecoregion_id' bands to one map.
+ * @param {ee.Image} map - Ecoregion map with a 'prediction' band.
+ * @param {Number} ecoregionId - Ecoregion ID.
+ * @param {Boolean} owned - Whether the pixels lie inside the ecoregion.
+ * @returns {ee.Image} The map with 'priority' and 'ecoregion_id' bands.
+ */
+function withPriority(map, ecoregionId, owned) {
+  var prediction = map.select('prediction');
+  var priority = prediction.gt(0).multiply(LOSS_WEIGHT)
+    .add(LOSS_WEIGHT - ecoregionId)
+    .add(owned ? OWNER_WEIGHT : 0)
+    .rename('priority');
+  var source = prediction.multiply(0).add(ecoregionId).rename('ecoregion_id');
+  return map.addBands(source).addBands(priority.toInt16());
+}
+
+// -------------------------------
+// 3. MOSAICKING
+// -------------------------------
+
+/**
+ * Builds the national FCL image of one year from the per-ecoregion maps.
+ * @param {Number} year - Target year.
+ * @param {Object} [options]
+ * @param {Array<Number>} [options.ecoregionIds] - Defaults to all catalogued.
+ * @param {String} [options.source='asset'] - 'asset' or 'build'.
+ * @param {String} [options.outputMode='label'] - 'label' or 'probability'.
+ * @param {Number} [options.gapBufferMeters=300] - Gap-filling distance; 0
+ *     disables gap filling.
+ * @returns {ee.Image} 'prediction', 'ecoregion_id' (and 'prob_0'..'prob_3' in
+ *     probability mode).
+ */
+function buildNationalMosaic(year, options) {
+  options = options || {};
+  var ecoregionIds = options.ecoregionIds || catalogue.listIds();
+  var source = options.source || 'asset';
+  var outputMode = options.outputMode || 'label';
+  var gapBuffer = options.gapBufferMeters !== undefined ?
+    options.gapBufferMeters : DEFAULT_GAP_BUFFER;
+  if (SOURCES.indexOf(source) < 0) {
+    throw new Error('Unknown mosaic source "' + source + '"; use ' + SOURCES.join(' or ') + '.');
+  }
+
+  var candidates = [];
+  ecoregionIds.forEach(function(id) {
+    var ecoregion = catalogue.get(id);
+    var map = source === 'asset' ?
+      loadEcoregionMap(ecoregion.id, year, outputMode) :
+      pipeline.buildFclMap(ecoregion.id, year, {outputMode: outputMode}).image;
+    var boundary = catalogue.loadGeometry(ecoregion).geometry();
+
+    candidates.push(withPriority(map.clip(boundary), ecoregion.id, true));
+    if (gapBuffer > 0) {
+      candidates.push(withPriority(map.clip(boundary.buffer(gapBuffer)), ecoregion.id, false));
+    }
+  });
+
+  var bands = ['prediction', 'ecoregion_id'];
+  if (outputMode === 'probability') bands = bands.concat(pipeline.PROBABILITY_BANDS);
+
+  return ee.ImageCollection.fromImages(candidates)
+    .qualityMosaic('priority')
+    .select(bands)
+    .set({
+      'composite_year': year,
+      'output_mode': outputMode,
+      'mosaic_source': source,
+      'ecoregion_count': ecoregionIds.length,
+      'gap_buffer_m': gapBuffer
+    });
+}
+
+/**
+ * Stacks the national mosaics of a release and derives the loss year.
+ * @param {Number} startYear - First year (> 2000, the forest baseline year).
+ * @param {Number} endYear - Last year.
+ * @param {Object} [options] - Passed to `buildNationalMosaic` (label mode only).
+ * @returns {ee.Image} 'lossyear', 'losstype' and 'fcl_<year>' bands.
+ */
+function buildLossStack(startYear, endYear, options) {
+  if (startYear <= LOSSYEAR_BASE || endYear < startYear) {
+    throw new Error('Invalid stack years ' + startYear + '-' + endYear +
+                    '; loss years start after ' + LOSSYEAR_BASE + '.');
+  }
+  options = options || {};
+  var mosaicOptions = {
+    ecoregionIds: options.ecoregionIds,
+    source: options.source,
+    gapBufferMeters: options.gapBufferMeters
+  };
+
+  var annual = [];
+  for (var year = startYear; year <= endYear; year++) {
+    annual.push(buildNationalMosaic(year, mosaicOptions)
+      .select('prediction').toByte().rename('fcl_' + year));
+  }
+
+  // Walk the years backwards so the earliest loss overwrites later ones.
+  var lossyear = ee.Image.constant(0);
+  var losstype = ee.Image.constant(0);
+  for (var i = annual.length - 1; i >= 0; i--) {
+    var label = annual[i].unmask(0);
+    var isLoss = label.gt(0);
+    lossyear = lossyear.where(isLoss, startYear + i - LOSSYEAR_BASE);
+    losstype = losstype.where(isLoss, label);
+  }
+
+  // Keep pixels mapped in at least one year (the forest mask).
+  var mapped = ee.ImageCollection.fromImages(annual.map(function(img) {
+    return img.mask().rename('mapped');
+  })).max();
+
+  return lossyear.rename('lossyear').toByte()
+    .addBands(losstype.rename('losstype').toByte())
+    .updateMask(mapped)
+    .addBands(ee.Image.cat(annual))
+    .set({
+      'start_year': startYear,
+      'end_year': endYear,
+      'lossyear_base': LOSSYEAR_BASE,
+      'mosaic_source': options.source || 'asset'
+    });
+}
+
+// -------------------------------
+// 4. EXPORT
+// -------------------------------
+
+/**
+ * Standard name of a national product.
+ * @param {Number} startYear - Year of an annual mosaic, or first stack year.
+ * @param {Number} [endYear] - Last stack year (omit for an annual mosaic).
+ * @returns {String} e.g. 'FCL_National_2020' or 'FCL_National_Stack_2001_2024'.
+ */
+function exportDescription(startYear, endYear) {
+  return endYear === undefined ?
+    'FCL_National_' + startYear :
+    'FCL_National_Stack_' + startYear + '_' + endYear;
+}
+
+/**
+ * Returns the `Export.image.toAsset` parameters for a national mosaic or stack
+ * (written to the catalogue's 'national' folder).
+ * @param {ee.Image} image - Result of `buildNationalMosaic` or `buildLossStack`.
+ * @param {String} description - Name from `exportDescription`.
+ * @returns {Object} Export parameters.
+ */
+function getExportOptions(image, description) {
+  return {
+    image: image,
+    description: description,
+    assetId: catalogue.getOutputFolder('national') + '/' + description,
+    region: china.geometry().bounds(),
+    scale: pipeline.EXPORT_SCALE,
+    maxPixels: 1e13,
+    crs: pipeline.EXPORT_CRS,
+    pyramidingPolicy: {'.default': 'mode'}
+  };
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.LOSSYEAR_BASE = LOSSYEAR_BASE;
+exports.DEFAULT_GAP_BUFFER = DEFAULT_GAP_BUFFER;
+exports.loadEcoregionMap = loadEcoregionMap;
+exports.buildNationalMosaic = buildNationalMosaic;
+exports.buildLossStack = buildLossStack;
+exports.exportDescription = exportDescription;
+exports.getExportOptions = getExportOptions;
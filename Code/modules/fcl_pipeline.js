@@ -0,0 +1,563 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Annual FCL Mapping Pipeline
+ * =================================================================================
+ *
+ * Purpose: Builds the annual Forest Cover Loss (FCL) map of one ecoregion and one
+ * target year, and the matching `Export.image` parameters. This is the pipeline
+ * behind `ECF_TST_Annual_FCL_Mapping.js`; the batch orchestrator
+ * (`Code/orchestrator/`) calls the same functions from Node.js, so maps made
+ * interactively and in batch are identical.
+ *
+ * Corresponding Manuscript Sections:
+ * - 2.2.2 "Multidimensional Feature Dataset" (Feature engineering)
+ * - 2.3.2 "Ecoregion-Specific Model Training, Optimization, and FCL Mapping"
+ *
+ * Usage:
+ *   var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+ *   var fcl = pipeline.buildFclMap(20, 2020);
+ *   Export.image.toDrive(pipeline.getExportOptions(fcl));
+ *   Export.image.toAsset(pipeline.getAssetExportOptions(fcl)); // input of fcl_mosaic.js
+ *
+ *   // Probability mode: per-class probabilities plus a thresholded label.
+ *   var fclProb = pipeline.buildFclMap(20, 2020, {outputMode: 'probability'});
+ *
+ *   // Full feature stack (every registered feature) of an area and year, or
+ *   // only the features of a subset (built lazily, see buildFeatureStack).
+ *   var ctx = pipeline.buildFeatureContext(aoi, 2020, pipeline.getForestMask(),
+ *                                          pipeline.compositeOptions(ecoregion));
+ *   var stack = pipeline.buildFeatureStack(ctx);
+ *   var subset = pipeline.buildFeatureStack(ctx, ['NBR', 'B4_con', 'dem']);
+ *
+ * Output modes:
+ * - 'label'       (default) Hard 0-3 labels from `classify`, focal-smoothed.
+ * - 'probability' The model is switched to MULTIPROBABILITY output. The export
+ *                 holds 'prediction' (label derived from the per-ecoregion
+ *                 probability thresholds, focal-smoothed) and 'prob_0'..'prob_3'
+ *                 (class probabilities * 10000, unsmoothed). Class k (1-3) is
+ *                 assigned where prob_k >= threshold_k and prob_k is the highest
+ *                 qualifying loss probability; everything else is 0 (Stable).
+ *                 Probabilities are placed by the model's trained class
+ *                 values (see trainedClasses); untrained classes are 0.
+ *
+ * Sentinel-2 fusion (options.fusion, see compositing.js):
+ * - {source: 's2' | 'hls', resampling: 'aggregate' | 'native'} builds the
+ *   composites from 2017 onward from Sentinel-2 where it has clear
+ *   observations and from Landsat elsewhere (same bands, so the same index
+ *   and texture names). 'native' S2 maps are exported at 10 m.
+ * - Asset exports record 'fusion_source', 'fusion_resampling' and the target
+ *   composite's actual 'composite_source'; Drive file names get a '_S2' or
+ *   '_HLS' suffix when fusion applies to the target year.
+ * - Use models trained on samples extracted with the same fusion options.
+ *
+ * Composite cache: annual composites and indices are read from the
+ * ecoregion's cache collection (composite_cache.js, filled by
+ * ECF_TST_Composite_Cache.js) where it holds the requested years and
+ * parameters; the other years are built on the fly. options.useCache = false
+ * always rebuilds.
+ *
+ * Forest mask (options.maskMode, see forest_baseline.js): 'baseline_2000'
+ * (default), 'previous_year' or 'any_before'. Asset exports record it as
+ * 'forest_mask_mode'; Drive file names of the year-varying modes get a
+ * '_MaskPrev' or '_MaskAny' suffix.
+ *
+ * Climate options (options.climate, see features.checkClimateOptions):
+ * {temperature: 'skin_temperature' | 'temperature_2m', baselineStart,
+ * baselineEnd}; the defaults are those of the deployed models. Asset exports
+ * record 'climate_temperature' and 'climate_baseline'. Use models trained on
+ * samples extracted with the same climate options.
+ *
+ * Terrain DEM (options.dem, see terrain.js): 'srtm' (default), 'nasadem',
+ * 'copernicus' or 'alos'. Asset exports record it as 'terrain_dem'.
+ *
+ * Model inputs: the classifier is given the features recorded in the model's
+ * training settings (model_selection.js), under the recorded names. Models
+ * without recorded settings (the original deployments) get the catalogue's
+ * `features` instead. Reading the settings is a client-side call.
+ *
+ * Feature settings (featureSettings): the options above that change feature
+ * values, as flat 'feature_*' properties. Sample tables and model settings
+ * record them; `model_selection.verifyModel` compares a model's with the
+ * mapping run's (`result.featureSettings`).
+ *
+ * =================================================================================
+ */
+
+var compositing = require('users/ldf160107/ECF-TST:Code/modules/compositing.js');
+var compositeCache = require('users/ldf160107/ECF-TST:Code/modules/composite_cache.js');
+var forestBaseline = require('users/ldf160107/ECF-TST:Code/modules/forest_baseline.js');
+var terrain = require('users/ldf160107/ECF-TST:Code/modules/terrain.js');
+var features = require('users/ldf160107/ECF-TST:Code/modules/features.js');
+var registry = require('users/ldf160107/ECF-TST:Code/modules/feature_registry.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+var modelSelection = require('users/ldf160107/ECF-TST:Code/modules/model_selection.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+// Annual Landsat SR composites (compositing.js): first year and method. The
+// seasonal window comes from the ecoregion catalogue (`compositeSeason`).
+var START_YEAR = 2000;
+var COMPOSITE_METHOD = 'medoid';
+
+// Export settings.
+var EXPORT_FOLDER = 'GEE_FCL_Exports'; // Google Drive folder
+var EXPORT_SCALE = 30;                 // Landsat resolution
+var EXPORT_CRS = 'EPSG:4326';
+
+// Classifier output modes and the FCL class scheme (0:Stable, 1-3:FCL sub-types).
+var OUTPUT_MODES = ['label', 'probability'];
+var CLASS_VALUES = [0, 1, 2, 3];
+var LOSS_CLASSES = [1, 2, 3];
+var PROBABILITY_BANDS = CLASS_VALUES.map(function(c) { return 'prob_' + c; });
+var PROBABILITY_SCALE = 10000; // Probabilities are exported as UInt16 (0-10000).
+
+// Drive file-name suffix per forest mask mode.
+var MASK_SUFFIXES = {baseline_2000: '', previous_year: '_MaskPrev', any_before: '_MaskAny'};
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Builds the forest mask from the GLC_FCS30D tiles (forest_baseline.js).
+ * @param {Number} [targetYear] - Year being mapped (needed by the year-varying
+ *     modes).
+ * @param {String} [maskMode='baseline_2000'] - One of
+ *     forest_baseline.MASK_MODES.
+ * @returns {ee.Image} Mask of pixels with forest class codes 50-92.
+ */
+function getForestMask(targetYear, maskMode) {
+  return forestBaseline.forestMask(targetYear, maskMode);
+}
+
+/**
+ * Validates the catalogue and returns the requested ecoregion entry.
+ * @param {Number|String} ecoregionKey - Ecoregion ID (1-35) or code (e.g. 'I23').
+ * @returns {Object} Catalogue entry.
+ */
+function getEcoregion(ecoregionKey) {
+  var check = catalogue.validate();
+  if (!check.valid) {
+    throw new Error('Ecoregion catalogue is invalid: ' + check.errors.join(' '));
+  }
+  return catalogue.get(ecoregionKey);
+}
+
+/**
+ * Resolves the input features of the ecoregion's model to canonical band
+ * names: those recorded in the model's training settings, or the catalogue's
+ * `features` for models without recorded settings. Any name that no builder
+ * can produce is reported here, before classification.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @param {Object|null} [recorded] - Result of `model_selection.readModelSettings`
+ *     for the ecoregion's model; read here if omitted.
+ * @returns {Object} {names, canonical, source}: the model's input property
+ *     names, the canonical band name of each, and where the names came from
+ *     ('model', 'settings' or 'catalogue').
+ */
+function resolveFeatures(ecoregion, recorded) {
+  if (recorded === undefined) recorded = modelSelection.readModelSettings(ecoregion.modelAsset);
+  var names = recorded ? modelSelection.recordedFeatures(recorded.properties) : ecoregion.features;
+  var resolution = registry.resolveAll(names);
+  if (resolution.unresolved.length > 0) {
+    throw new Error('Ecoregion ' + ecoregion.id + ': ' +
+      resolution.unresolved.length + ' feature(s) cannot be resolved: ' +
+      resolution.unresolved.join(', '));
+  }
+  return {
+    names: names,
+    canonical: names.map(function(name) { return resolution.mapping[name]; }),
+    source: recorded ? recorded.source : 'catalogue'
+  };
+}
+
+/**
+ * Standard export name of an ecoregion/year FCL map.
+ * @param {Number} ecoregionId - Ecoregion ID.
+ * @param {Number} targetYear - Target year.
+ * @param {String} [outputMode='label'] - 'label' or 'probability'.
+ * @returns {String} e.g. 'FCL_Map_2020_Ecoregion_20' or 'FCL_Prob_2020_Ecoregion_20'.
+ */
+function exportDescription(ecoregionId, targetYear, outputMode) {
+  var prefix = outputMode === 'probability' ? 'FCL_Prob_' : 'FCL_Map_';
+  return prefix + targetYear + '_Ecoregion_' + ecoregionId;
+}
+
+/**
+ * Class values the ecoregion's model was trained on, ascending: those recorded
+ * in its training settings, or the labels of the catalogue sample asset for
+ * models without recorded classes (the deployed models were trained on it).
+ * @param {Object} ecoregion - Catalogue entry.
+ * @param {Object|null} recorded - Result of `model_selection.readModelSettings`.
+ * @returns {ee.List} Class values.
+ */
+function trainedClasses(ecoregion, recorded) {
+  var classes = recorded ? modelSelection.recordedClasses(recorded.properties) : null;
+  if (classes) return ee.List(classes);
+  return catalogue.loadSamples(ecoregion).aggregate_array('label').distinct().sort();
+}
+
+/**
+ * Classifies a feature image into per-class probability bands. The
+ * MULTIPROBABILITY array holds one entry per trained class in ascending class
+ * order, so each entry is placed on the band of its class value; classes the
+ * model was not trained on get probability 0.
+ * @param {ee.Image} featureImage - Image with the model's input bands.
+ * @param {ee.Classifier} model - Trained classifier.
+ * @param {ee.List} classes - Class values of the model (`trainedClasses`).
+ * @returns {ee.Image} Bands 'prob_0'..'prob_3' with probabilities in [0, 1].
+ */
+function classifyProbabilities(featureImage, model, classes) {
+  var array = featureImage.classify(model.setOutputMode('MULTIPROBABILITY'), 'probability');
+  classes = ee.List(classes);
+  return ee.Image.cat(CLASS_VALUES.map(function(k) {
+    var position = classes.indexOf(k);
+    return ee.Image(ee.Algorithms.If(position.gte(0),
+      array.arrayGet(ee.List([position])),
+      ee.Image.constant(0))).toFloat();
+  })).rename(PROBABILITY_BANDS);
+}
+
+/**
+ * Derives the FCL label from class probabilities and per-class thresholds.
+ * Loss class k is assigned where prob_k >= thresholds[k] and prob_k is the
+ * largest of the qualifying loss probabilities; all other pixels are 0 (Stable).
+ * Raising a threshold trades commission error for omission error of that class.
+ * @param {ee.Image} probabilities - Bands 'prob_0'..'prob_3' in [0, 1].
+ * @param {Object} thresholds - Map class value ('1'-'3') -> minimum probability.
+ * @returns {ee.Image} Single 'prediction' band with values 0-3.
+ */
+function labelFromProbabilities(probabilities, thresholds) {
+  var label = ee.Image.constant(0);
+  var best = ee.Image.constant(0);
+  LOSS_CLASSES.forEach(function(k) {
+    var p = probabilities.select('prob_' + k);
+    var wins = p.gte(thresholds[String(k)]).and(p.gt(best));
+    label = label.where(wins, k);
+    best = best.where(wins, p);
+  });
+  return label.rename('prediction').toByte();
+}
+
+// -------------------------------
+// 3. FEATURE STACK
+// -------------------------------
+
+/**
+ * Compositing options of an ecoregion: its catalogue season, the method and
+ * the Sentinel-2 fusion.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @param {String} [method] - Composite method (default COMPOSITE_METHOD).
+ * @param {Object} [fusion] - Fusion options (default: none).
+ * @param {Boolean} [useCache=true] - Read cached years from the ecoregion's
+ *     composite collection (composite_cache.js).
+ * @returns {Object} Options of `compositing.buildAnnualComposites`, plus
+ *     `cache` (the ecoregion entry, or null).
+ */
+function compositeOptions(ecoregion, method, fusion, useCache) {
+  return {
+    season: ecoregion.compositeSeason,
+    method: method || COMPOSITE_METHOD,
+    fusion: compositing.checkFusion(fusion),
+    cache: useCache === false ? null : ecoregion
+  };
+}
+
+/**
+ * Describes the options that change feature values as flat properties
+ * (strings), recorded by sampling.js and model_selection.js.
+ * @param {Object} [composite] - Composite options (`compositeOptions`);
+ *     defaults to those of buildAnnualComposites.
+ * @param {String} [maskMode] - Forest mask mode.
+ * @param {Object} [climate] - Climate options.
+ * @param {String} [dem] - DEM of the terrain features.
+ * @returns {Object} {feature_season, feature_composite_method,
+ *     feature_harmonise, feature_fusion, feature_mask_mode, feature_climate,
+ *     feature_dem}, e.g. feature_season '05-01/09-30'.
+ */
+function featureSettings(composite, maskMode, climate, dem) {
+  var c = compositing.resolveOptions(composite);
+  var cl = features.checkClimateOptions(climate);
+  return {
+    'feature_season': c.season.start + '/' + c.season.end,
+    'feature_composite_method': c.method,
+    'feature_harmonise': c.harmonise === 'none' ? c.harmonise :
+      c.harmonise + ':' + compositing.HARMONISATION_COEFFICIENTS,
+    'feature_fusion': c.fusion.source === 'none' ? 'none' :
+      c.fusion.source + '/' + c.fusion.resampling,
+    'feature_mask_mode': forestBaseline.checkMaskMode(maskMode),
+    'feature_climate': cl.temperature + '/' + cl.baselineStart + '-' + cl.baselineEnd,
+    'feature_dem': terrain.checkDem(dem)
+  };
+}
+
+/**
+ * Builds the feature context consumed by the registry's builders.
+ * @param {ee.FeatureCollection|ee.Geometry} aoi - Area of interest.
+ * @param {Number} targetYear - Target year.
+ * @param {ee.Image} forestMask - Baseline forest mask.
+ * @param {Object} [composite] - Options of `compositing.buildAnnualComposites`
+ *     (see `compositeOptions`); defaults to the default season and method.
+ *     With `composite.cache`, cached years are read from the composite cache
+ *     and only the missing years are built.
+ * @param {Object} [climate] - Climate options (features.checkClimateOptions);
+ *     default: the deployed models' settings.
+ * @param {String} [dem='srtm'] - DEM of the terrain features
+ *     (terrain.DEM_SOURCES).
+ * @returns {Object} {srCollection, tsCollection, targetYear, aoi, forestMask,
+ *     climate, dem, season}.
+ */
+function buildFeatureContext(aoi, targetYear, forestMask, composite, climate, dem) {
+  // Annual SR composites (Landsat, Sentinel-2 if fused) and their indices.
+  composite = composite || {method: COMPOSITE_METHOD};
+  var srCollection;
+  var tsCollection;
+  if (composite.cache) {
+    var annual = compositeCache.annualCollection(
+      composite.cache, aoi, START_YEAR, targetYear, composite);
+    srCollection = annual.select(compositing.BANDS);
+    tsCollection = annual.select(features.INDEX_BANDS);
+  } else {
+    srCollection = compositing.buildAnnualComposites(aoi, START_YEAR, targetYear, composite);
+    tsCollection = srCollection.map(features.addIndices).select(features.INDEX_BANDS);
+  }
+  return {
+    srCollection: srCollection,
+    tsCollection: tsCollection,
+    targetYear: targetYear,
+    aoi: aoi,
+    forestMask: forestMask,
+    climate: features.checkClimateOptions(climate),
+    dem: terrain.checkDem(dem),
+    season: compositing.resolveOptions(composite).season
+  };
+}
+
+/**
+ * Builds the feature stack: the spectral, temporal, textural, climatic,
+ * topographic, LandTrendr segmentation and socio-economic features of the
+ * requested names.
+ * Only the builders of requested features run, and they construct only the
+ * requested indices, families and texture bands.
+ * @param {Object} context - Result of `buildFeatureContext`.
+ * @param {Array<String>} [names] - Canonical feature names; defaults to every
+ *     registered feature (the full stack).
+ * @returns {ee.Image} One band per requested name, in the given order.
+ */
+function buildFeatureStack(context, names) {
+  names = names || registry.listFeatures();
+  var groups = registry.groupByBuilder(names);
+  var images = Object.keys(groups).map(function(key) {
+    return registry.BUILDERS[key](context, groups[key]);
+  });
+  return ee.Image.cat(images).select(names);
+}
+
+// -------------------------------
+// 4. MAIN PIPELINE
+// -------------------------------
+
+/**
+ * Builds the FCL map of one ecoregion and year.
+ * @param {Number|String} ecoregionKey - Ecoregion ID (1-35) or code (e.g. 'I23').
+ * @param {Number} targetYear - Target year (2000 to 2024).
+ * @param {Object} [options]
+ * @param {String} [options.outputMode='label'] - 'label' or 'probability'.
+ * @param {Object} [options.thresholds] - Per-class probability thresholds
+ *     (probability mode); defaults to the ecoregion's catalogue thresholds.
+ * @param {String} [options.compositeMethod='medoid'] - Annual composite
+ *     method (compositing.METHODS).
+ * @param {Object} [options.fusion] - Sentinel-2 fusion {source, resampling}
+ *     (compositing.js); default none.
+ * @param {String} [options.maskMode='baseline_2000'] - Forest mask mode
+ *     (forest_baseline.MASK_MODES).
+ * @param {Boolean} [options.useCache=true] - Read cached composites
+ *     (composite_cache.js).
+ * @param {Object} [options.climate] - Climate options {temperature,
+ *     baselineStart, baselineEnd} (features.checkClimateOptions).
+ * @param {String} [options.dem='srtm'] - DEM of the terrain features
+ *     (terrain.DEM_SOURCES).
+ * @returns {Object} {ecoregion, targetYear, outputMode, maskMode, composite,
+ *                    climate, dem, scale, compositeSource, thresholds, aoi, forestMask,
+ *                    modelFeatures, modelFeatureSource, featureSettings,
+ *                    selectedFeatures,
+ *                    classified, probabilities, smoothed, image, description}.
+ *                    `modelFeatures` are the band names given to the model
+ *                    (see resolveFeatures); `scale` is the map pixel size (m);
+ *                    `compositeSource` the target composite's source. `smoothed` is the smoothed
+ *                    label; `image` is the map to export.
+ */
+function buildFclMap(ecoregionKey, targetYear, options) {
+  options = options || {};
+  var outputMode = options.outputMode || 'label';
+  if (OUTPUT_MODES.indexOf(outputMode) < 0) {
+    throw new Error('Unknown output mode "' + outputMode + '"; use ' + OUTPUT_MODES.join(' or ') + '.');
+  }
+  var ecoregion = getEcoregion(ecoregionKey);
+  var thresholds = options.thresholds || ecoregion.probabilityThresholds;
+  var recorded = modelSelection.readModelSettings(ecoregion.modelAsset);
+  var modelInputs = resolveFeatures(ecoregion, recorded);
+  var aoi = catalogue.loadGeometry(ecoregion);
+  var maskMode = forestBaseline.checkMaskMode(options.maskMode);
+  var forestMask = getForestMask(targetYear, maskMode);
+
+  // 4.1 Build only the model's input features (spectral, temporal,
+  // textural, climatic, topographic, segmentation or socio-economic; see
+  // buildFeatureStack).
+  var composite = compositeOptions(ecoregion, options.compositeMethod, options.fusion,
+                                   options.useCache);
+  var context = buildFeatureContext(aoi, targetYear, forestMask, composite, options.climate,
+                                    options.dem);
+  var featureImage = buildFeatureStack(context, modelInputs.canonical);
+  var compositeSource = ee.Image(context.srCollection
+    .filter(ee.Filter.eq('composite_year', targetYear)).first()).get('composite_source');
+
+  // Select the canonical bands and rename them to the input properties the
+  // model was trained on.
+  var selectedFeatures = featureImage.select(modelInputs.canonical, modelInputs.names);
+
+  // 4.2 Classify with the pre-trained ecoregion-optimized model.
+  var model = catalogue.loadModel(ecoregion);
+  var probabilities = null;
+  var classified;
+  if (outputMode === 'probability') {
+    probabilities = classifyProbabilities(selectedFeatures, model, trainedClasses(ecoregion, recorded))
+      .updateMask(forestMask);
+    classified = labelFromProbabilities(probabilities, thresholds).updateMask(forestMask);
+  } else {
+    classified = selectedFeatures.classify(model, 'prediction').updateMask(forestMask);
+  }
+
+  // 4.3 Apply post-processing: focal smoothing (3x3 mode filter).
+  var smoothed = classified.focal_mode({radius: 1, kernelType: 'square', iterations: 1});
+
+  var output = smoothed;
+  if (outputMode === 'probability') {
+    output = smoothed.toUint16().addBands(
+      probabilities.multiply(PROBABILITY_SCALE).round().toUint16());
+  }
+
+  return {
+    ecoregion: ecoregion,
+    targetYear: targetYear,
+    outputMode: outputMode,
+    maskMode: maskMode,
+    composite: composite,
+    climate: context.climate,
+    dem: context.dem,
+    scale: compositing.fusionScale(composite.fusion),
+    compositeSource: compositeSource,
+    thresholds: thresholds,
+    aoi: aoi,
+    forestMask: forestMask,
+    modelFeatures: modelInputs.names,
+    modelFeatureSource: modelInputs.source,
+    featureSettings: featureSettings(composite, maskMode, context.climate, context.dem),
+    selectedFeatures: selectedFeatures,
+    classified: classified,
+    probabilities: probabilities,
+    smoothed: smoothed,
+    image: output,
+    description: exportDescription(ecoregion.id, targetYear, outputMode)
+  };
+}
+
+/**
+ * Drive file-name suffix of a map: '_S2' or '_HLS' when fusion applies to the
+ * target year, then MASK_SUFFIXES of the forest mask mode.
+ * @param {Object} result - Result of `buildFclMap`.
+ * @returns {String} Suffix ('' for default settings).
+ */
+function fileNameSuffix(result) {
+  var source = result.composite.fusion.source;
+  var fused = source !== 'none' && result.targetYear >= compositing.FUSION_START_YEAR;
+  return (fused ? '_' + source.toUpperCase() : '') + MASK_SUFFIXES[result.maskMode];
+}
+
+/**
+ * Returns the `Export.image.toDrive` parameters for a pipeline result.
+ * @param {Object} result - Result of `buildFclMap`.
+ * @returns {Object} Export parameters.
+ */
+function getExportOptions(result) {
+  return {
+    image: result.image,
+    description: result.description,
+    folder: EXPORT_FOLDER,
+    fileNamePrefix: result.description + fileNameSuffix(result),
+    region: result.aoi.geometry(),
+    scale: result.scale,
+    maxPixels: 1e13,
+    crs: EXPORT_CRS,
+    fileFormat: 'GeoTIFF',
+    formatOptions: {
+      cloudOptimized: true
+    }
+  };
+}
+
+/**
+ * Returns the `Export.image.toAsset` parameters for a pipeline result. Maps
+ * exported this way (to the catalogue's 'fclMaps' folder) are the inputs of the
+ * national mosaic (fcl_mosaic.js).
+ * @param {Object} result - Result of `buildFclMap`.
+ * @returns {Object} Export parameters.
+ */
+function getAssetExportOptions(result) {
+  var pyramiding = {'.default': 'mode'};
+  if (result.outputMode === 'probability') {
+    PROBABILITY_BANDS.forEach(function(b) { pyramiding[b] = 'mean'; });
+  }
+  return {
+    image: result.image.set({
+      'ecoregion_id': result.ecoregion.id,
+      'ecoregion_code': result.ecoregion.code,
+      'composite_year': result.targetYear,
+      'output_mode': result.outputMode,
+      'forest_mask_mode': result.maskMode,
+      'composite_method': result.composite.method,
+      'composite_source': result.compositeSource,
+      'fusion_source': result.composite.fusion.source,
+      'fusion_resampling': result.composite.fusion.resampling,
+      'climate_temperature': result.climate.temperature,
+      'climate_baseline': result.climate.baselineStart + '-' + result.climate.baselineEnd,
+      'terrain_dem': result.dem
+    }),
+    description: result.description,
+    assetId: catalogue.getOutputFolder('fclMaps') + '/' + result.description,
+    region: result.aoi.geometry(),
+    scale: result.scale,
+    maxPixels: 1e13,
+    crs: EXPORT_CRS,
+    pyramidingPolicy: pyramiding
+  };
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.START_YEAR = START_YEAR;
+exports.EXPORT_FOLDER = EXPORT_FOLDER;
+exports.EXPORT_SCALE = EXPORT_SCALE;
+exports.EXPORT_CRS = EXPORT_CRS;
+exports.CLASS_VALUES = CLASS_VALUES;
+exports.LOSS_CLASSES = LOSS_CLASSES;
+exports.OUTPUT_MODES = OUTPUT_MODES;
+exports.PROBABILITY_BANDS = PROBABILITY_BANDS;
+exports.PROBABILITY_SCALE = PROBABILITY_SCALE;
+exports.getForestMask = getForestMask;
+exports.resolveFeatures = resolveFeatures;
+exports.compositeOptions = compositeOptions;
+exports.featureSettings = featureSettings;
+exports.buildFeatureContext = buildFeatureContext;
+exports.buildFeatureStack = buildFeatureStack;
+exports.exportDescription = exportDescription;
+exports.trainedClasses = trainedClasses;
+exports.classifyProbabilities = classifyProbabilities;
+exports.labelFromProbabilities = labelFromProbabilities;
+exports.buildFclMap = buildFclMap;
+exports.getExportOptions = getExportOptions;
+exports.getAssetExportOptions = getAssetExportOptions;
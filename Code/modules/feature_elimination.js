@@ -0,0 +1,202 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Recursive Feature Elimination (RFE)
+ * =================================================================================
+ *
+ * Purpose: Re-derives the optimal feature subset of an ecoregion (the
+ * catalogue's `trainingFeatures`) from the full feature stack. Starting from
+ * every registered feature, a Random Forest is trained and evaluated on each
+ * cross-validation fold, and the features with the lowest `explain()`
+ * importance (summed over the fold models) are dropped; this repeats down to
+ * `minFeatures`. The subset is the smallest one
+ * whose objective is within `tolerance` of the best step on the curve.
+ *
+ * Usage:
+ *   var rfe = require('users/ldf160107/ECF-TST:Code/modules/feature_elimination.js');
+ *   var samples = ee.FeatureCollection(sampling.sampleAssetId(ecoregion));
+ *   var result = rfe.eliminate(samples, rfe.candidateFeatures(), {
+ *     ecoregionId: 1,
+ *     cv: {strategy: 'spatial_block', folds: 5, blockSizeKm: 10}
+ *   });
+ *   Export.table.toDrive(rfe.getExportOptions(result.curve, 'RFE_Curve_E1', rfe.CURVE_COLUMNS));
+ *
+ * Key Notes:
+ * - The elimination runs server-side (`ee.List.iterate`); the number of steps
+ *   is ceil((n - minFeatures) / step) + 1 for n candidate features.
+ * - Features missing from the importance dictionary count as 0.
+ * - The samples are the full-stack tables of sampling.js (numeric properties
+ *   named by canonical feature), so the chosen names are the canonical band
+ *   names of the mapping pipeline.
+ * - `options.cv` takes the CV options of the training script
+ *   (cross_validation.js); each step's scores are the fold means. The default
+ *   is the 'random' 75/25 split, which inflates the scores of spatially
+ *   autocorrelated samples; prefer 'spatial_block' or 'leave_one_year_out'.
+ *
+ * =================================================================================
+ */
+
+var registry = require('users/ldf160107/ECF-TST:Code/modules/feature_registry.js');
+var cv = require('users/ldf160107/ECF-TST:Code/modules/cross_validation.js');
+var metrics = require('users/ldf160107/ECF-TST:Code/modules/classification_metrics.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var DEFAULTS = {
+  step: 5,              // Features dropped per step
+  minFeatures: 3,
+  objective: 'kappa',   // A rate column of classification_metrics.js
+  tolerance: 0.01,      // Accepted objective loss for a smaller subset
+  trees: 100,
+  seed: 0
+};
+
+var EXPORT_FOLDER = 'GEE_Exports';
+var SEPARATOR = ',';
+
+var CURVE_COLUMNS = ['ecoregion_id', 'step', 'n_features', 'cv_strategy', 'num_folds']
+  .concat(metrics.RATE_COLUMNS, ['dropped', 'features']);
+var SUBSET_COLUMNS = ['ecoregion_id', 'n_features', 'objective', 'objective_value',
+  'best_value', 'tolerance', 'features'];
+
+// -------------------------------
+// 2. CANDIDATES
+// -------------------------------
+
+/**
+ * Lists the candidate features: every registered canonical name.
+ * @param {String} [group] - Restrict to one registry group.
+ * @returns {Array<String>} Canonical feature names.
+ */
+function candidateFeatures(group) {
+  return registry.listFeatures(group);
+}
+
+// -------------------------------
+// 3. ELIMINATION
+// -------------------------------
+
+/**
+ * Runs recursive feature elimination.
+ * @param {ee.FeatureCollection} samples - Samples with 'label' and one numeric
+ *     property per candidate feature (sampling.js).
+ * @param {Array<String>} features - Candidate feature names.
+ * @param {Object} [options] - Overrides of DEFAULTS, plus `ecoregionId` and
+ *     `cv` (CV options of cross_validation.js; default the 'random' split
+ *     drawn from `seed`).
+ * @returns {Object} {curve: ee.FeatureCollection (CURVE_COLUMNS),
+ *     selected: ee.Feature (SUBSET_COLUMNS)}.
+ */
+function eliminate(samples, features, options) {
+  options = options || {};
+  var get = function(key) { return options[key] !== undefined ? options[key] : DEFAULTS[key]; };
+  var step = get('step');
+  var minFeatures = get('minFeatures');
+  var objective = get('objective');
+  var tolerance = get('tolerance');
+  if (metrics.RATE_COLUMNS.indexOf(objective) < 0) {
+    throw new Error('Unknown objective "' + objective + '"; use ' +
+                    metrics.RATE_COLUMNS.join(', ') + '.');
+  }
+  if (!(step >= 1) || !(minFeatures >= 1)) {
+    throw new Error('RFE step and minFeatures must be at least 1.');
+  }
+  if (features.length < minFeatures) {
+    throw new Error('RFE needs at least ' + minFeatures + ' candidate features.');
+  }
+
+  var cvOptions = options.cv || {strategy: 'random', seed: get('seed')};
+  var withFolds = cv.assignFolds(samples, cvOptions);
+  var foldIds = cv.listFolds(withFolds, cvOptions);
+  var classifier = ee.Classifier.smileRandomForest({
+    numberOfTrees: get('trees'),
+    seed: get('seed')
+  });
+  var numSteps = Math.ceil((features.length - minFeatures) / step) + 1;
+
+  var final = ee.Dictionary(ee.List.sequence(0, numSteps - 1).iterate(function(index, state) {
+    state = ee.Dictionary(state);
+    var current = ee.List(state.get('features'));
+    var foldResults = ee.FeatureCollection(foldIds.map(function(fold) {
+      var split = cv.splitFold(withFolds, fold);
+      var trained = classifier.train({
+        features: split.training,
+        classProperty: 'label',
+        inputProperties: current
+      });
+      var matrix = metrics.confusionMatrix(split.testing.classify(trained));
+      return ee.Feature(null, metrics.evaluate(matrix)).set(
+        'importance', ee.Dictionary(trained.explain()).get('importance', {}));
+    }));
+
+    // Rank by importance summed over the folds (ascending) and drop the
+    // weakest, keeping stack order.
+    var importances = foldResults.aggregate_array('importance');
+    var scores = current.map(function(name) {
+      return importances.map(function(importance) {
+        return ee.Dictionary(importance).get(name, 0);
+      }).reduce(ee.Reducer.sum());
+    });
+    var dropCount = current.size().subtract(minFeatures).min(step).max(0);
+    var dropped = current.sort(scores).slice(0, dropCount);
+
+    var row = ee.Feature(null, metrics.summariseFolds(foldResults).combine({
+      'ecoregion_id': options.ecoregionId !== undefined ? options.ecoregionId : -1,
+      'step': index,
+      'n_features': current.size(),
+      'cv_strategy': cvOptions.strategy || 'random',
+      'num_folds': foldResults.size(),
+      'dropped': dropped.join(SEPARATOR),
+      'features': current.join(SEPARATOR)
+    }));
+    return state
+      .set('features', current.removeAll(dropped))
+      .set('curve', ee.List(state.get('curve')).add(row));
+  }, ee.Dictionary({features: features, curve: []})));
+
+  var curve = ee.FeatureCollection(ee.List(final.get('curve')));
+  var bestValue = ee.Number(curve.aggregate_max(objective));
+  var chosen = ee.Feature(curve
+    .filter(ee.Filter.gte(objective, bestValue.subtract(tolerance)))
+    .sort('n_features')
+    .first());
+  var selected = ee.Feature(null, {
+    'ecoregion_id': chosen.get('ecoregion_id'),
+    'n_features': chosen.get('n_features'),
+    'objective': objective,
+    'objective_value': chosen.get(objective),
+    'best_value': bestValue,
+    'tolerance': tolerance,
+    'features': chosen.get('features')
+  });
+  return {curve: curve, selected: selected};
+}
+
+/**
+ * Returns the `Export.table.toDrive` parameters of an RFE table.
+ * @param {ee.FeatureCollection} table - Curve or subset rows.
+ * @param {String} description - Task and file name.
+ * @param {Array<String>} selectors - CURVE_COLUMNS or SUBSET_COLUMNS.
+ * @returns {Object} Export parameters.
+ */
+function getExportOptions(table, description, selectors) {
+  return {
+    collection: table,
+    description: description,
+    fileFormat: 'CSV',
+    folder: EXPORT_FOLDER,
+    selectors: selectors
+  };
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.DEFAULTS = DEFAULTS;
+exports.CURVE_COLUMNS = CURVE_COLUMNS;
+exports.SUBSET_COLUMNS = SUBSET_COLUMNS;
+exports.candidateFeatures = candidateFeatures;
+exports.eliminate = eliminate;
+exports.getExportOptions = getExportOptions;
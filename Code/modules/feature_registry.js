@@ -0,0 +1,308 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Feature-Name Registry
+ * =================================================================================
+ *
+ * Purpose: Single source of truth for feature names shared by the training and
+ * mapping scripts. Every canonical feature (the band name emitted by
+ * `features.js`) is mapped to the builder that produces it and to all of its
+ * known aliases.
+ *
+ * Usage:
+ *   var registry = require('users/ldf160107/ECF-TST:Code/modules/feature_registry.js');
+ *   var resolution = registry.resolveAll(['NBR', 'NDVI_r_m_3', 'NDMI_rol_5']);
+ *   // resolution.canonical  -> ['NBR', 'NDVI_rol_3y', 'NDMI_rol_5y']
+ *   // resolution.unresolved -> []
+ *
+ * Key Notes:
+ * - Three spellings exist in the historical subsets and assets:
+ *     1. canonical band names          (e.g. 'NDVI_rol_3y', 'NBR_vola_5y')
+ *     2. abbreviated RFE names         (e.g. 'NDVI_r_m_3', 'NBR_v_5', 'NDVI_r_sl')
+ *     3. 10-character shapefile fields (e.g. 'NDMI_rol_5', 'NDMI_chg_r')
+ *   All three resolve to the canonical name.
+ * - Resolution is purely client-side, so unknown names are reported before any
+ *   Earth Engine computation is requested.
+ *
+ * =================================================================================
+ */
+
+var features = require('users/ldf160107/ECF-TST:Code/modules/features.js');
+var landtrendr = require('users/ldf160107/ECF-TST:Code/modules/landtrendr.js');
+var socioeconomic = require('users/ldf160107/ECF-TST:Code/modules/socioeconomic.js');
+var terrain = require('users/ldf160107/ECF-TST:Code/modules/terrain.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+// Maximum field-name length of the ESRI Shapefile (dBASE) format. Sample assets
+// uploaded from shapefiles carry names truncated to this length.
+var SHAPEFILE_FIELD_LENGTH = 10;
+
+// Temporal feature families derived from each spectral index.
+// 'suffix' is the canonical suffix; 'aliases' are abbreviated suffixes used by
+// the original RFE subsets.
+var TEMPORAL_FAMILIES = [
+  {suffix: 'chg_ra', aliases: []},
+  {suffix: 'chg_ac', aliases: ['c_ac']},
+  {suffix: 'rol_3y', aliases: ['r_m_3']},
+  {suffix: 'rol_5y', aliases: ['r_m_5']},
+  {suffix: 'vola_5y', aliases: ['v_5']},
+  {suffix: 'an_cha', aliases: []},
+  {suffix: 'trend', aliases: []},
+  {suffix: 'reco_s', aliases: ['r_sl']},
+  {suffix: 'mean', aliases: []}
+];
+
+// First-order (3x3 mean/stdDev) and GLCM texture statistics.
+var FIRST_ORDER_STATS = ['mean', 'stdDev'];
+var GLCM_STATS = ['con', 'ent', 'cor'];
+
+// -------------------------------
+// 2. BUILDER FUNCTIONS
+// -------------------------------
+// Each builder takes a feature context and, optionally, the requested canonical
+// names of its own features, and returns an image that contains (at least)
+// those bands; without names it builds all of them. The context has the following keys:
+//   srCollection - annual Landsat SR composites ('composite_year' property).
+//   tsCollection - the same composites reduced to `features.INDEX_BANDS`.
+//   targetYear   - year being mapped or sampled.
+//   aoi          - ecoregion geometry / FeatureCollection.
+//   forestMask   - baseline forest mask.
+//   climate      - climate options (features.checkClimateOptions).
+//   dem          - DEM source of the terrain features (terrain.DEM_SOURCES).
+//   season       - composite season {start, end} (terrain illumination).
+
+var BUILDERS = {
+  spectral_temporal: function(ctx, names) {
+    return features.calculateAnnualFeatures(
+      ctx.tsCollection, ctx.targetYear, ctx.aoi, ctx.forestMask, names);
+  },
+  texture_first_order: function(ctx, names) {
+    return features.addFirstOrderTexture(targetComposite(ctx), textureBands(names));
+  },
+  texture_glcm: function(ctx, names) {
+    return features.addGLCMTexture(targetComposite(ctx), textureBands(names));
+  },
+  climate: function(ctx, names) {
+    return features.getClimateData(ctx.targetYear, ctx.climate, names).clip(ctx.aoi);
+  },
+  terrain: function(ctx, names) {
+    return terrain.terrainFeatures(ctx.dem, ctx.season, names).clip(ctx.aoi);
+  },
+  segmentation: function(ctx, names) {
+    return landtrendr.segmentationFeatures(ctx.tsCollection, ctx.targetYear, names);
+  },
+  socioeconomic: function(ctx, names) {
+    return socioeconomic.socioeconomicFeatures(ctx.targetYear, names).clip(ctx.aoi);
+  }
+};
+
+function targetComposite(ctx) {
+  return ee.Image(ctx.srCollection
+    .filter(ee.Filter.eq('composite_year', ctx.targetYear))
+    .first());
+}
+
+// SR bands behind requested texture names (e.g. 'B4_con' -> 'B4'); all
+// TEXTURE_BANDS when no names are given.
+function textureBands(names) {
+  if (!names) return features.TEXTURE_BANDS;
+  return features.TEXTURE_BANDS.filter(function(band) {
+    return names.some(function(n) { return n.indexOf(band + '_') === 0; });
+  });
+}
+
+// -------------------------------
+// 3. REGISTRY CONSTRUCTION
+// -------------------------------
+
+var ENTRIES = {};   // canonical name -> entry
+var ALIAS_MAP = {}; // any known spelling -> canonical name
+
+/**
+ * Registers a canonical feature and its aliases.
+ * Automatically adds the 10-character shapefile truncation of the canonical
+ * name and of every alias.
+ * @param {String} name - Canonical band name.
+ * @param {String} group - Feature group (spectral, temporal, texture, climate,
+ *     terrain, segmentation, socioeconomic).
+ * @param {String} builderKey - Key into BUILDERS.
+ * @param {Array<String>} aliases - Additional known spellings.
+ */
+function register(name, group, builderKey, aliases) {
+  var spellings = [name].concat(aliases || []);
+  spellings.forEach(function(s) {
+    if (s.length > SHAPEFILE_FIELD_LENGTH) {
+      spellings.push(s.substring(0, SHAPEFILE_FIELD_LENGTH));
+    }
+  });
+
+  var unique = [];
+  spellings.forEach(function(s) {
+    if (unique.indexOf(s) < 0) unique.push(s);
+  });
+
+  unique.forEach(function(s) {
+    if (ALIAS_MAP.hasOwnProperty(s) && ALIAS_MAP[s] !== name) {
+      throw new Error('Feature alias "' + s + '" is ambiguous: ' +
+                      ALIAS_MAP[s] + ' vs ' + name);
+    }
+    ALIAS_MAP[s] = name;
+  });
+
+  ENTRIES[name] = {
+    name: name,
+    group: group,
+    builderKey: builderKey,
+    builder: BUILDERS[builderKey],
+    aliases: unique.filter(function(s) { return s !== name; })
+  };
+}
+
+// 3.1 Spectral indices and their temporal families.
+features.INDEX_BANDS.forEach(function(band) {
+  register(band, 'spectral', 'spectral_temporal', []);
+  TEMPORAL_FAMILIES.forEach(function(family) {
+    register(band + '_' + family.suffix, 'temporal', 'spectral_temporal',
+      family.aliases.map(function(a) { return band + '_' + a; }));
+  });
+});
+
+// 3.2 Texture.
+features.TEXTURE_BANDS.forEach(function(band) {
+  FIRST_ORDER_STATS.forEach(function(stat) {
+    register(band + '_' + stat, 'texture', 'texture_first_order', []);
+  });
+  GLCM_STATS.forEach(function(stat) {
+    register(band + '_' + stat, 'texture', 'texture_glcm', []);
+  });
+});
+
+// 3.3 Climate and terrain.
+features.CLIMATE_BANDS.forEach(function(band) {
+  register(band, 'climate', 'climate', []);
+});
+terrain.listFeatures().forEach(function(band) {
+  register(band, 'terrain', 'terrain', []);
+});
+
+// 3.4 LandTrendr segmentation (NBR and the second index; landtrendr.js).
+landtrendr.listFeatures().forEach(function(band) {
+  register(band, 'segmentation', 'segmentation', []);
+});
+
+// 3.5 Socio-economic density and distance layers (socioeconomic.js).
+socioeconomic.listFeatures().forEach(function(band) {
+  register(band, 'socioeconomic', 'socioeconomic', []);
+});
+
+// -------------------------------
+// 4. LOOKUP FUNCTIONS
+// -------------------------------
+
+/**
+ * Resolves any known spelling to its canonical feature name.
+ * @param {String} name - Feature name in any known spelling.
+ * @returns {String|null} Canonical name, or null if the name is unknown.
+ */
+function resolve(name) {
+  return ALIAS_MAP.hasOwnProperty(name) ? ALIAS_MAP[name] : null;
+}
+
+/**
+ * Resolves a list of feature names.
+ * @param {Array<String>} names - Feature names in any known spelling.
+ * @returns {Object} {canonical: Array<String>, unresolved: Array<String>,
+ *                    mapping: Object} where `canonical` preserves the input order
+ *                    (duplicates removed) and `mapping` maps each input name to
+ *                    its canonical name.
+ */
+function resolveAll(names) {
+  var canonical = [];
+  var unresolved = [];
+  var mapping = {};
+  names.forEach(function(n) {
+    var c = resolve(n);
+    if (c === null) {
+      unresolved.push(n);
+      return;
+    }
+    mapping[n] = c;
+    if (canonical.indexOf(c) < 0) canonical.push(c);
+  });
+  return {canonical: canonical, unresolved: unresolved, mapping: mapping};
+}
+
+/**
+ * Finds, for each canonical feature, the property name under which it is stored
+ * in a sample collection (which may use any known spelling).
+ * @param {Array<String>} canonicalNames - Canonical feature names.
+ * @param {Array<String>} propertyNames - Property names present in the collection.
+ * @returns {Object} {found: Object (canonical -> property name), missing: Array<String>}.
+ */
+function matchProperties(canonicalNames, propertyNames) {
+  var found = {};
+  var missing = [];
+  canonicalNames.forEach(function(c) {
+    var spellings = [c].concat(ENTRIES[c] ? ENTRIES[c].aliases : []);
+    for (var i = 0; i < spellings.length; i++) {
+      if (propertyNames.indexOf(spellings[i]) >= 0) {
+        found[c] = spellings[i];
+        return;
+      }
+    }
+    missing.push(c);
+  });
+  return {found: found, missing: missing};
+}
+
+/**
+ * Returns the registry entry of a canonical feature.
+ * @param {String} name - Canonical feature name.
+ * @returns {Object|null} {name, group, builderKey, builder, aliases}.
+ */
+function getEntry(name) {
+  return ENTRIES.hasOwnProperty(name) ? ENTRIES[name] : null;
+}
+
+/**
+ * Lists canonical feature names, optionally restricted to one group.
+ * @param {String} [group] - Feature group.
+ * @returns {Array<String>} Canonical names in registration order.
+ */
+function listFeatures(group) {
+  return Object.keys(ENTRIES).filter(function(n) {
+    return !group || ENTRIES[n].group === group;
+  });
+}
+
+/**
+ * Groups canonical feature names by the builder that produces them.
+ * @param {Array<String>} names - Canonical feature names.
+ * @returns {Object} builderKey -> Array<String> of the requested names, in
+ *     BUILDERS order; builders without requested names are left out.
+ */
+function groupByBuilder(names) {
+  var groups = {};
+  Object.keys(BUILDERS).forEach(function(key) {
+    var own = names.filter(function(n) {
+      return ENTRIES.hasOwnProperty(n) && ENTRIES[n].builderKey === key;
+    });
+    if (own.length > 0) groups[key] = own;
+  });
+  return groups;
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.SHAPEFILE_FIELD_LENGTH = SHAPEFILE_FIELD_LENGTH;
+exports.BUILDERS = BUILDERS;
+exports.resolve = resolve;
+exports.resolveAll = resolveAll;
+exports.matchProperties = matchProperties;
+exports.getEntry = getEntry;
+exports.listFeatures = listFeatures;
+exports.groupByBuilder = groupByBuilder;
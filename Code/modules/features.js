@@ -0,0 +1,561 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Feature Builders
+ * =================================================================================
+ *
+ * Purpose: Shared feature-extraction functions for the ECF-TST framework. Every
+ * band that can appear in an optimal feature subset is produced by one of the
+ * builders below (spectral, temporal, textural, climatic) or by terrain.js
+ * (topographic).
+ *
+ * Corresponding Manuscript Section: 2.2.2 "Multidimensional Feature Dataset"
+ *
+ * Usage:
+ *   var features = require('users/ldf160107/ECF-TST:Code/modules/features.js');
+ *   var tsCollection = srCollection.map(features.addIndices)
+ *                                  .select(features.INDEX_BANDS);
+ *
+ * Key Notes:
+ * - Band names emitted here are the CANONICAL feature names. Aliases used in
+ *   older subsets and sample assets are resolved by `feature_registry.js`.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 1. CONSTANTS & FEATURE SCHEMAS
+// -------------------------------
+
+// Core spectral indices used for feature construction.
+var INDEX_BANDS = ['NBR', 'NDVI', 'NDMI', 'NDBI', 'RVI', 'SAVI', 'EVI', 'DVI'];
+
+// Naming convention for derived temporal features.
+var CHG_RA_NAMES = INDEX_BANDS.map(function(b) { return b + '_chg_ra'; });
+var ROL_3Y_NAMES = INDEX_BANDS.map(function(b) { return b + '_rol_3y'; });
+var ROL_5Y_NAMES = INDEX_BANDS.map(function(b) { return b + '_rol_5y'; });
+var VOLA_5Y_NAMES = INDEX_BANDS.map(function(b) { return b + '_vola_5y'; });
+var AN_CHA_NAMES = INDEX_BANDS.map(function(b) { return b + '_an_cha'; });
+var CHG_AC_NAMES = INDEX_BANDS.map(function(b) { return b + '_chg_ac'; });
+var MEAN_NAMES = INDEX_BANDS.map(function(b) { return b + '_mean'; });
+var RECO_S_NAMES = INDEX_BANDS.map(function(b) { return b + '_reco_s'; });
+
+// Temporal families derived from each index (suffixes of the names above).
+var TEMPORAL_SUFFIXES = ['chg_ra', 'rol_3y', 'rol_5y', 'trend', 'an_cha', 'vola_5y',
+                         'reco_s', 'mean', 'chg_ac'];
+
+// Landsat SR bands used for first- and second-order texture.
+var TEXTURE_BANDS = ['B1', 'B2', 'B3', 'B4', 'B5', 'B7'];
+
+// Climate bands (getClimateData): precipitation and temperature, the water
+// balance and drought family, vapour-pressure deficit and heat extremes.
+var CLIMATE_BANDS = ['a_precip', 'p_precip', 'temp_an', 'su_temp',
+                     'wat_bal', 'wb_std', 'wb_lag1', 'wb_3y',
+                     'vpd_gs', 'gs_p_an', 'tx_max', 'hot_days'];
+
+// Climate options: the ERA5-Land temperature variable and the anomaly
+// baseline (inclusive years). The defaults are those of the deployed models.
+var TEMPERATURE_VARIABLES = ['skin_temperature', 'temperature_2m'];
+var DEFAULT_CLIMATE = {temperature: 'skin_temperature', baselineStart: 1990, baselineEnd: 2020};
+
+var GROWING_SEASON_MONTHS = [5, 9]; // May-September, as the default composite season
+var HOT_DAY_C = 30;                 // Daily maximum temperature of a hot day (deg C)
+var DROUGHT_WINDOW = 3;             // Years of the multi-year water balance (wb_3y)
+var WB_MIN_STDDEV = 1;              // Floor of the baseline water-balance SD (mm)
+
+// -------------------------------
+// 2. STATIC DATASETS
+// -------------------------------
+
+// 2.1 Climate: ERA5-Land monthly and daily aggregates; TerraClimate for the
+// water balance (precipitation minus PET) and vapour-pressure deficit.
+var ERA5_MONTHLY = 'ECMWF/ERA5_LAND/MONTHLY';
+var ERA5_DAILY = 'ECMWF/ERA5_LAND/DAILY_AGGR';
+var TERRACLIMATE = 'IDAHO_EPSCOR/TERRACLIMATE';
+
+// -------------------------------
+// 3. FEATURE EXTRACTION FUNCTIONS
+// -------------------------------
+
+/**
+ * Names of one temporal family for a list of indices.
+ * @param {Array<String>} bands - Index bands.
+ * @param {String} suffix - Family suffix (e.g. 'rol_3y').
+ * @returns {Array<String>} e.g. ['NBR_rol_3y', 'NDVI_rol_3y'].
+ */
+function familyNames(bands, suffix) {
+  return bands.map(function(b) { return b + '_' + suffix; });
+}
+
+/**
+ * Calculates common spectral vegetation indices from a Landsat SR image.
+ * @param {ee.Image} img - Input Landsat surface reflectance image.
+ * @returns {ee.Image} Input image with added index bands.
+ */
+var addIndices = function(img) {
+  var nbr = img.normalizedDifference(['B4', 'B7']).multiply(1000).rename('NBR');
+  var ndvi = img.normalizedDifference(['B4', 'B3']).multiply(1000).rename('NDVI');
+  var ndmi = img.normalizedDifference(['B4', 'B5']).multiply(1000).rename('NDMI');
+  var ndbi = img.normalizedDifference(['B5', 'B4']).multiply(1000).rename('NDBI');
+  var rvi = img.select('B4').divide(img.select('B3')).multiply(1000).rename('RVI');
+  var dvi = img.select('B4').subtract(img.select('B3')).rename('DVI');
+    
+  var savi = img.expression(
+    '(1 + L) * (NIR - RED) / (NIR + RED + L)', {
+      'NIR': img.select('B4'),
+      'RED': img.select('B3'),
+      'L': 0.5
+    }).multiply(1000).rename('SAVI');
+    
+  var evi = img.expression(
+    '2.5 * ((NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1))', {
+      'NIR': img.select('B4'),
+      'RED': img.select('B3'),
+      'BLUE': img.select('B1')
+    }).multiply(1000).rename('EVI');
+    
+  return img
+    .addBands(nbr)
+    .addBands(ndvi)
+    .addBands(ndmi)
+    .addBands(ndbi)
+    .addBands(rvi)
+    .addBands(savi)
+    .addBands(evi)
+    .addBands(dvi);
+};
+
+/**
+ * Extracts first-order texture (mean, stdDev) using a 3x3 kernel.
+ * @param {ee.Image} image - Input image (typically target year composite).
+ * @param {Array<String>} [bands=TEXTURE_BANDS] - Bands to process.
+ * @returns {ee.Image} Image with added texture bands.
+ */
+var addFirstOrderTexture = function(image, bands) {
+  bands = bands || TEXTURE_BANDS;
+  var meanReducer = ee.Reducer.mean();
+  var stdReducer = ee.Reducer.stdDev();
+  var kernel = ee.Kernel.square(3, 'pixels');
+
+  var result = image;
+  bands.forEach(function(band) {
+    var input = image.select(band);
+    result = result
+      .addBands(input.reduceNeighborhood(meanReducer, kernel).rename(band + '_mean'))
+      .addBands(input.reduceNeighborhood(stdReducer, kernel).rename(band + '_stdDev'));
+  });
+  return result;
+};
+
+/**
+ * Extracts second-order GLCM texture (contrast, entropy, correlation).
+ * @param {ee.Image} image - Input image.
+ * @param {Array<String>} [bands=TEXTURE_BANDS] - Bands to process;
+ *     `glcmTexture` only runs on these.
+ * @returns {ee.Image} Image with added GLCM bands.
+ */
+var addGLCMTexture = function(image, bands) {
+  bands = bands || TEXTURE_BANDS;
+  var glcmSize = 3;
+
+  var result = image;
+  bands.forEach(function(band) {
+    var glcm = image.select(band).glcmTexture({size: glcmSize});
+    result = result
+      .addBands(glcm.select(band + '_contrast').rename(band + '_con'))
+      .addBands(glcm.select(band + '_ent').rename(band + '_ent'))
+      .addBands(glcm.select(band + '_corr').rename(band + '_cor'));
+  });
+  return result;
+};
+
+/**
+ * Validates climate options and fills in the defaults.
+ * @param {Object} [options]
+ * @param {String} [options.temperature='skin_temperature'] - ERA5-Land
+ *     temperature variable (TEMPERATURE_VARIABLES).
+ * @param {Number} [options.baselineStart=1990] - First baseline year.
+ * @param {Number} [options.baselineEnd=2020] - Last baseline year.
+ * @returns {Object} {temperature, baselineStart, baselineEnd}.
+ */
+function checkClimateOptions(options) {
+  options = options || {};
+  var o = {
+    temperature: options.temperature || DEFAULT_CLIMATE.temperature,
+    baselineStart: options.baselineStart !== undefined ?
+      options.baselineStart : DEFAULT_CLIMATE.baselineStart,
+    baselineEnd: options.baselineEnd !== undefined ?
+      options.baselineEnd : DEFAULT_CLIMATE.baselineEnd
+  };
+  if (TEMPERATURE_VARIABLES.indexOf(o.temperature) < 0) {
+    throw new Error('Unknown temperature variable "' + o.temperature + '"; use ' +
+                    TEMPERATURE_VARIABLES.join(', ') + '.');
+  }
+  if (!(o.baselineStart <= o.baselineEnd)) {
+    throw new Error('Climate baseline ' + o.baselineStart + '-' + o.baselineEnd +
+                    ' must start before it ends.');
+  }
+  return o;
+}
+
+/**
+ * One band of a monthly collection over whole years, optionally restricted to
+ * a month range.
+ * @param {String} collectionId - ERA5_MONTHLY or TERRACLIMATE.
+ * @param {String} band - Band name.
+ * @param {Number} startYear - First year.
+ * @param {Number} endYear - Last year (inclusive).
+ * @param {Array<Number>} [months] - [first, last] month (inclusive).
+ * @returns {ee.ImageCollection} Monthly images.
+ */
+function monthlyClimate(collectionId, band, startYear, endYear, months) {
+  var monthly = ee.ImageCollection(collectionId)
+    .filterDate(ee.Date.fromYMD(startYear, 1, 1), ee.Date.fromYMD(endYear + 1, 1, 1))
+    .select(band);
+  return months ? monthly.filter(ee.Filter.calendarRange(months[0], months[1], 'month')) : monthly;
+}
+
+/**
+ * Annual climatic water balance: TerraClimate precipitation minus PET (mm).
+ * @param {Number} year - Year.
+ * @returns {ee.Image} 'wat_bal'.
+ */
+function annualWaterBalance(year) {
+  var precip = monthlyClimate(TERRACLIMATE, 'pr', year, year).sum();
+  var pet = monthlyClimate(TERRACLIMATE, 'pet', year, year).sum().multiply(0.1);
+  return precip.subtract(pet).rename('wat_bal');
+}
+
+/**
+ * Baseline distribution of the mean water balance over `window` consecutive
+ * years: the mean and standard deviation of every such window within the
+ * baseline years. A multi-year mean varies less than single years, so it is
+ * standardised against multi-year means of the same length.
+ * @param {Array<ee.Image>} balances - Annual balances of the baseline years, in order.
+ * @param {Number} window - Years per mean.
+ * @returns {Object} {mean, stdDev}; stdDev is at least WB_MIN_STDDEV, so pixels
+ *     whose balance never varies do not divide by zero.
+ */
+function waterBalanceBaseline(balances, window) {
+  var means = [];
+  for (var i = 0; i + window <= balances.length; i++) {
+    means.push(ee.ImageCollection.fromImages(balances.slice(i, i + window)).mean());
+  }
+  var windows = ee.ImageCollection.fromImages(means);
+  return {mean: windows.mean(), stdDev: windows.reduce(ee.Reducer.stdDev()).max(WB_MIN_STDDEV)};
+}
+
+/**
+ * Standardised water balance of a range of years: the mean annual balance as
+ * a z-score against the baseline (an SPEI-like drought index; negative values
+ * are drier than the baseline).
+ * @param {Number} startYear - First year.
+ * @param {Number} endYear - Last year (inclusive).
+ * @param {Object} baseline - {mean, stdDev} of the baseline means over the
+ *     same number of years (`waterBalanceBaseline`).
+ * @returns {ee.Image} Unnamed z-score band.
+ */
+function standardisedWaterBalance(startYear, endYear, baseline) {
+  var years = [];
+  for (var y = startYear; y <= endYear; y++) years.push(annualWaterBalance(y));
+  return ee.ImageCollection.fromImages(years).mean()
+    .subtract(baseline.mean).divide(baseline.stdDev);
+}
+
+/**
+ * Calculates annual climatic variables for a given year.
+ * Bands (CLIMATE_BANDS):
+ *   a_precip  annual precipitation (mm, ERA5-Land)
+ *   p_precip  previous year's precipitation (mm)
+ *   temp_an   annual mean temperature minus the baseline mean (deg C)
+ *   su_temp   June-August mean temperature (deg C)
+ *   wat_bal   annual precipitation minus PET (mm, TerraClimate)
+ *   wb_std    wat_bal standardised against the baseline years (z-score)
+ *   wb_lag1   wb_std of the previous year
+ *   wb_3y     mean balance of the last DROUGHT_WINDOW years, standardised
+ *             against the baseline means over DROUGHT_WINDOW years
+ *   vpd_gs    growing-season mean vapour-pressure deficit (kPa, TerraClimate)
+ *   gs_p_an   growing-season precipitation minus the baseline mean (mm)
+ *   tx_max    highest daily maximum temperature of the year (deg C)
+ *   hot_days  days with a maximum temperature above HOT_DAY_C
+ * The temperature bands use `options.temperature`; changing it or the baseline
+ * changes the features, so re-extract the samples and retrain afterwards.
+ * @param {Number} year - The target year.
+ * @param {Object} [options] - Climate options (see `checkClimateOptions`).
+ * @param {Array<String>} [names] - Requested bands; only these are built.
+ *     Default: all CLIMATE_BANDS.
+ * @returns {ee.Image} The requested climate bands, with a 'year' property.
+ */
+function getClimateData(year, options, names) {
+  var o = checkClimateOptions(options);
+  var wanted = function(band) { return !names || names.indexOf(band) >= 0; };
+  var bands = [];
+
+  // Precipitation of the target and previous year (m -> mm).
+  if (wanted('a_precip')) {
+    bands.push(monthlyClimate(ERA5_MONTHLY, 'total_precipitation', year, year)
+      .sum().multiply(1000).rename('a_precip'));
+  }
+  if (wanted('p_precip')) {
+    bands.push(monthlyClimate(ERA5_MONTHLY, 'total_precipitation', year - 1, year - 1)
+      .sum().multiply(1000).rename('p_precip'));
+  }
+
+  // Annual mean temperature anomaly and summer (June-August) mean (K -> deg C).
+  if (wanted('temp_an')) {
+    var baselineTemp = monthlyClimate(ERA5_MONTHLY, o.temperature,
+                                      o.baselineStart, o.baselineEnd).mean();
+    bands.push(monthlyClimate(ERA5_MONTHLY, o.temperature, year, year).mean()
+      .subtract(baselineTemp).rename('temp_an'));
+  }
+  if (wanted('su_temp')) {
+    bands.push(monthlyClimate(ERA5_MONTHLY, o.temperature, year, year, [6, 8]).mean()
+      .subtract(273.15).rename('su_temp'));
+  }
+
+  // Water balance and drought: the current, previous and multi-year balance,
+  // standardised against the baseline years.
+  if (wanted('wat_bal')) bands.push(annualWaterBalance(year));
+  if (wanted('wb_std') || wanted('wb_lag1') || wanted('wb_3y')) {
+    var baselineYears = [];
+    for (var y = o.baselineStart; y <= o.baselineEnd; y++) {
+      baselineYears.push(annualWaterBalance(y));
+    }
+    var baseline = waterBalanceBaseline(baselineYears, 1);
+    if (wanted('wb_std')) {
+      bands.push(standardisedWaterBalance(year, year, baseline).rename('wb_std'));
+    }
+    if (wanted('wb_lag1')) {
+      bands.push(standardisedWaterBalance(year - 1, year - 1, baseline).rename('wb_lag1'));
+    }
+    if (wanted('wb_3y')) {
+      bands.push(standardisedWaterBalance(year - DROUGHT_WINDOW + 1, year,
+        waterBalanceBaseline(baselineYears, DROUGHT_WINDOW)).rename('wb_3y'));
+    }
+  }
+
+  // Growing-season vapour-pressure deficit and precipitation anomaly.
+  if (wanted('vpd_gs')) {
+    bands.push(monthlyClimate(TERRACLIMATE, 'vpd', year, year, GROWING_SEASON_MONTHS)
+      .mean().multiply(0.01).rename('vpd_gs'));
+  }
+  if (wanted('gs_p_an')) {
+    var baselineYearCount = o.baselineEnd - o.baselineStart + 1;
+    var baselinePrecip = monthlyClimate(ERA5_MONTHLY, 'total_precipitation',
+      o.baselineStart, o.baselineEnd, GROWING_SEASON_MONTHS).sum().divide(baselineYearCount);
+    bands.push(monthlyClimate(ERA5_MONTHLY, 'total_precipitation', year, year,
+                              GROWING_SEASON_MONTHS).sum()
+      .subtract(baselinePrecip).multiply(1000).rename('gs_p_an'));
+  }
+
+  // Daily maximum temperature extremes (ERA5-Land daily aggregates).
+  if (wanted('tx_max') || wanted('hot_days')) {
+    var dailyMax = ee.ImageCollection(ERA5_DAILY)
+      .filterDate(ee.Date.fromYMD(year, 1, 1), ee.Date.fromYMD(year + 1, 1, 1))
+      .select(o.temperature + '_max')
+      .map(function(img) { return img.subtract(273.15); });
+    if (wanted('tx_max')) bands.push(dailyMax.max().rename('tx_max'));
+    if (wanted('hot_days')) {
+      bands.push(dailyMax.map(function(img) { return img.gt(HOT_DAY_C); })
+        .sum().rename('hot_days'));
+    }
+  }
+
+  return ee.Image.cat(bands).set('year', year);
+}
+
+/**
+ * Calculates the change acceleration (second temporal difference) of every
+ * spectral index: (t - t1) - (t1 - t2) = t - 2*t1 + t2, where t1 and t2 are the
+ * two preceding annual composites. Positive values mean the index is changing
+ * faster in the target year than in the year before.
+ * @param {ee.Image} imgTarget - Index image of the target year.
+ * @param {ee.Image} imgPrev1 - Index image of the preceding year.
+ * @param {ee.Image} imgPrev2 - Index image of two years before the target.
+ * @param {Array<String>} [bands=INDEX_BANDS] - Indices to process.
+ * @returns {ee.Image} Image with the `*_chg_ac` bands.
+ */
+function calculateChangeAcceleration(imgTarget, imgPrev1, imgPrev2, bands) {
+  bands = bands || INDEX_BANDS;
+  var target = ee.Image(imgTarget).select(bands);
+  var prev1 = ee.Image(imgPrev1).select(bands);
+  var prev2 = ee.Image(imgPrev2).select(bands);
+  return target.subtract(prev1.multiply(2)).add(prev2)
+    .rename(familyNames(bands, 'chg_ac'));
+}
+
+/**
+ * Splits requested spectral/temporal feature names into the indices and the
+ * families ('' for the index itself, else the suffix) to compute.
+ * @param {Array<String>} [names] - Canonical names; all when omitted.
+ * @returns {Object} {bands: Array<String>, families: Object<suffix, true>}.
+ */
+function temporalRequest(names) {
+  var bands = [];
+  var families = {};
+  if (!names) {
+    families[''] = true;
+    TEMPORAL_SUFFIXES.forEach(function(suffix) { families[suffix] = true; });
+    return {bands: INDEX_BANDS, families: families};
+  }
+  names.forEach(function(name) {
+    INDEX_BANDS.forEach(function(band) {
+      var suffix = name === band ? '' :
+        name.indexOf(band + '_') === 0 ? name.substring(band.length + 1) : null;
+      if (suffix === null || (suffix && TEMPORAL_SUFFIXES.indexOf(suffix) < 0)) return;
+      if (bands.indexOf(band) < 0) bands.push(band);
+      families[suffix] = true;
+    });
+  });
+  return {
+    bands: INDEX_BANDS.filter(function(b) { return bands.indexOf(b) >= 0; }),
+    families: families
+  };
+}
+
+/**
+ * Calculates comprehensive annual features from a time series of index images.
+ * @param {ee.ImageCollection} tsCollection - Annual collection of spectral index images.
+ * @param {Number} targetYear - The year for which to predict FCL.
+ * @param {ee.Geometry} aoi - Area of interest (ecoregion).
+ * @param {ee.Image} forestMask - Forest mask to apply.
+ * @param {Array<String>} [names] - Requested spectral/temporal feature names;
+ *     only their indices and families are computed. Default: all.
+ * @returns {ee.Image} A multi-band image containing the calculated features.
+ */
+function calculateAnnualFeatures(tsCollection, targetYear, aoi, forestMask, names) {
+  var request = temporalRequest(names);
+  var bands = request.bands;
+  var wants = function(family) { return request.families.hasOwnProperty(family); };
+  var series = tsCollection.select(bands);
+
+  // Get images for the target and two preceding years.
+  var imgTarget = series.filter(ee.Filter.eq('composite_year', targetYear)).first();
+  var imgPrev1 = series.filter(ee.Filter.eq('composite_year', targetYear - 1)).first();
+  var imgPrev2 = series.filter(ee.Filter.eq('composite_year', targetYear - 2)).first();
+
+  // Historical collections for temporal metrics.
+  var histCollection_3y = series
+    .filter(ee.Filter.and(
+      ee.Filter.gte('composite_year', targetYear - 3),
+      ee.Filter.lte('composite_year', targetYear - 1)
+    ))
+    .sort('composite_year')
+    .map(addYearBand); // Adds a 'year' band for linear regression
+
+  var histCollection_5y = series
+    .filter(ee.Filter.and(
+      ee.Filter.gte('composite_year', targetYear - 5),
+      ee.Filter.lte('composite_year', targetYear - 1)
+    ))
+    .sort('composite_year');
+
+  var histCollection = series
+    .filter(ee.Filter.lt('composite_year', targetYear))
+    .sort('composite_year')
+    .map(addYearBand);
+
+  // Helper: Safe division to avoid division by zero.
+  var safeDivide = function(num, denom) {
+    return ee.Image(ee.Algorithms.If(
+      denom.eq(0),
+      ee.Image(0),
+      num.divide(denom)
+    ));
+  };
+
+  var parts = [];
+
+  // Current year's spectral values.
+  if (wants('')) parts.push(imgTarget.select(bands));
+
+  // Calculate relative change between consecutive years.
+  if (wants('chg_ra')) {
+    parts.push(imgTarget.subtract(imgPrev1)
+      .divide(safeDivide(imgPrev1.abs(), imgPrev1.abs().add(1e-5)))
+      .select(bands)
+      .rename(familyNames(bands, 'chg_ra')));
+  }
+
+  // Temporal statistics: rolling mean, min, and volatility.
+  if (wants('rol_3y')) {
+    parts.push(histCollection_3y.mean().select(bands).rename(familyNames(bands, 'rol_3y')));
+  }
+  if (wants('rol_5y')) {
+    parts.push(histCollection_5y.min().select(bands).rename(familyNames(bands, 'rol_5y')));
+  }
+
+  // Long-term and recovery trends via linear regression.
+  if (wants('trend')) parts.push(calculateTrend(histCollection, 'trend'));
+
+  // Additional change metrics.
+  if (wants('an_cha')) {
+    parts.push(imgTarget.subtract(imgPrev1).abs()
+      .select(bands)
+      .rename(familyNames(bands, 'an_cha')));
+  }
+  if (wants('vola_5y')) {
+    parts.push(histCollection_5y.reduce(ee.Reducer.stdDev()).rename(familyNames(bands, 'vola_5y')));
+  }
+  if (wants('reco_s')) parts.push(calculateTrend(histCollection_3y, 'reco_s'));
+  if (wants('mean')) {
+    parts.push(histCollection.mean().select(bands).rename(familyNames(bands, 'mean')));
+  }
+  if (wants('chg_ac')) {
+    parts.push(calculateChangeAcceleration(imgTarget, imgPrev1, imgPrev2, bands));
+  }
+
+  // Combine the requested features.
+  var result = ee.Image.cat(parts)
+    .clip(aoi)
+    .updateMask(forestMask); // Restrict to the baseline forest area
+
+  return result.set('target_year', targetYear);
+
+  // --- Internal Helper Functions ---
+  function addYearBand(img) {
+    var year = ee.Number(img.get('composite_year'));
+    var yearImg = ee.Image.constant(year).rename('year').toFloat();
+    return img.addBands(yearImg);
+  }
+
+  function calculateTrend(collection, suffix) {
+    var regression = collection
+      .select(['year'].concat(bands))
+      .reduce(ee.Reducer.linearRegression({
+        numX: 1,
+        numY: bands.length
+      }));
+    return regression.select('coefficients')
+      .arrayProject([0])
+      .arrayFlatten([bands])
+      .select(bands)
+      .rename(familyNames(bands, suffix));
+  }
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.INDEX_BANDS = INDEX_BANDS;
+exports.TEXTURE_BANDS = TEXTURE_BANDS;
+exports.CLIMATE_BANDS = CLIMATE_BANDS;
+exports.TEMPERATURE_VARIABLES = TEMPERATURE_VARIABLES;
+exports.DEFAULT_CLIMATE = DEFAULT_CLIMATE;
+exports.TEMPORAL_SUFFIXES = TEMPORAL_SUFFIXES;
+exports.CHG_RA_NAMES = CHG_RA_NAMES;
+exports.ROL_3Y_NAMES = ROL_3Y_NAMES;
+exports.ROL_5Y_NAMES = ROL_5Y_NAMES;
+exports.VOLA_5Y_NAMES = VOLA_5Y_NAMES;
+exports.AN_CHA_NAMES = AN_CHA_NAMES;
+exports.CHG_AC_NAMES = CHG_AC_NAMES;
+exports.MEAN_NAMES = MEAN_NAMES;
+exports.RECO_S_NAMES = RECO_S_NAMES;
+
+exports.addIndices = addIndices;
+exports.addFirstOrderTexture = addFirstOrderTexture;
+exports.addGLCMTexture = addGLCMTexture;
+exports.calculateChangeAcceleration = calculateChangeAcceleration;
+exports.checkClimateOptions = checkClimateOptions;
+exports.getClimateData = getClimateData;
+exports.calculateAnnualFeatures = calculateAnnualFeatures;
@@ -0,0 +1,133 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Forest Baseline
+ * =================================================================================
+ *
+ * Purpose: Builds the forest mask that restricts FCL mapping, sampling and the
+ * loss statistics. The 62 GLC_FCS30D annual tiles listed in the ecoregion
+ * catalogue are mosaicked (they do not overlap) and the land-cover band of the
+ * year the mask mode asks for is selected, so forest that appeared after 2000
+ * (e.g. plantations) can be masked in.
+ *
+ * Usage:
+ *   var baseline = require('users/ldf160107/ECF-TST:Code/modules/forest_baseline.js');
+ *   var mask = baseline.forestMask(2020, 'previous_year');
+ *
+ * Mask modes:
+ * - 'baseline_2000' (default) Forest in 2000, the baseline of the manuscript.
+ * - 'previous_year'           Forest in year t-1.
+ * - 'any_before'              Forest in any year from 2000 to t-1.
+ * For t = 2000 every mode is the 2000 forest.
+ *
+ * Key Notes:
+ * - Tile band 'b<k>' holds the land cover of year FIRST_YEAR + k - 1
+ *   (2000-2022). Later years use the last available band (LAST_YEAR).
+ * - Forest is the GLC_FCS30D class range FOREST_CLASSES (codes 50-92).
+ * - The mask is a 0/1 image ('forest'); pass it to `updateMask`.
+ *
+ * Data Sources Cited:
+ * - GLC_FCS30D: Zhang et al. (2024), Earth System Science Data 16.
+ *
+ * =================================================================================
+ */
+
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var FIRST_YEAR = 2000;
+var LAST_YEAR = 2022;
+var FOREST_CLASSES = [50, 92];
+
+var MASK_MODES = ['baseline_2000', 'previous_year', 'any_before'];
+var DEFAULT_MASK_MODE = 'baseline_2000';
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Validates a mask mode.
+ * @param {String} [mode] - One of MASK_MODES (default DEFAULT_MASK_MODE).
+ * @returns {String} The mode.
+ */
+function checkMaskMode(mode) {
+  mode = mode || DEFAULT_MASK_MODE;
+  if (MASK_MODES.indexOf(mode) < 0) {
+    throw new Error('Unknown forest mask mode "' + mode + '"; use ' + MASK_MODES.join(', ') + '.');
+  }
+  return mode;
+}
+
+/**
+ * Tile band of a land-cover year (clamped to FIRST_YEAR..LAST_YEAR).
+ * @param {Number} year - Land-cover year.
+ * @returns {String} e.g. 'b1' for 2000.
+ */
+function bandForYear(year) {
+  var clamped = Math.min(Math.max(year, FIRST_YEAR), LAST_YEAR);
+  return 'b' + (clamped - FIRST_YEAR + 1);
+}
+
+/**
+ * Mosaic of the GLC_FCS30D annual tiles.
+ * @returns {ee.Image} One band per year ('b1' = 2000).
+ */
+function landCover() {
+  return ee.ImageCollection.fromImages(
+    catalogue.listForestBaselineTiles().map(function(id) { return ee.Image(id); })
+  ).mosaic();
+}
+
+/**
+ * Forest (0/1) of one land-cover year.
+ * @param {ee.Image} lc - Result of `landCover`.
+ * @param {Number} year - Land-cover year.
+ * @returns {ee.Image} 'forest'.
+ */
+function forestInYear(lc, year) {
+  var band = lc.select(bandForYear(year));
+  return band.gte(FOREST_CLASSES[0]).and(band.lte(FOREST_CLASSES[1])).rename('forest');
+}
+
+// -------------------------------
+// 3. FOREST MASK
+// -------------------------------
+
+/**
+ * Forest mask of a target year.
+ * @param {Number} [targetYear] - Year being mapped (required except for
+ *     'baseline_2000').
+ * @param {String} [mode='baseline_2000'] - One of MASK_MODES.
+ * @returns {ee.Image} 0/1 'forest' band.
+ */
+function forestMask(targetYear, mode) {
+  mode = checkMaskMode(mode);
+  var lc = landCover();
+  if (mode === 'baseline_2000') return forestInYear(lc, FIRST_YEAR);
+
+  var lastYear = Math.max(targetYear - 1, FIRST_YEAR);
+  if (mode === 'previous_year') return forestInYear(lc, lastYear);
+
+  var forest = forestInYear(lc, FIRST_YEAR);
+  for (var year = FIRST_YEAR + 1; year <= Math.min(lastYear, LAST_YEAR); year++) {
+    forest = forest.or(forestInYear(lc, year));
+  }
+  return forest.rename('forest');
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.FIRST_YEAR = FIRST_YEAR;
+exports.LAST_YEAR = LAST_YEAR;
+exports.FOREST_CLASSES = FOREST_CLASSES;
+exports.MASK_MODES = MASK_MODES;
+exports.DEFAULT_MASK_MODE = DEFAULT_MASK_MODE;
+exports.checkMaskMode = checkMaskMode;
+exports.bandForYear = bandForYear;
+exports.landCover = landCover;
+exports.forestMask = forestMask;
@@ -0,0 +1,271 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Hansen GFC Comparison
+ * =================================================================================
+ *
+ * Purpose: Compares the annual FCL maps with the Hansen Global Forest Change
+ * loss year (UMD/hansen/global_forest_change_2024_v1_12) inside the same
+ * GLC_FCS30-2000 forest mask and AOI, and produces the `hansen_year_area_*`
+ * columns of `data/national_annual_loss.csv` together with agreement
+ * statistics.
+ *
+ * Usage:
+ *   var hansen = require('users/ldf160107/ECF-TST:Code/modules/hansen_comparison.js');
+ *   // One pipeline result (ECF_TST_Annual_FCL_Mapping.js):
+ *   var row = hansen.compareFclMap(fcl);
+ *   // The national loss-year stack (fcl_mosaic.js), per ecoregion and nationally:
+ *   var byEcoregion = hansen.zonalComparison(stack, stats.ecoregionZones(), years);
+ *   var national = hansen.nationalComparison(stack, years);
+ *
+ * Output columns (one row per zone and year; zone columns as in loss_stats.js):
+ * - ECF_year_area_ha/km2, hansen_year_area_ha/km2: mapped loss area.
+ * - both_loss_km2, ecf_only_km2, hansen_only_km2: loss agreement/disagreement.
+ * - forest_area_km2: area of the comparison domain.
+ * - pixel_agreement: share of the domain where both products agree on
+ *   loss/no loss (area-weighted).
+ * - xt_c<k>_h<0|1>_km2: cross-tabulation of FCL class k (0-3) against Hansen
+ *   no loss (h0) / loss (h1) in the same year.
+ *
+ * Key Notes:
+ * - The comparison domain is the GLC_FCS30-2000 forest mask where the Hansen
+ *   'datamask' is land (1). Hansen 'treecover2000' is not used, so both
+ *   products are compared on the same forest definition.
+ * - Hansen loss in year y is 'lossyear' == y - 2000. Hansen records one loss
+ *   year per pixel; an ECF loss in a later year of the same pixel counts as
+ *   ECF-only.
+ *
+ * =================================================================================
+ */
+
+var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+var stats = require('users/ldf160107/ECF-TST:Code/modules/loss_stats.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var HANSEN_ASSET = 'UMD/hansen/global_forest_change_2024_v1_12';
+var HANSEN_BASE_YEAR = 2000; // 'lossyear' = year - 2000
+var HANSEN_LAND = 1;         // 'datamask' value of mapped land
+
+var M2_PER_KM2 = 1e6;
+var M2_PER_HA = 1e4;
+
+var hansen = ee.Image(HANSEN_ASSET);
+
+// Area bands summed per zone (suffixed with '_<year>').
+var AREA_BANDS = ['ecf_m2', 'hansen_m2', 'both_m2', 'ecf_only_m2', 'hansen_only_m2',
+                  'agree_m2', 'forest_m2'];
+var CROSSTAB_CELLS = [];
+pipeline.CLASS_VALUES.forEach(function(k) {
+  [0, 1].forEach(function(h) { CROSSTAB_CELLS.push('xt_c' + k + '_h' + h); });
+});
+
+// Statistics columns, in export order.
+var COMPARISON_COLUMNS = [
+  'year', 'ECF_year_area_ha', 'ECF_year_area_km2', 'hansen_year_area_ha',
+  'hansen_year_area_km2', 'both_loss_km2', 'ecf_only_km2', 'hansen_only_km2',
+  'forest_area_km2', 'pixel_agreement'
+].concat(CROSSTAB_CELLS.map(function(c) { return c + '_km2'; }));
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Hansen loss of one year.
+ * @param {Number} year - Loss year (2001-2024).
+ * @returns {ee.Image} 1 where Hansen mapped loss in `year`, else 0.
+ */
+function hansenLoss(year) {
+  return hansen.select('lossyear').eq(year - HANSEN_BASE_YEAR).rename('hansen_loss');
+}
+
+/**
+ * Builds the area bands of one year.
+ * @param {ee.Image} label - FCL label (0-3), masked outside the forest.
+ * @param {Number} year - Loss year.
+ * @param {ee.Image} forestMask - Forest baseline mask.
+ * @returns {ee.Image} AREA_BANDS and CROSSTAB_CELLS (in m²), suffixed '_<year>'.
+ */
+function comparisonImage(label, year, forestMask) {
+  var domain = forestMask.and(hansen.select('datamask').eq(HANSEN_LAND));
+  var area = ee.Image.pixelArea().updateMask(domain);
+  var fcl = label.unmask(0);
+  var ecf = fcl.gt(0);
+  var han = hansenLoss(year);
+
+  var layers = {
+    'ecf_m2': ecf,
+    'hansen_m2': han,
+    'both_m2': ecf.and(han),
+    'ecf_only_m2': ecf.and(han.not()),
+    'hansen_only_m2': han.and(ecf.not()),
+    'agree_m2': ecf.eq(han),
+    'forest_m2': ee.Image.constant(1)
+  };
+  var image = ee.Image.cat(AREA_BANDS.map(function(name) {
+    return area.updateMask(layers[name]).rename(name + '_' + year);
+  }));
+  pipeline.CLASS_VALUES.forEach(function(k) {
+    [0, 1].forEach(function(h) {
+      image = image.addBands(area.updateMask(fcl.eq(k).and(han.eq(h)))
+        .rename('xt_c' + k + '_h' + h + '_' + year));
+    });
+  });
+  return image;
+}
+
+/**
+ * Converts summed areas of one year into a statistics row.
+ * @param {Function} get - Property getter of the reduced zone/dictionary.
+ * @param {Number} year - Loss year.
+ * @returns {Object} Properties named as COMPARISON_COLUMNS.
+ */
+function comparisonRow(get, year) {
+  var m2 = function(name) { return ee.Number(get(name + '_' + year)); };
+  var props = {
+    'year': year,
+    'ECF_year_area_ha': m2('ecf_m2').divide(M2_PER_HA),
+    'ECF_year_area_km2': m2('ecf_m2').divide(M2_PER_KM2),
+    'hansen_year_area_ha': m2('hansen_m2').divide(M2_PER_HA),
+    'hansen_year_area_km2': m2('hansen_m2').divide(M2_PER_KM2),
+    'both_loss_km2': m2('both_m2').divide(M2_PER_KM2),
+    'ecf_only_km2': m2('ecf_only_m2').divide(M2_PER_KM2),
+    'hansen_only_km2': m2('hansen_only_m2').divide(M2_PER_KM2),
+    'forest_area_km2': m2('forest_m2').divide(M2_PER_KM2),
+    'pixel_agreement': m2('agree_m2').divide(m2('forest_m2').max(1))
+  };
+  CROSSTAB_CELLS.forEach(function(cell) {
+    props[cell + '_km2'] = m2(cell).divide(M2_PER_KM2);
+  });
+  return props;
+}
+
+/**
+ * Stacks the comparison bands of several years of a loss-year stack.
+ * @param {ee.Image} stack - Loss-year stack with 'fcl_<year>' bands.
+ * @param {Array<Number>} years - Loss years.
+ * @returns {ee.Image} Comparison bands of all years.
+ */
+function stackComparisonImage(stack, years) {
+  var forestMask = pipeline.getForestMask();
+  return ee.Image.cat(years.map(function(y) {
+    return comparisonImage(stack.select('fcl_' + y), y, forestMask);
+  }));
+}
+
+// -------------------------------
+// 3. COMPARISONS
+// -------------------------------
+
+/**
+ * Compares one pipeline result (ecoregion/year) with Hansen.
+ * @param {Object} fcl - Result of `fcl_pipeline.buildFclMap`.
+ * @returns {ee.FeatureCollection} One row ('eco_region_id', 'eco_region_name'
+ *     and COMPARISON_COLUMNS).
+ */
+function compareFclMap(fcl) {
+  var sums = comparisonImage(fcl.smoothed, fcl.targetYear, fcl.forestMask).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: fcl.aoi.geometry(),
+    scale: pipeline.EXPORT_SCALE,
+    crs: pipeline.EXPORT_CRS,
+    maxPixels: 1e13,
+    tileScale: 4
+  });
+  var props = comparisonRow(function(name) { return sums.get(name); }, fcl.targetYear);
+  props['eco_region_id'] = fcl.ecoregion.id;
+  props['eco_region_name'] = fcl.ecoregion.code;
+  return ee.FeatureCollection([ee.Feature(null, props)]);
+}
+
+/**
+ * Compares the loss-year stack with Hansen per zone and year.
+ * @param {ee.Image} stack - Loss-year stack (fcl_mosaic.buildLossStack).
+ * @param {ee.FeatureCollection} zones - Boundaries (e.g. stats.ecoregionZones()).
+ * @param {Array<Number>} years - Loss years.
+ * @param {Object} [options] - idField, nameField, level, tileScale as in
+ *     `loss_stats.zonalLossStats`.
+ * @returns {ee.FeatureCollection} One row per zone and year.
+ */
+function zonalComparison(stack, zones, years, options) {
+  options = options || {};
+  var idField = options.idField || 'zone_id';
+  var nameField = options.nameField || 'zone_name';
+  var level = options.level || 'eco_region';
+
+  var sums = stackComparisonImage(stack, years).reduceRegions({
+    collection: zones,
+    reducer: ee.Reducer.sum(),
+    scale: pipeline.EXPORT_SCALE,
+    crs: pipeline.EXPORT_CRS,
+    tileScale: options.tileScale || 4
+  });
+
+  return ee.FeatureCollection(years.map(function(y) {
+    return sums.map(function(zone) {
+      var props = comparisonRow(function(name) { return zone.get(name); }, y);
+      props[level + '_id'] = zone.get(idField);
+      props[level + '_name'] = zone.get(nameField);
+      return ee.Feature(null, props);
+    });
+  })).flatten();
+}
+
+/**
+ * Compares the loss-year stack with Hansen nationally, one row per year.
+ * @param {ee.Image} stack - Loss-year stack (fcl_mosaic.buildLossStack).
+ * @param {Array<Number>} years - Loss years.
+ * @param {ee.Geometry} [region] - Defaults to the stack footprint.
+ * @returns {ee.FeatureCollection} One row per year (COMPARISON_COLUMNS).
+ */
+function nationalComparison(stack, years, region) {
+  var sums = stackComparisonImage(stack, years).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: region || stack.geometry(),
+    scale: pipeline.EXPORT_SCALE,
+    crs: pipeline.EXPORT_CRS,
+    maxPixels: 1e13,
+    tileScale: 4
+  });
+  return ee.FeatureCollection(years.map(function(y) {
+    return ee.Feature(null, comparisonRow(function(name) { return sums.get(name); }, y));
+  }));
+}
+
+/**
+ * Column order of a comparison table.
+ * @param {String} [level] - Zone column prefix ('eco_region', 'province', ...);
+ *     omit for the national table.
+ * @returns {Array<String>} Selectors.
+ */
+function comparisonColumns(level) {
+  return level ? [level + '_id', level + '_name'].concat(COMPARISON_COLUMNS) :
+    COMPARISON_COLUMNS.slice();
+}
+
+/**
+ * Returns the `Export.table.toDrive` parameters for a comparison table.
+ * @param {ee.FeatureCollection} table - Result of a comparison function.
+ * @param {String} description - Task and file name.
+ * @param {String} [level] - Zone column prefix; omit for the national table.
+ * @returns {Object} Export parameters.
+ */
+function getExportOptions(table, description, level) {
+  return stats.getExportOptions(table, description, comparisonColumns(level));
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.HANSEN_ASSET = HANSEN_ASSET;
+exports.COMPARISON_COLUMNS = COMPARISON_COLUMNS;
+exports.hansenLoss = hansenLoss;
+exports.comparisonImage = comparisonImage;
+exports.compareFclMap = compareFclMap;
+exports.zonalComparison = zonalComparison;
+exports.nationalComparison = nationalComparison;
+exports.comparisonColumns = comparisonColumns;
+exports.getExportOptions = getExportOptions;
@@ -0,0 +1,409 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Hyperparameter Search Driver
+ * =================================================================================
+ *
+ * Purpose: Proposes the hyperparameter combinations evaluated by the grid search
+ * in `ECF_TST_Model_Training_and_Optimization.js`. Besides the original fixed
+ * grid it supports random search and two adaptive methods over declared
+ * parameter ranges, all under an evaluation budget and with a seed, so the
+ * same options always propose the same combinations.
+ *
+ * Usage:
+ *   var hps = require('users/ldf160107/ECF-TST:Code/modules/hyperparam_search.js');
+ *   var search = hps.create({method: 'bayesian', space: SPACE, budget: 40, seed: 7});
+ *   var batch;
+ *   while ((batch = search.next()).length > 0) {
+ *     // evaluate every {config, resource, round} of the batch, then:
+ *     search.report(scores); // one score per batch entry (higher is better)
+ *   }
+ *
+ * Methods:
+ * - 'grid': the configurations listed in `options.grid`, in order.
+ * - 'random': `budget` configurations drawn uniformly (or log-uniformly) from
+ *   `options.space`.
+ * - 'successive_halving': draws as many configurations as the budget allows,
+ *   evaluates them on a fraction `minResource` of the training samples and
+ *   keeps the best 1/`eta` (at least one) for the next round at `eta` times
+ *   the resource, until the survivors are evaluated on all samples. Budgets
+ *   too small for one configuration's full schedule are rejected.
+ * - 'bayesian': Tree-structured Parzen Estimator style refinement. After
+ *   `initialRandom` random configurations, each batch of `batchSize` is chosen
+ *   among `candidates` perturbations of the best configurations, maximising the
+ *   density ratio of good (top `gamma` share) to other configurations.
+ *
+ * Parameter space: {name: {min, max, type: 'int'|'float', log: Boolean}} or
+ * {name: {value: constant}}. Configurations are flat objects {name: value}.
+ *
+ * Key Notes:
+ * - The budget counts evaluations on the full training set; an evaluation on
+ *   a fraction r of the samples ('resource') costs r.
+ * - 'grid' and 'random' propose everything in one batch and need no scores, so
+ *   the whole search stays server-side. The adaptive methods need the scores
+ *   of each batch on the client before proposing the next one.
+ * - This module does not use `ee` and also runs in Node.js.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var METHODS = ['grid', 'random', 'successive_halving', 'bayesian'];
+var ADAPTIVE_METHODS = ['successive_halving', 'bayesian'];
+
+var DEFAULTS = {
+  seed: 42,
+  eta: 3,
+  minResource: 1 / 9,
+  initialRandom: 10,
+  batchSize: 5,
+  gamma: 0.25,
+  candidates: 64
+};
+
+var FLOAT_DECIMALS = 2;   // Float parameters are rounded for readable CSVs.
+var MAX_DRAW_ATTEMPTS = 50;
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Seeded pseudo-random generator (mulberry32).
+ * @param {Number} seed - Integer seed.
+ * @returns {Function} () -> Number in [0, 1).
+ */
+function createRng(seed) {
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller).
+ * @param {Function} rng - Random generator.
+ * @returns {Number}
+ */
+function gaussian(rng) {
+  var u = Math.max(rng(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Maps a parameter value to [0, 1] and back (log scale if requested).
+function toUnit(spec, value) {
+  if (spec.value !== undefined) return 0;
+  var lo = spec.log ? Math.log(spec.min) : spec.min;
+  var hi = spec.log ? Math.log(spec.max) : spec.max;
+  var v = spec.log ? Math.log(value) : value;
+  return hi === lo ? 0 : (v - lo) / (hi - lo);
+}
+
+function fromUnit(spec, u) {
+  if (spec.value !== undefined) return spec.value;
+  u = Math.min(Math.max(u, 0), 1);
+  var lo = spec.log ? Math.log(spec.min) : spec.min;
+  var hi = spec.log ? Math.log(spec.max) : spec.max;
+  var v = lo + u * (hi - lo);
+  if (spec.log) v = Math.exp(v);
+  if (spec.type === 'int') return Math.round(v);
+  var f = Math.pow(10, FLOAT_DECIMALS);
+  return Math.round(v * f) / f;
+}
+
+/**
+ * Checks a parameter space declaration.
+ * @param {Object} space - Parameter space.
+ */
+function validateSpace(space) {
+  Object.keys(space).forEach(function(name) {
+    var spec = space[name];
+    if (spec.value !== undefined) return;
+    if (!(spec.min <= spec.max)) {
+      throw new Error('Parameter "' + name + '" needs min <= max.');
+    }
+    if (spec.log && !(spec.min > 0)) {
+      throw new Error('Parameter "' + name + '" is log-scaled and needs min > 0.');
+    }
+  });
+}
+
+function configKey(config) {
+  return JSON.stringify(Object.keys(config).sort().map(function(k) {
+    return [k, config[k]];
+  }));
+}
+
+// -------------------------------
+// 3. SEARCH DRIVER
+// -------------------------------
+
+/**
+ * Creates a search driver.
+ * @param {Object} options
+ * @param {String} options.method - One of METHODS.
+ * @param {Number} [options.budget] - Maximum cost (full-sample evaluations).
+ *     Required for all methods but 'grid', where it optionally truncates the grid.
+ * @param {Object} [options.space] - Parameter space (all methods but 'grid').
+ * @param {Array<Object>} [options.grid] - Configurations ('grid').
+ * @param {Number} [options.seed=42] - Random seed.
+ * @param {Number} [options.eta=3] - Reduction factor ('successive_halving').
+ * @param {Number} [options.minResource=1/9] - First-round sample fraction
+ *     ('successive_halving').
+ * @param {Number} [options.initialRandom=10] - Random start ('bayesian').
+ * @param {Number} [options.batchSize=5] - Configurations per round ('bayesian').
+ * @param {Number} [options.gamma=0.25] - Share of good configurations ('bayesian').
+ * @param {Number} [options.candidates=64] - Candidates per proposal ('bayesian').
+ * @returns {Object} {method, adaptive, next(), report(scores), history, best()}.
+ */
+function create(options) {
+  var method = options.method;
+  if (METHODS.indexOf(method) < 0) {
+    throw new Error('Unknown search method "' + method + '"; use ' + METHODS.join(', ') + '.');
+  }
+  var opt = {};
+  Object.keys(DEFAULTS).forEach(function(k) {
+    opt[k] = options[k] !== undefined ? options[k] : DEFAULTS[k];
+  });
+  if (method === 'grid') {
+    if (!options.grid || options.grid.length === 0) throw new Error('Grid search needs a grid.');
+  } else {
+    if (!options.space) throw new Error('Search method "' + method + '" needs a space.');
+    if (!(options.budget > 0)) throw new Error('Search method "' + method + '" needs a budget.');
+    validateSpace(options.space);
+  }
+
+  var space = options.space;
+  var rng = createRng(opt.seed);
+  var history = [];    // {config, resource, round, score}
+  var seen = {};       // configKey -> true (configurations already proposed)
+  var spent = 0;
+  var round = 0;
+  var pending = null;  // Batch awaiting scores.
+  var done = false;
+  var survivors = null;
+  var resource = 1;
+
+  var drawRandom = function() {
+    for (var attempt = 0; attempt < MAX_DRAW_ATTEMPTS; attempt++) {
+      var config = {};
+      Object.keys(space).forEach(function(name) {
+        config[name] = fromUnit(space[name], rng());
+      });
+      if (!seen[configKey(config)]) return config;
+    }
+    return null; // Space exhausted (small integer ranges).
+  };
+
+  var propose = function(configs, res) {
+    var batch = configs.map(function(config) {
+      seen[configKey(config)] = true;
+      return {config: config, resource: res, round: round};
+    });
+    spent += batch.length * res;
+    return batch;
+  };
+
+  var randomBatch = function(n) {
+    var configs = [];
+    for (var i = 0; i < n; i++) {
+      var config = drawRandom();
+      if (!config) break;
+      configs.push(config);
+    }
+    return configs;
+  };
+
+  // Cost of a full halving schedule from `n0` configurations: every round,
+  // including the last survivor's promotion to the full sample (resource 1).
+  var halvingCost = function(n0) {
+    var total = 0;
+    var r = Math.min(opt.minResource, 1);
+    var k = n0;
+    while (true) {
+      total += k * r;
+      if (r >= 1) break;
+      k = Math.max(Math.floor(k / opt.eta), 1);
+      r = Math.min(r * opt.eta, 1);
+    }
+    return total;
+  };
+
+  // Largest initial population whose full halving schedule fits the budget.
+  var halvingSize = function() {
+    var n = 0;
+    while (halvingCost(n + 1) <= options.budget) n++;
+    return n;
+  };
+
+  if (method === 'successive_halving') {
+    if (!(opt.eta > 1)) throw new Error('Successive halving needs eta > 1.');
+    if (!(opt.minResource > 0)) throw new Error('Successive halving needs minResource > 0.');
+    if (halvingCost(1) > options.budget) {
+      throw new Error('Budget ' + options.budget + ' is too small for successive halving: ' +
+                      'taking one configuration to the full sample costs ' +
+                      halvingCost(1).toFixed(2) + '.');
+    }
+  }
+
+  // TPE-style proposal of `n` configurations.
+  var bayesianBatch = function(n) {
+    var scored = history.filter(function(h) { return h.score !== null; })
+      .sort(function(a, b) { return b.score - a.score; });
+    if (scored.length < 2) return randomBatch(n);
+    var nGood = Math.max(1, Math.ceil(opt.gamma * scored.length));
+    var good = scored.slice(0, nGood);
+    var bad = scored.slice(nGood);
+    var names = Object.keys(space).filter(function(k) { return space[k].value === undefined; });
+    var bandwidth = Math.max(0.05, 0.5 * Math.pow(scored.length, -0.2));
+
+    var density = function(points, name, u) {
+      if (points.length === 0) return 1; // Uniform prior.
+      var sum = 0;
+      points.forEach(function(p) {
+        var d = (u - toUnit(space[name], p.config[name])) / bandwidth;
+        sum += Math.exp(-0.5 * d * d);
+      });
+      return sum / points.length + 0.1; // Mixed with a uniform prior.
+    };
+
+    var candidates = [];
+    for (var c = 0; c < opt.candidates; c++) {
+      var parent = good[Math.floor(rng() * good.length)].config;
+      var config = {};
+      var ratio = 1;
+      Object.keys(space).forEach(function(name) {
+        if (names.indexOf(name) < 0) {
+          config[name] = space[name].value;
+          return;
+        }
+        var u = toUnit(space[name], parent[name]) + bandwidth * gaussian(rng);
+        config[name] = fromUnit(space[name], u);
+        var uRounded = toUnit(space[name], config[name]);
+        ratio *= density(good, name, uRounded) / density(bad, name, uRounded);
+      });
+      if (!seen[configKey(config)]) candidates.push({config: config, ratio: ratio});
+    }
+    candidates.sort(function(a, b) { return b.ratio - a.ratio; });
+
+    var picked = [];
+    var keys = {};
+    candidates.forEach(function(cand) {
+      var key = configKey(cand.config);
+      if (picked.length < n && !keys[key]) {
+        keys[key] = true;
+        picked.push(cand.config);
+      }
+    });
+    // Top up with random draws if perturbations collided with earlier ones.
+    return picked.concat(randomBatch(n - picked.length));
+  };
+
+  /**
+   * Proposes the next batch.
+   * @returns {Array<Object>} [{config, resource, round}], empty when finished.
+   */
+  function next() {
+    if (pending) throw new Error('Report the scores of the previous batch first.');
+    if (done) return [];
+    var remaining = options.budget !== undefined ? options.budget - spent : Infinity;
+    var batch = [];
+
+    if (method === 'grid') {
+      var grid = options.grid.slice(0, Math.min(options.grid.length, remaining));
+      batch = propose(grid, 1);
+      done = true;
+    } else if (method === 'random') {
+      batch = propose(randomBatch(Math.floor(remaining)), 1);
+      done = true;
+    } else if (method === 'successive_halving') {
+      if (survivors === null) {
+        resource = Math.min(opt.minResource, 1);
+        survivors = randomBatch(halvingSize());
+      }
+      batch = propose(survivors, resource);
+    } else {
+      var size = round === 0 ? Math.min(opt.initialRandom, Math.floor(remaining)) :
+        Math.min(opt.batchSize, Math.floor(remaining));
+      if (size > 0) batch = propose(round === 0 ? randomBatch(size) : bayesianBatch(size), 1);
+    }
+
+    if (batch.length === 0) {
+      done = true;
+      return [];
+    }
+    if (ADAPTIVE_METHODS.indexOf(method) >= 0) {
+      pending = batch;
+    } else {
+      batch.forEach(function(b) { history.push({config: b.config, resource: b.resource,
+                                                round: b.round, score: null}); });
+    }
+    return batch;
+  }
+
+  /**
+   * Records the scores of the last batch (adaptive methods).
+   * @param {Array<Number|null>} scores - One per batch entry; null = failed.
+   */
+  function report(scores) {
+    if (!pending) return;
+    if (!scores || scores.length !== pending.length) {
+      throw new Error('Expected ' + pending.length + ' scores.');
+    }
+    pending.forEach(function(b, i) {
+      var score = typeof scores[i] === 'number' && isFinite(scores[i]) ? scores[i] : null;
+      history.push({config: b.config, resource: b.resource, round: b.round, score: score});
+    });
+
+    if (method === 'successive_halving') {
+      // The last survivor is still promoted until it has seen the full sample.
+      if (resource >= 1) {
+        done = true;
+      } else {
+        var ranked = pending.map(function(b, i) {
+          return {config: b.config, score: history[history.length - pending.length + i].score};
+        }).sort(function(a, b) {
+          return (b.score === null ? -Infinity : b.score) - (a.score === null ? -Infinity : a.score);
+        });
+        var keep = Math.max(Math.floor(ranked.length / opt.eta), 1);
+        survivors = ranked.slice(0, keep).map(function(r) { return r.config; });
+        resource = Math.min(resource * opt.eta, 1);
+      }
+    }
+    pending = null;
+    round += 1;
+  }
+
+  /**
+   * Best scored configuration on the full sample.
+   * @returns {Object|null} History entry.
+   */
+  function best() {
+    var full = history.filter(function(h) { return h.resource >= 1 && h.score !== null; });
+    full.sort(function(a, b) { return b.score - a.score; });
+    return full.length > 0 ? full[0] : null;
+  }
+
+  return {
+    method: method,
+    adaptive: ADAPTIVE_METHODS.indexOf(method) >= 0,
+    next: next,
+    report: report,
+    history: history,
+    best: best
+  };
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.METHODS = METHODS;
+exports.createRng = createRng;
+exports.create = create;
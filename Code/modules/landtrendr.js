@@ -0,0 +1,165 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: LandTrendr Segmentation Features
+ * =================================================================================
+ *
+ * Purpose: Derives disturbance features of the target year from a LandTrendr
+ * segmentation of the annual index series (2000 to the target year): the
+ * greatest disturbance segment's magnitude, duration, pre-disturbance value,
+ * rate and the years since it. They complement the rolling-window temporal
+ * features of features.js and are registered in feature_registry.js (group
+ * 'segmentation'), so RFE and training can select them.
+ *
+ * Usage:
+ *   var landtrendr = require('users/ldf160107/ECF-TST:Code/modules/landtrendr.js');
+ *   var image = landtrendr.segmentationFeatures(ctx.tsCollection, 2020);
+ *   // Bands: NBR_lt_mag, NBR_lt_dur, NBR_lt_pre, NBR_lt_rate, NBR_lt_ysd,
+ *   //        NDMI_lt_mag, ...
+ *
+ * Key Notes:
+ * - Runs Earth Engine's built-in `ee.Algorithms.TemporalSegmentation.LandTrendr`
+ *   on the project's own composites (compositing.js); no third-party module.
+ * - INDICES holds NBR and the chosen second index (SECOND_INDEX, one of
+ *   features.INDEX_BANDS). Changing it renames the registered features, so
+ *   re-extract the samples afterwards.
+ * - Indices are negated where vegetation loss lowers them (all but NDBI), as
+ *   LandTrendr expects loss to increase the fitted value. Outputs are in the
+ *   index's own orientation and units (index * 1000, as tsCollection):
+ *     _lt_mag   loss magnitude (fitted change over the segment, >= 0)
+ *     _lt_dur   segment duration (years)
+ *     _lt_pre   fitted value at the segment start
+ *     _lt_rate  magnitude / duration
+ *     _lt_ysd   target year - year of detection (segment start + 1)
+ * - Pixels without a loss segment get magnitude, duration and rate 0, the
+ *   pre-value 0 and years-since NO_DISTURBANCE_YSD years (longer than any series).
+ *
+ * Data Sources Cited:
+ * - LandTrendr: Kennedy et al. (2010, 2018), Remote Sensing of Environment.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var SECOND_INDEX = 'NDMI';
+var INDICES = ['NBR', SECOND_INDEX];
+
+// Indices that increase with vegetation loss; all others are negated.
+var LOSS_INCREASES = ['NDBI'];
+
+var METRICS = ['mag', 'dur', 'pre', 'rate', 'ysd'];
+
+// Segmentation parameters (Kennedy et al. 2018 defaults for annual composites).
+var PARAMS = {
+  maxSegments: 6,
+  spikeThreshold: 0.9,
+  vertexCountOvershoot: 3,
+  preventOneYearRecovery: true,
+  recoveryThreshold: 0.25,
+  pvalThreshold: 0.05,
+  bestModelProportion: 0.75,
+  minObservationsNeeded: 6
+};
+
+// Years-since value of pixels without a loss segment.
+var NO_DISTURBANCE_YSD = 100;
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Band names of one index.
+ * @param {String} index - Index band (e.g. 'NBR').
+ * @returns {Array<String>} e.g. ['NBR_lt_mag', ..., 'NBR_lt_ysd'].
+ */
+function featureNames(index) {
+  return METRICS.map(function(metric) { return index + '_lt_' + metric; });
+}
+
+/**
+ * Greatest loss segment of one index.
+ * @param {ee.ImageCollection} tsCollection - Annual index images up to the
+ *     target year (with 'system:time_start').
+ * @param {String} index - Index band.
+ * @param {Number} targetYear - Target year.
+ * @returns {ee.Image} The featureNames(index) bands.
+ */
+function greatestLoss(tsCollection, index, targetYear) {
+  var direction = LOSS_INCREASES.indexOf(index) >= 0 ? 1 : -1;
+  var series = tsCollection.map(function(img) {
+    return img.select(index).multiply(direction).toFloat()
+      .copyProperties(img, ['system:time_start']);
+  });
+  var params = {timeSeries: series};
+  Object.keys(PARAMS).forEach(function(k) { params[k] = PARAMS[k]; });
+  var lt = ee.Algorithms.TemporalSegmentation.LandTrendr(params).select('LandTrendr');
+
+  // Vertex rows: 0 year, 2 fitted value (loss-positive orientation).
+  var vertices = lt.arrayMask(lt.arraySlice(0, 3, 4));
+  var left = vertices.arraySlice(1, 0, -1);
+  var right = vertices.arraySlice(1, 1);
+  var startYear = left.arraySlice(0, 0, 1);
+  var startValue = left.arraySlice(0, 2, 3);
+  var magnitude = right.arraySlice(0, 2, 3).subtract(startValue);
+  var duration = right.arraySlice(0, 0, 1).subtract(startYear);
+  var segments = magnitude
+    .arrayCat(duration, 0)
+    .arrayCat(startValue.multiply(direction), 0)
+    .arrayCat(magnitude.divide(duration), 0)
+    .arrayCat(startYear.multiply(-1).add(targetYear - 1), 0)
+    .arrayCat(ee.Image(ee.Array([[0], [0], [0], [0], [NO_DISTURBANCE_YSD]])), 1);
+
+  // Largest magnitude first; the appended column stands for "no loss".
+  var sorted = segments.arraySort(segments.arraySlice(0, 0, 1).multiply(-1));
+  return sorted.arraySlice(1, 0, 1).arrayProject([0]).arrayFlatten([featureNames(index)]);
+}
+
+// -------------------------------
+// 3. FEATURES
+// -------------------------------
+
+/**
+ * LandTrendr features of the target year for every index in INDICES.
+ * @param {ee.ImageCollection} tsCollection - Annual index composites
+ *     (features.INDEX_BANDS, 'composite_year'), e.g. the pipeline context's.
+ * @param {Number} targetYear - Target year.
+ * @param {Array<String>} [names] - Requested feature names; LandTrendr only
+ *     runs on the indices they belong to. Default: all.
+ * @returns {ee.Image} The `listFeatures()` bands (of the requested indices).
+ */
+function segmentationFeatures(tsCollection, targetYear, names) {
+  var indices = !names ? INDICES : INDICES.filter(function(index) {
+    return featureNames(index).some(function(n) { return names.indexOf(n) >= 0; });
+  });
+  var series = tsCollection
+    .filter(ee.Filter.lte('composite_year', targetYear))
+    .sort('system:time_start');
+  return ee.Image.cat(indices.map(function(index) {
+    return greatestLoss(series, index, targetYear);
+  }));
+}
+
+/**
+ * Lists the band names produced by `segmentationFeatures`.
+ * @returns {Array<String>} Feature names.
+ */
+function listFeatures() {
+  var names = [];
+  INDICES.forEach(function(index) { names = names.concat(featureNames(index)); });
+  return names;
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.SECOND_INDEX = SECOND_INDEX;
+exports.INDICES = INDICES;
+exports.METRICS = METRICS;
+exports.PARAMS = PARAMS;
+exports.NO_DISTURBANCE_YSD = NO_DISTURBANCE_YSD;
+exports.segmentationFeatures = segmentationFeatures;
+exports.listFeatures = listFeatures;
@@ -0,0 +1,215 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Zonal Loss-Area Statistics
+ * =================================================================================
+ *
+ * Purpose: Computes annual forest cover loss area per zone (ecoregion,
+ * province, city, county or any other boundary collection) from the national
+ * FCL loss-year stack, and exports the tables behind
+ * `data/annual_ecoregion_loss_area_2001_2020.csv` and
+ * `data/national_annual_loss.csv`.
+ *
+ * Usage:
+ *   var stats = require('users/ldf160107/ECF-TST:Code/modules/loss_stats.js');
+ *   var stack = ee.Image('.../FCL_National_Stack_2001_2024'); // fcl_mosaic.js
+ *   var table = stats.zonalLossStats(stack, stats.ecoregionZones(), [2001, 2002]);
+ *   Export.table.toDrive(stats.getExportOptions(table, 'Ecoregion_Loss_Area'));
+ *
+ * Output columns (one row per zone and year):
+ *   <id column>, <name column>, year, loss_area_km2, loss_area_ha,
+ *   pixel_count, forest_area_2000_km2
+ * The id/name columns default to 'eco_region_id'/'eco_region_name' (the
+ * ecoregion CSV schema); admin levels use e.g. 'province_id'/'province_name'.
+ *
+ * Key Notes:
+ * - Areas come from `ee.Image.pixelArea()`, so they are true areas in the
+ *   EPSG:4326 export grid, not pixel count * 900 m².
+ * - `pixel_count` is the (fraction-weighted) number of loss pixels, as
+ *   returned by a weighted sum at the zone edges.
+ * - Loss in year y is any pixel with an FCL label 1-3 in band 'fcl_<y>'.
+ * - Forest area 2000 is the area of the GLC_FCS30-2000 forest mask
+ *   (`fcl_pipeline.getForestMask`).
+ *
+ * =================================================================================
+ */
+
+var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var M2_PER_KM2 = 1e6;
+var M2_PER_HA = 1e4;
+
+var STATS_FOLDER = 'GEE_FCL_Statistics'; // Google Drive folder
+
+// Column order of the zonal tables ({id}/{name} are replaced per level).
+var ZONAL_COLUMNS = ['{id}', '{name}', 'year', 'loss_area_km2', 'loss_area_ha',
+                     'pixel_count', 'forest_area_2000_km2'];
+// Column order of the national table (data/national_annual_loss.csv).
+var NATIONAL_COLUMNS = ['ECF_year_area_ha', 'ECF_year_area_km2', 'year'];
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Builds the per-year area image reduced over the zones.
+ * @param {ee.Image} stack - Loss-year stack with 'fcl_<year>' bands.
+ * @param {Array<Number>} years - Years to include.
+ * @returns {ee.Image} Bands 'loss_m2_<y>', 'count_<y>' and 'forest_m2'.
+ */
+function lossAreaImage(stack, years) {
+  var area = ee.Image.pixelArea();
+  var image = area.updateMask(pipeline.getForestMask()).rename('forest_m2');
+  years.forEach(function(y) {
+    var loss = stack.select('fcl_' + y).gt(0).selfMask();
+    image = image
+      .addBands(area.updateMask(loss).rename('loss_m2_' + y))
+      .addBands(loss.rename('count_' + y));
+  });
+  return image;
+}
+
+/**
+ * Ecoregion boundaries as a zone collection for `zonalLossStats`.
+ * @param {Array<Number>} [ecoregionIds] - Defaults to all catalogued.
+ * @returns {ee.FeatureCollection} One feature per ecoregion with 'zone_id'
+ *     (ID) and 'zone_name' (code, e.g. 'I01').
+ */
+function ecoregionZones(ecoregionIds) {
+  var ids = ecoregionIds || catalogue.listIds();
+  return ee.FeatureCollection(ids.map(function(id) {
+    var ecoregion = catalogue.get(id);
+    return ee.Feature(catalogue.loadGeometry(ecoregion).geometry(), {
+      'zone_id': ecoregion.id,
+      'zone_name': ecoregion.code
+    });
+  }));
+}
+
+// -------------------------------
+// 3. STATISTICS
+// -------------------------------
+
+/**
+ * Computes annual loss area per zone.
+ * @param {ee.Image} stack - Loss-year stack (fcl_mosaic.buildLossStack).
+ * @param {ee.FeatureCollection} zones - Boundaries.
+ * @param {Array<Number>} years - Years to report.
+ * @param {Object} [options]
+ * @param {String} [options.idField='zone_id'] - Zone ID property of `zones`.
+ * @param {String} [options.nameField='zone_name'] - Zone name property.
+ * @param {String} [options.level] - Column prefix, e.g. 'province' gives
+ *     'province_id'/'province_name'. Defaults to 'eco_region'.
+ * @param {Number} [options.tileScale=4] - reduceRegions tileScale.
+ * @returns {ee.FeatureCollection} One row per zone and year (ZONAL_COLUMNS).
+ */
+function zonalLossStats(stack, zones, years, options) {
+  options = options || {};
+  var idField = options.idField || 'zone_id';
+  var nameField = options.nameField || 'zone_name';
+  var level = options.level || 'eco_region';
+
+  var sums = lossAreaImage(stack, years).reduceRegions({
+    collection: zones,
+    reducer: ee.Reducer.sum(),
+    scale: pipeline.EXPORT_SCALE,
+    crs: pipeline.EXPORT_CRS,
+    tileScale: options.tileScale || 4
+  });
+
+  var rows = years.map(function(y) {
+    return sums.map(function(zone) {
+      var lossM2 = ee.Number(zone.get('loss_m2_' + y));
+      var props = {
+        'year': y,
+        'loss_area_km2': lossM2.divide(M2_PER_KM2),
+        'loss_area_ha': lossM2.divide(M2_PER_HA),
+        'pixel_count': zone.get('count_' + y),
+        'forest_area_2000_km2': ee.Number(zone.get('forest_m2')).divide(M2_PER_KM2)
+      };
+      props[level + '_id'] = zone.get(idField);
+      props[level + '_name'] = zone.get(nameField);
+      return ee.Feature(null, props);
+    });
+  });
+  return ee.FeatureCollection(rows).flatten();
+}
+
+/**
+ * Computes national annual loss area (data/national_annual_loss.csv schema).
+ * @param {ee.Image} stack - Loss-year stack (fcl_mosaic.buildLossStack).
+ * @param {Array<Number>} years - Years to report.
+ * @param {ee.Geometry} [region] - Defaults to the stack footprint (loss is
+ *     only mapped inside the ecoregions).
+ * @returns {ee.FeatureCollection} One row per year (NATIONAL_COLUMNS).
+ */
+function nationalLossStats(stack, years, region) {
+  var sums = lossAreaImage(stack, years).reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: region || stack.geometry(),
+    scale: pipeline.EXPORT_SCALE,
+    crs: pipeline.EXPORT_CRS,
+    maxPixels: 1e13,
+    tileScale: 4
+  });
+  return ee.FeatureCollection(years.map(function(y) {
+    var lossM2 = ee.Number(sums.get('loss_m2_' + y));
+    return ee.Feature(null, {
+      'year': y,
+      'ECF_year_area_ha': lossM2.divide(M2_PER_HA),
+      'ECF_year_area_km2': lossM2.divide(M2_PER_KM2)
+    });
+  }));
+}
+
+// -------------------------------
+// 4. EXPORT
+// -------------------------------
+
+/**
+ * Column order of a zonal table.
+ * @param {String} [level='eco_region'] - Column prefix used in `zonalLossStats`.
+ * @returns {Array<String>} Selectors.
+ */
+function zonalColumns(level) {
+  level = level || 'eco_region';
+  return ZONAL_COLUMNS.map(function(c) {
+    return c.replace('{id}', level + '_id').replace('{name}', level + '_name');
+  });
+}
+
+/**
+ * Returns the `Export.table.toDrive` parameters for a statistics table.
+ * @param {ee.FeatureCollection} table - Result of `zonalLossStats` or
+ *     `nationalLossStats`.
+ * @param {String} description - Task and file name.
+ * @param {Array<String>} [selectors] - Column order; defaults to the
+ *     ecoregion schema.
+ * @returns {Object} Export parameters.
+ */
+function getExportOptions(table, description, selectors) {
+  return {
+    collection: table,
+    description: description,
+    folder: STATS_FOLDER,
+    fileNamePrefix: description,
+    fileFormat: 'CSV',
+    selectors: selectors || zonalColumns()
+  };
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.NATIONAL_COLUMNS = NATIONAL_COLUMNS;
+exports.lossAreaImage = lossAreaImage;
+exports.ecoregionZones = ecoregionZones;
+exports.zonalLossStats = zonalLossStats;
+exports.nationalLossStats = nationalLossStats;
+exports.zonalColumns = zonalColumns;
+exports.getExportOptions = getExportOptions;
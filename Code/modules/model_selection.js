@@ -0,0 +1,375 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Best-Model Selection and Model Asset Settings
+ * =================================================================================
+ *
+ * Purpose: Closes the loop between the hyperparameter search of
+ * `ECF_TST_Model_Training_and_Optimization.js` and the mapping pipeline. It
+ * ranks the evaluated combinations by a configurable objective, describes the
+ * winning training settings as asset properties, exports the retrained model
+ * as a candidate next to (not over) the deployed `RF2_Optimized_Model_E*`
+ * asset, promotes a reviewed candidate, and lets the mapping pipeline read and
+ * verify the features the deployed model was trained on.
+ *
+ * Usage:
+ *   var selection = require('users/ldf160107/ECF-TST:Code/modules/model_selection.js');
+ *   var best = selection.selectBest(results, 'macro_f1');
+ *   var settings = selection.modelSettings(best, {ecoregionId: 1, features: names});
+ *   var candidate = selection.candidateAssetId(ecoregion, 'v2');
+ *   Export.table.toAsset(selection.getSettingsExportOptions(best, settings, candidate));
+ *   // Once the model and settings exports have completed:
+ *   selection.tagModel(candidate);
+ *   // After reviewing the candidate's metrics, replace the deployed model:
+ *   selection.promoteModel(candidate, ecoregion);
+ *   // Mapping side (fcl_pipeline.js classifies with the recorded features):
+ *   var check = selection.verifyModel(ecoregion, fcl.modelFeatures, fcl.featureSettings);
+ *
+ * Objectives (result columns of classification_metrics.js, higher is better):
+ * - 'kappa' (default), 'overall_accuracy'.
+ * - 'macro_f1', 'weighted_f1': mean F1 of the classes present in the test
+ *   fold, unweighted or weighted by class size.
+ * - 'min_recall': lowest recall of the classes present in the test fold.
+ *
+ * Key Notes:
+ * - `Export.classifier.toAsset` cannot attach properties, so the settings are
+ *   exported as the properties of a one-row table asset next to the model
+ *   (`<modelAsset>_settings`). `tagModel` copies them onto the model asset;
+ *   `verifyModel` reads the model asset first and falls back to the settings
+ *   asset.
+ * - Candidates are written to the catalogue's 'models' output folder as
+ *   `RF2_Optimized_Model_E<id>_<version>`; only `promoteModel` copies a
+ *   candidate (and its settings) over the ecoregion's `modelAsset`.
+ * - Feature names are compared as registry-resolved canonical sets, so a
+ *   model trained on canonical names matches any known spelling.
+ * - The settings also record the options that change feature values
+ *   (composite season and method, harmonisation, fusion, forest mask mode,
+ *   climate options, DEM) as 'feature_*' properties, copied from the sample
+ *   table; `verifyModel` refuses a mapping run with different ones.
+ * - The settings and verification calls of section 4 are client-side
+ *   (`ee.data`); use them from Code Editor scripts, not inside mapped functions.
+ *
+ * =================================================================================
+ */
+
+var balancing = require('users/ldf160107/ECF-TST:Code/modules/class_balancing.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+var registry = require('users/ldf160107/ECF-TST:Code/modules/feature_registry.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var OBJECTIVES = ['kappa', 'overall_accuracy', 'macro_f1', 'weighted_f1', 'min_recall'];
+
+var SETTINGS_SUFFIX = '_settings';
+var FEATURE_SEPARATOR = ',';
+var CANDIDATE_PREFIX = 'RF2_Optimized_Model_E';
+var VERSION_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Messages of ee.data.getAsset for a missing asset.
+var NOT_FOUND_PATTERN = /not found|does not exist/i;
+
+// Result columns copied into the model settings.
+var PARAMETER_COLUMNS = [
+  'iteration', 'class1_target', 'class2_target', 'class3_target',
+  'num_trees', 'min_leaf_pop', 'bag_frac', 'split_vars', 'cv_strategy'
+].concat(balancing.SETTING_COLUMNS);
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Validates an objective name.
+ * @param {String} objective - Objective name.
+ * @returns {String} The objective.
+ */
+function checkObjective(objective) {
+  if (OBJECTIVES.indexOf(objective) < 0) {
+    throw new Error('Unknown objective "' + objective + '"; use ' + OBJECTIVES.join(', ') + '.');
+  }
+  return objective;
+}
+
+/**
+ * Resolves feature names to canonical names, reporting unknown ones.
+ * @param {Array<String>} names - Feature names in any known spelling.
+ * @param {String} label - Subject of the error message.
+ * @param {Array<String>} errors - Receives an error for unknown names.
+ * @returns {Array<String>} Canonical names.
+ */
+function canonicalFeatures(names, label, errors) {
+  var resolution = registry.resolveAll(names);
+  if (resolution.unresolved.length > 0) {
+    errors.push(label + ' features cannot be resolved: ' + resolution.unresolved.join(', ') + '.');
+  }
+  return resolution.canonical;
+}
+
+// -------------------------------
+// 3. SELECTION
+// -------------------------------
+
+/**
+ * Ranks evaluated combinations, best first. Ties keep the lower iteration.
+ * @param {ee.FeatureCollection} results - One row per combination.
+ * @param {String} [objective='kappa'] - One of OBJECTIVES.
+ * @returns {ee.FeatureCollection} Sorted results.
+ */
+function rankResults(results, objective) {
+  objective = checkObjective(objective || 'kappa');
+  return results.sort('iteration').sort(objective, false);
+}
+
+/**
+ * Returns the best combination.
+ * @param {ee.FeatureCollection} results - One row per combination.
+ * @param {String} [objective='kappa'] - One of OBJECTIVES.
+ * @returns {ee.Feature} The winning row, with 'selection_objective'.
+ */
+function selectBest(results, objective) {
+  objective = checkObjective(objective || 'kappa');
+  return ee.Feature(rankResults(results, objective).first())
+    .set('selection_objective', objective);
+}
+
+/**
+ * Describes the training settings of the winning combination. All values are
+ * numbers or strings, as asset properties require.
+ * @param {ee.Feature} best - Result of `selectBest`.
+ * @param {Object} context
+ * @param {Number} context.ecoregionId - Ecoregion ID.
+ * @param {Array<String>} context.features - Input properties of the model.
+ * @param {ee.List} context.classes - Class values present in the final
+ *     training set, ascending (the order of MULTIPROBABILITY output).
+ * @param {Object|ee.Dictionary} context.featureSettings - 'feature_*'
+ *     options the samples were extracted with (fcl_pipeline.featureSettings).
+ * @param {String} [context.searchMethod] - Hyperparameter search method.
+ * @param {Number} [context.seed] - Seed of the final balancing.
+ * @param {ee.Number} [context.trainingSize] - Samples before balancing.
+ * @returns {ee.Dictionary} Model settings.
+ */
+function modelSettings(best, context) {
+  var objective = best.get('selection_objective');
+  return best.toDictionary(PARAMETER_COLUMNS).combine({
+    'model_ecoregion_id': context.ecoregionId,
+    'model_features': context.features.join(FEATURE_SEPARATOR),
+    'model_classes': ee.List(context.classes).map(function(c) {
+      return ee.Number(c).format('%d');
+    }).join(FEATURE_SEPARATOR),
+    'model_objective': objective,
+    'model_objective_value': best.get(objective),
+    'search_method': context.searchMethod || 'grid',
+    'model_seed': context.seed !== undefined ? context.seed : 0,
+    'n_training': context.trainingSize !== undefined ? context.trainingSize : -1
+  }).combine(context.featureSettings || {});
+}
+
+/**
+ * Returns the asset ID of the settings table exported next to a model.
+ * @param {String} modelAssetId - Classifier asset ID.
+ * @returns {String} Settings asset ID.
+ */
+function settingsAssetId(modelAssetId) {
+  return modelAssetId + SETTINGS_SUFFIX;
+}
+
+/**
+ * Returns the asset ID of a retrained model candidate in the catalogue's
+ * 'models' output folder. The deployed `modelAsset` is replaced only by
+ * `promoteModel`.
+ * @param {Object} entry - Ecoregion entry (`ecoregion_catalogue.get`).
+ * @param {String} version - Candidate version (letters, digits, '_' or '-').
+ * @returns {String} e.g. '<models>/RF2_Optimized_Model_E1_v2'.
+ */
+function candidateAssetId(entry, version) {
+  if (!VERSION_PATTERN.test(String(version))) {
+    throw new Error('Invalid candidate version "' + version + '"; use letters, digits, _ or -.');
+  }
+  return catalogue.getOutputFolder('models') + '/' + CANDIDATE_PREFIX + entry.id + '_' + version;
+}
+
+/**
+ * Returns the `Export.table.toAsset` parameters of the settings table: the
+ * winning row, with the settings as collection (asset) properties.
+ * @param {ee.Feature} best - Result of `selectBest`.
+ * @param {ee.Dictionary} settings - Result of `modelSettings`.
+ * @param {String} modelAssetId - Classifier asset ID.
+ * @returns {Object} Export parameters.
+ */
+function getSettingsExportOptions(best, settings, modelAssetId) {
+  var assetId = settingsAssetId(modelAssetId);
+  return {
+    collection: ee.FeatureCollection([best]).set(settings),
+    description: assetId.split('/').pop(),
+    assetId: assetId
+  };
+}
+
+// -------------------------------
+// 4. MODEL ASSET PROPERTIES (client-side)
+// -------------------------------
+
+/**
+ * Reads the properties of an asset. Errors other than a missing asset
+ * (permissions, quota, network) are rethrown.
+ * @param {String} assetId - Asset ID.
+ * @returns {Object|null} Properties, or null if the asset does not exist.
+ */
+function readProperties(assetId) {
+  var asset;
+  try {
+    asset = ee.data.getAsset(assetId);
+  } catch (e) {
+    if (NOT_FOUND_PATTERN.test(String(e && e.message || e))) return null;
+    throw e;
+  }
+  return asset ? (asset.properties || {}) : null;
+}
+
+/**
+ * Returns the input properties recorded in a model's settings.
+ * @param {Object} settings - Settings properties (`readModelSettings`).
+ * @returns {Array<String>} Feature names, in training order.
+ */
+function recordedFeatures(settings) {
+  return String(settings.model_features).split(FEATURE_SEPARATOR);
+}
+
+/**
+ * Reads the training settings of a model: from the model asset if it has been
+ * tagged, otherwise from its settings asset.
+ * @param {String} modelAssetId - Classifier asset ID.
+ * @returns {Object|null} {source: 'model'|'settings', properties}, or null.
+ */
+function readModelSettings(modelAssetId) {
+  var own = readProperties(modelAssetId);
+  if (own && own.model_features !== undefined) {
+    return {source: 'model', properties: own};
+  }
+  var stored = readProperties(settingsAssetId(modelAssetId));
+  if (stored && stored.model_features !== undefined) {
+    return {source: 'settings', properties: stored};
+  }
+  return null;
+}
+
+/**
+ * Copies the properties of the settings asset onto the model asset.
+ * @param {String} modelAssetId - Classifier asset ID (export completed).
+ * @returns {Object} The properties written.
+ */
+function tagModel(modelAssetId) {
+  if (readProperties(modelAssetId) === null) {
+    throw new Error('Model asset ' + modelAssetId + ' does not exist yet; run its export task first.');
+  }
+  var stored = readProperties(settingsAssetId(modelAssetId));
+  if (!stored || stored.model_features === undefined) {
+    throw new Error('Settings asset ' + settingsAssetId(modelAssetId) + ' is missing.');
+  }
+  var properties = {};
+  Object.keys(stored).forEach(function(key) {
+    if (key.indexOf('system:') !== 0) properties[key] = stored[key];
+  });
+  ee.data.setAssetProperties(modelAssetId, properties);
+  return properties;
+}
+
+/**
+ * Returns the class values recorded in a model's settings.
+ * @param {Object} settings - Settings properties (`readModelSettings`).
+ * @returns {Array<Number>|null} Class values, ascending, or null for models
+ *     tagged before the classes were recorded.
+ */
+function recordedClasses(settings) {
+  if (settings.model_classes === undefined) return null;
+  return String(settings.model_classes).split(FEATURE_SEPARATOR).map(Number);
+}
+
+/**
+ * Replaces an ecoregion's deployed model with a tagged candidate: copies the
+ * candidate model and its settings table over `modelAsset` and its settings
+ * asset, then tags the deployed model.
+ * @param {String} candidateId - Candidate asset ID (`candidateAssetId`).
+ * @param {Object} entry - Ecoregion entry (`ecoregion_catalogue.get`).
+ * @returns {Object} The properties of the promoted model.
+ */
+function promoteModel(candidateId, entry) {
+  var found = readModelSettings(candidateId);
+  if (found === null) {
+    throw new Error('Candidate ' + candidateId + ' has no recorded settings; export and tag it first.');
+  }
+  if (Number(found.properties.model_ecoregion_id) !== entry.id) {
+    throw new Error('Candidate ' + candidateId + ' was trained for ecoregion ' +
+                    found.properties.model_ecoregion_id + ', not ' + entry.id + '.');
+  }
+  if (readProperties(candidateId) === null) {
+    throw new Error('Candidate model ' + candidateId + ' does not exist yet; run its export task first.');
+  }
+  ee.data.copyAsset(candidateId, entry.modelAsset, true);
+  ee.data.copyAsset(settingsAssetId(candidateId), settingsAssetId(entry.modelAsset), true);
+  return tagModel(entry.modelAsset);
+}
+
+/**
+ * Checks that a model asset was trained for an ecoregion, on the given input
+ * features and with the given feature settings. Both feature lists are
+ * resolved to canonical names and compared as sets, so the spelling of either
+ * side does not matter.
+ * @param {Object} entry - Ecoregion entry (`ecoregion_catalogue.get`).
+ * @param {Array<String>} features - Band names passed to `classify`.
+ * @param {Object} [featureSettings] - 'feature_*' options of the mapping run
+ *     (`buildFclMap(...).featureSettings`); each must equal the recorded one.
+ * @returns {Object} {status: 'verified'|'unverified'|'mismatch',
+ *     errors: Array<String>, settings: Object|null}. 'unverified' means the
+ *     model has no recorded settings (models trained before this module).
+ */
+function verifyModel(entry, features, featureSettings) {
+  var found = readModelSettings(entry.modelAsset);
+  if (found === null) return {status: 'unverified', errors: [], settings: null};
+
+  var settings = found.properties;
+  var errors = [];
+  if (Number(settings.model_ecoregion_id) !== entry.id) {
+    errors.push('Model was trained for ecoregion ' + settings.model_ecoregion_id +
+                ', not ' + entry.id + '.');
+  }
+  var trained = canonicalFeatures(recordedFeatures(settings), 'Recorded model', errors);
+  features = canonicalFeatures(features, 'Mapping', errors);
+  var missing = trained.filter(function(f) { return features.indexOf(f) < 0; });
+  var extra = features.filter(function(f) { return trained.indexOf(f) < 0; });
+  if (missing.length > 0) {
+    errors.push('Features the model needs but the mapping lacks: ' + missing.join(', ') + '.');
+  }
+  if (extra.length > 0) {
+    errors.push('Features the model was not trained on: ' + extra.join(', ') + '.');
+  }
+  Object.keys(featureSettings || {}).forEach(function(key) {
+    if (settings[key] === undefined) {
+      errors.push('Model settings do not record ' + key + '; retrain the model.');
+    } else if (String(settings[key]) !== String(featureSettings[key])) {
+      errors.push('Model was trained with ' + key + ' ' + settings[key] +
+                  ', the mapping uses ' + featureSettings[key] + '.');
+    }
+  });
+  return {status: errors.length ? 'mismatch' : 'verified', errors: errors, settings: settings};
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.OBJECTIVES = OBJECTIVES;
+exports.PARAMETER_COLUMNS = PARAMETER_COLUMNS;
+exports.rankResults = rankResults;
+exports.selectBest = selectBest;
+exports.modelSettings = modelSettings;
+exports.settingsAssetId = settingsAssetId;
+exports.candidateAssetId = candidateAssetId;
+exports.getSettingsExportOptions = getSettingsExportOptions;
+exports.readModelSettings = readModelSettings;
+exports.recordedFeatures = recordedFeatures;
+exports.recordedClasses = recordedClasses;
+exports.tagModel = tagModel;
+exports.promoteModel = promoteModel;
+exports.verifyModel = verifyModel;
@@ -0,0 +1,185 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Training-Sample Extraction
+ * =================================================================================
+ *
+ * Purpose: Turns raw labelled points (location, year, label 0-3) into feature
+ * tables for model training. Each point is sampled from the feature image the
+ * mapping pipeline builds for the point's year (fcl_pipeline.js), so training
+ * and inference features are computed by the same code.
+ *
+ * Usage:
+ *   var sampling = require('users/ldf160107/ECF-TST:Code/modules/sampling.js');
+ *   var samples = sampling.extractSamples(points, aoi, {years: [2005, 2010]});
+ *   Export.table.toAsset(sampling.getAssetExportOptions(samples, ecoregion));
+ *
+ * Key Notes:
+ * - Output properties are numeric and use the canonical feature names, plus
+ *   'label' (integer), 'year' and 'ecoregion_id' (if given); point geometries
+ *   are kept for the spatial-block CV. String labels and years (CSV uploads)
+ *   are parsed.
+ * - `sampleRegions` drops points where any selected band is masked (outside
+ *   the baseline forest mask or without a valid composite).
+ * - Without `options.years`, the distinct point years are fetched with
+ *   getInfo().
+ * - The table records the options that change feature values as its
+ *   'feature_*' properties (`pipeline.featureSettings`); the training script
+ *   copies them into the model settings.
+ * - Extracted tables go to the catalogue's 'samples' folder
+ *   (`Samples_E<id>`); the training script reads them with
+ *   SAMPLE_SOURCE = 'extracted'.
+ *
+ * =================================================================================
+ */
+
+var compositing = require('users/ldf160107/ECF-TST:Code/modules/compositing.js');
+var pipeline = require('users/ldf160107/ECF-TST:Code/modules/fcl_pipeline.js');
+var registry = require('users/ldf160107/ECF-TST:Code/modules/feature_registry.js');
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var SAMPLE_SCALE = 30;        // Landsat resolution, as the mapping export
+                              // (10 m for native Sentinel-2 fusion)
+var DEFAULT_TILE_SCALE = 4;
+var DEFAULT_YEAR_PROPERTY = 'year';
+var DEFAULT_LABEL_PROPERTY = 'label';
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Reads a numeric property that may be stored as a string (CSV uploads).
+ * @param {ee.Feature} feature - Point.
+ * @param {String} property - Property name.
+ * @returns {ee.Number} The value.
+ */
+function numericProperty(feature, property) {
+  var value = feature.get(property);
+  return ee.Number(ee.Algorithms.If(
+    ee.Algorithms.ObjectType(value).equals('String'),
+    ee.Number.parse(value),
+    value
+  ));
+}
+
+/**
+ * Normalises raw points to integer 'label' and 'year' properties.
+ * @param {ee.FeatureCollection} points - Raw labelled points.
+ * @param {String} labelProperty - Label property (0-3).
+ * @param {String} yearProperty - Year property.
+ * @returns {ee.FeatureCollection} Points with 'label' and 'year' only.
+ */
+function normalisePoints(points, labelProperty, yearProperty) {
+  return points
+    .filter(ee.Filter.notNull([labelProperty, yearProperty]))
+    .map(function(f) {
+      return ee.Feature(f.geometry(), {
+        'label': numericProperty(f, labelProperty).int(),
+        'year': numericProperty(f, yearProperty).int()
+      });
+    });
+}
+
+// -------------------------------
+// 3. EXTRACTION
+// -------------------------------
+
+/**
+ * Samples the mapping feature image of each point's year.
+ * @param {ee.FeatureCollection} points - Labelled points.
+ * @param {ee.FeatureCollection|ee.Geometry} aoi - Ecoregion geometry.
+ * @param {Object} [options]
+ * @param {Array<Number>} [options.years] - Years to extract; defaults to the
+ *     distinct point years (getInfo).
+ * @param {Array<String>} [options.features] - Feature names (any registered
+ *     spelling); defaults to every registered feature.
+ * @param {String} [options.yearProperty='year'] - Point year property.
+ * @param {String} [options.labelProperty='label'] - Point label property.
+ * @param {Number} [options.ecoregionId] - Stored as 'ecoregion_id'.
+ * @param {Number} [options.tileScale=4] - `sampleRegions` tile scale.
+ * @param {String} [options.maskMode='baseline_2000'] - Forest mask mode of
+ *     each point's year (forest_baseline.MASK_MODES).
+ * @param {Object} [options.composite] - Composite options (season, method,
+ *     fusion), e.g. `pipeline.compositeOptions(ecoregion)`; match the mapping
+ *     run. The sampling scale follows the fusion (`compositing.fusionScale`).
+ * @param {Object} [options.climate] - Climate options {temperature,
+ *     baselineStart, baselineEnd} (features.checkClimateOptions); match the
+ *     mapping run.
+ * @param {String} [options.dem='srtm'] - DEM of the terrain features
+ *     (terrain.DEM_SOURCES); match the mapping run.
+ * @returns {ee.FeatureCollection} One feature per retained point, with the
+ *     feature settings as collection properties.
+ */
+function extractSamples(points, aoi, options) {
+  options = options || {};
+  var names = registry.listFeatures();
+  if (options.features) {
+    var resolution = registry.resolveAll(options.features);
+    if (resolution.unresolved.length > 0) {
+      throw new Error('Unknown feature(s): ' + resolution.unresolved.join(', '));
+    }
+    names = resolution.canonical;
+  }
+  var normalised = normalisePoints(points,
+    options.labelProperty || DEFAULT_LABEL_PROPERTY,
+    options.yearProperty || DEFAULT_YEAR_PROPERTY);
+  var years = options.years ||
+    normalised.aggregate_array('year').distinct().sort().getInfo();
+  var scale = options.composite ? compositing.fusionScale(options.composite.fusion) : SAMPLE_SCALE;
+
+  var perYear = years.map(function(year) {
+    var forestMask = pipeline.getForestMask(year, options.maskMode);
+    var stack = pipeline.buildFeatureStack(pipeline.buildFeatureContext(
+      aoi, year, forestMask, options.composite, options.climate, options.dem), names);
+    return stack.sampleRegions({
+      collection: normalised.filter(ee.Filter.eq('year', year)),
+      properties: ['label', 'year'],
+      scale: scale,
+      tileScale: options.tileScale || DEFAULT_TILE_SCALE,
+      geometries: true
+    });
+  });
+  var samples = ee.FeatureCollection(perYear).flatten();
+  if (options.ecoregionId !== undefined) {
+    samples = samples.map(function(f) { return f.set('ecoregion_id', options.ecoregionId); });
+  }
+  return samples.set(pipeline.featureSettings(options.composite, options.maskMode,
+                                              options.climate, options.dem));
+}
+
+/**
+ * Asset ID of an ecoregion's extracted sample table.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @returns {String} e.g. '<samples folder>/Samples_E1'.
+ */
+function sampleAssetId(ecoregion) {
+  return catalogue.getOutputFolder('samples') + '/Samples_E' + ecoregion.id;
+}
+
+/**
+ * Returns the `Export.table.toAsset` parameters of an extracted sample table.
+ * @param {ee.FeatureCollection} samples - Result of `extractSamples`.
+ * @param {Object} ecoregion - Catalogue entry.
+ * @returns {Object} Export parameters.
+ */
+function getAssetExportOptions(samples, ecoregion) {
+  return {
+    collection: samples,
+    description: 'Samples_E' + ecoregion.id,
+    assetId: sampleAssetId(ecoregion)
+  };
+}
+
+// -------------------------------
+// 4. EXPORTS
+// -------------------------------
+
+exports.SAMPLE_SCALE = SAMPLE_SCALE;
+exports.numericProperty = numericProperty;
+exports.extractSamples = extractSamples;
+exports.sampleAssetId = sampleAssetId;
+exports.getAssetExportOptions = getAssetExportOptions;
@@ -0,0 +1,195 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Socio-Economic Features
+ * =================================================================================
+ *
+ * Purpose: Builds the socio-economic drivers of forest loss for a target year:
+ * RESDC gridded population and GDP density, interpolated between census years,
+ * and the distances to the nearest road, settlement and earlier forest loss.
+ * The bands are registered in feature_registry.js (group 'socioeconomic'), so
+ * RFE and training can select them.
+ *
+ * Usage:
+ *   var socioeconomic = require('users/ldf160107/ECF-TST:Code/modules/socioeconomic.js');
+ *   var image = socioeconomic.socioeconomicFeatures(2012);
+ *   // Bands: pop_dens, gdp_dens, dist_road, dist_settl, dist_loss
+ *
+ * Key Notes:
+ * - Population (people/km2) and GDP (10^4 yuan/km2) grids are listed per
+ *   census year in the ecoregion catalogue (`socioeconomic`). A target year
+ *   between two census years is interpolated linearly; years outside the
+ *   catalogued range use the nearest census year.
+ * - Roads are GRIP4 (static, ~2015). Settlements are GHSL built-up cells of the
+ *   latest 5-year epoch not after the target year. Previous loss is Hansen GFC
+ *   loss from 2001 to the year before the target year.
+ * - Distances are in metres and capped at MAX_DISTANCE_M; pixels farther away
+ *   (or without any source, e.g. no loss before 2002) get the cap.
+ *
+ * Data Sources Cited:
+ * - RESDC population and GDP grids: https://www.resdc.cn (DOIid 32 and 33).
+ * - GRIP4: Meijer et al. (2018), Environmental Research Letters 13.
+ * - GHSL GHS-BUILT-S R2023A: Pesaresi & Politis (2023), European Commission JRC.
+ * - Hansen GFC: Hansen et al. (2013), Science 342.
+ *
+ * =================================================================================
+ */
+
+var catalogue = require('users/ldf160107/ECF-TST:Code/modules/ecoregion_catalogue.js');
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+var ROAD_ASSET = 'projects/sat-io/open-datasets/GRIP4/Central-East-Asia';
+var SETTLEMENT_COLLECTION = 'JRC/GHSL/P2023A/GHS_BUILT_S';
+var HANSEN_ASSET = 'UMD/hansen/global_forest_change_2024_v1_12'; // As hansen_comparison.js
+
+// GHSL epochs (every 5 years) and the built-up surface (m2 per 100 m cell)
+// above which a cell counts as settlement.
+var SETTLEMENT_EPOCHS = [1975, 2030];
+var SETTLEMENT_MIN_BUILT = 1000;
+
+var MAX_DISTANCE_M = 10000;
+
+// Canonical band names (<= 10 characters, shapefile-safe).
+var DENSITY_BANDS = {population: 'pop_dens', gdp: 'gdp_dens'};
+var DISTANCE_BANDS = ['dist_road', 'dist_settl', 'dist_loss'];
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Capped distance (m) to the nearest non-zero pixel of a source image.
+ * @param {ee.Image} source - 0/1 image.
+ * @param {String} name - Output band name.
+ * @returns {ee.Image} Distance band.
+ */
+function distanceTo(source, name) {
+  return source.unmask(0)
+    .distance(ee.Kernel.euclidean(MAX_DISTANCE_M, 'meters'))
+    .unmask(MAX_DISTANCE_M)
+    .min(MAX_DISTANCE_M)
+    .toFloat()
+    .rename(name);
+}
+
+/**
+ * GHSL epoch of a target year: the latest epoch not after it, clamped to the
+ * available epochs.
+ * @param {Number} year - Target year.
+ * @returns {Number} e.g. 2010 for 2012.
+ */
+function settlementEpoch(year) {
+  var epoch = year - year % 5;
+  return Math.min(Math.max(epoch, SETTLEMENT_EPOCHS[0]), SETTLEMENT_EPOCHS[1]);
+}
+
+// -------------------------------
+// 3. LAYERS
+// -------------------------------
+
+/**
+ * Population or GDP density of a year, interpolated between census years.
+ * @param {String} kind - 'population' or 'gdp' (catalogue `socioeconomic`).
+ * @param {Number} year - Target year.
+ * @returns {ee.Image} DENSITY_BANDS[kind].
+ */
+function densityLayer(kind, year) {
+  var layers = catalogue.listSocioeconomicLayers(kind);
+  var before = layers[0];
+  var after = layers[layers.length - 1];
+  layers.forEach(function(layer) {
+    if (layer.year <= year) before = layer;
+  });
+  for (var i = layers.length - 1; i >= 0; i--) {
+    if (layers[i].year >= year) after = layers[i];
+  }
+
+  // Outside the catalogued range both ends are the nearest census year.
+  var lower = ee.Image(before.asset).select(0).toFloat();
+  if (before.year === after.year) return lower.rename(DENSITY_BANDS[kind]);
+  var weight = (year - before.year) / (after.year - before.year);
+  var upper = ee.Image(after.asset).select(0).toFloat();
+  return lower.multiply(1 - weight).add(upper.multiply(weight))
+    .rename(DENSITY_BANDS[kind]);
+}
+
+/**
+ * Distance to the nearest GRIP4 road.
+ * @returns {ee.Image} 'dist_road' (m).
+ */
+function roadDistance() {
+  var roads = ee.Image(0).byte().paint(ee.FeatureCollection(ROAD_ASSET), 1);
+  return distanceTo(roads, 'dist_road');
+}
+
+/**
+ * Distance to the nearest settlement of the target year's GHSL epoch.
+ * @param {Number} year - Target year.
+ * @returns {ee.Image} 'dist_settl' (m).
+ */
+function settlementDistance(year) {
+  var built = ee.Image(SETTLEMENT_COLLECTION + '/' + settlementEpoch(year))
+    .select('built_surface');
+  return distanceTo(built.gte(SETTLEMENT_MIN_BUILT), 'dist_settl');
+}
+
+/**
+ * Distance to the nearest Hansen loss before the target year.
+ * @param {Number} year - Target year.
+ * @returns {ee.Image} 'dist_loss' (m).
+ */
+function previousLossDistance(year) {
+  var lossYear = ee.Image(HANSEN_ASSET).select('lossyear');
+  var previous = lossYear.gte(1).and(lossYear.lte(year - 2001));
+  return distanceTo(previous, 'dist_loss');
+}
+
+// -------------------------------
+// 4. FEATURES
+// -------------------------------
+
+/**
+ * Socio-economic features of the target year.
+ * @param {Number} year - Target year.
+ * @param {Array<String>} [names] - Requested feature names; only their layers
+ *     are built. Default: all.
+ * @returns {ee.Image} The `listFeatures()` bands (the requested ones).
+ */
+function socioeconomicFeatures(year, names) {
+  var wanted = function(band) { return !names || names.indexOf(band) >= 0; };
+  var bands = [];
+  Object.keys(DENSITY_BANDS).forEach(function(kind) {
+    if (wanted(DENSITY_BANDS[kind])) bands.push(densityLayer(kind, year));
+  });
+  if (wanted('dist_road')) bands.push(roadDistance());
+  if (wanted('dist_settl')) bands.push(settlementDistance(year));
+  if (wanted('dist_loss')) bands.push(previousLossDistance(year));
+  return ee.Image.cat(bands);
+}
+
+/**
+ * Lists the band names produced by `socioeconomicFeatures`.
+ * @returns {Array<String>} Feature names.
+ */
+function listFeatures() {
+  return Object.keys(DENSITY_BANDS)
+    .map(function(kind) { return DENSITY_BANDS[kind]; })
+    .concat(DISTANCE_BANDS);
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.ROAD_ASSET = ROAD_ASSET;
+exports.SETTLEMENT_COLLECTION = SETTLEMENT_COLLECTION;
+exports.SETTLEMENT_MIN_BUILT = SETTLEMENT_MIN_BUILT;
+exports.MAX_DISTANCE_M = MAX_DISTANCE_M;
+exports.densityLayer = densityLayer;
+exports.roadDistance = roadDistance;
+exports.settlementDistance = settlementDistance;
+exports.previousLossDistance = previousLossDistance;
+exports.socioeconomicFeatures = socioeconomicFeatures;
+exports.listFeatures = listFeatures;
@@ -0,0 +1,245 @@
+/**
+ * =================================================================================
+ * ECF-TST Module: Terrain Features
+ * =================================================================================
+ *
+ * Purpose: Builds the topographic features from a digital elevation model:
+ * elevation, slope and aspect, the circular aspect components (northness,
+ * eastness), the topographic position index at several scales, terrain
+ * ruggedness, a topographic wetness index and the hillshade illumination of
+ * the composite season. The bands are registered in feature_registry.js
+ * (group 'terrain').
+ *
+ * Usage:
+ *   var terrain = require('users/ldf160107/ECF-TST:Code/modules/terrain.js');
+ *   var image = terrain.terrainFeatures('srtm', {start: '05-01', end: '09-30'});
+ *   // Bands: dem, slope, aspect, northness, eastness, tpi_300, tpi_1000,
+ *   //        tpi_3000, tri, twi, illum
+ *
+ * Key Notes:
+ * - DEM_SOURCES: 'srtm' (default, the deployed models' DEM), 'nasadem',
+ *   'copernicus' (GLO-30) or 'alos' (AW3D30). Changing the DEM changes every
+ *   terrain band, so re-extract the samples and retrain afterwards.
+ * - slope and aspect are in radians, as before. northness = cos(aspect) and
+ *   eastness = sin(aspect) remove the 0 / 2*pi discontinuity of aspect.
+ * - tpi_<r>: elevation minus the mean elevation within r metres (TPI_SCALES_M).
+ *   tri: Riley's ruggedness index, the root of the summed squared elevation
+ *   differences to the 8 neighbours (m).
+ * - twi: ln(a / tan(slope)) with the specific catchment area a from the MERIT
+ *   Hydro upstream area (independent of the DEM choice; ~90 m).
+ * - illum: cosine of the solar incidence angle (0-1; 0 = self-shadowed) at
+ *   the mid-day of the composite season and the 10:30 overpass (hour angle
+ *   OVERPASS_HOUR_ANGLE), computed per pixel from its latitude.
+ *
+ * Data Sources Cited:
+ * - SRTM: Farr et al. (2007), Reviews of Geophysics 45.
+ * - NASADEM: NASA JPL (2020).
+ * - Copernicus DEM GLO-30: ESA / Airbus (2021).
+ * - ALOS AW3D30: Tadono et al. (2014), ISPRS Annals II-4.
+ * - MERIT Hydro: Yamazaki et al. (2019), Water Resources Research 55.
+ * - TRI: Riley et al. (1999), Intermountain Journal of Sciences 5.
+ *
+ * =================================================================================
+ */
+
+// -------------------------------
+// 1. CONSTANTS
+// -------------------------------
+
+// Elevation sources. Tiled collections are mosaicked in their own projection.
+var DEM_SOURCES = {
+  srtm: {asset: 'USGS/SRTMGL1_003', band: 'elevation', tiled: false},
+  nasadem: {asset: 'NASA/NASADEM_HGT/001', band: 'elevation', tiled: false},
+  copernicus: {asset: 'COPERNICUS/DEM/GLO30', band: 'DEM', tiled: true},
+  alos: {asset: 'JAXA/ALOS/AW3D30/V3_2', band: 'DSM', tiled: true}
+};
+var DEFAULT_DEM = 'srtm';
+
+var TPI_SCALES_M = [300, 1000, 3000];
+
+// Upstream drainage area (km2) and its pixel size (m) for the wetness index.
+var FLOW_ACCUMULATION = {asset: 'MERIT/Hydro/v1_0_1', band: 'upa', cellSize: 90};
+var MIN_SLOPE_TAN = 0.001; // Flat cells: avoids division by zero in twi
+
+// Solar hour angle of the Landsat / Sentinel-2 overpass (10:30 local time).
+var OVERPASS_HOUR_ANGLE = -22.5;
+
+var DAYS_BEFORE_MONTH = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+// -------------------------------
+// 2. HELPER FUNCTIONS
+// -------------------------------
+
+/**
+ * Validates a DEM source.
+ * @param {String} [dem] - Key of DEM_SOURCES (default DEFAULT_DEM).
+ * @returns {String} The DEM key.
+ */
+function checkDem(dem) {
+  dem = dem || DEFAULT_DEM;
+  if (!DEM_SOURCES.hasOwnProperty(dem)) {
+    throw new Error('Unknown DEM "' + dem + '"; use ' + Object.keys(DEM_SOURCES).join(', ') + '.');
+  }
+  return dem;
+}
+
+/**
+ * Loads the elevation of a DEM source.
+ * @param {String} [dem] - Key of DEM_SOURCES.
+ * @returns {ee.Image} 'dem' (m).
+ */
+function loadDem(dem) {
+  var source = DEM_SOURCES[checkDem(dem)];
+  if (!source.tiled) return ee.Image(source.asset).select([source.band], ['dem']);
+  var tiles = ee.ImageCollection(source.asset).select([source.band], ['dem']);
+  return tiles.mosaic().setDefaultProjection(tiles.first().projection());
+}
+
+/**
+ * Day of year (non-leap) of an 'MM-DD' date.
+ * @param {String} monthDay - e.g. '05-01'.
+ * @returns {Number} 1-365.
+ */
+function dayOfYear(monthDay) {
+  var parts = monthDay.split('-');
+  return DAYS_BEFORE_MONTH[Number(parts[0]) - 1] + Number(parts[1]);
+}
+
+/**
+ * Mid-day of a season; seasons may wrap around the new year.
+ * @param {Object} season - {start: 'MM-DD', end: 'MM-DD'}.
+ * @returns {Number} Day of year (1-365).
+ */
+function seasonMidDay(season) {
+  var start = dayOfYear(season.start);
+  var end = dayOfYear(season.end);
+  if (end < start) end += 365;
+  return (Math.round((start + end) / 2) - 1) % 365 + 1;
+}
+
+// -------------------------------
+// 3. DERIVATIVES
+// -------------------------------
+
+/**
+ * Topographic position index at one scale.
+ * @param {ee.Image} elevation - 'dem'.
+ * @param {Number} radius - Neighbourhood radius (m).
+ * @returns {ee.Image} 'tpi_<radius>'.
+ */
+function topographicPosition(elevation, radius) {
+  return elevation.subtract(elevation.focalMean(radius, 'circle', 'meters'))
+    .rename('tpi_' + radius);
+}
+
+/**
+ * Terrain ruggedness index (Riley et al. 1999).
+ * @param {ee.Image} elevation - 'dem'.
+ * @returns {ee.Image} 'tri' (m).
+ */
+function ruggedness(elevation) {
+  return elevation.toFloat().neighborhoodToBands(ee.Kernel.square(1))
+    .subtract(elevation)
+    .pow(2)
+    .reduce(ee.Reducer.sum())
+    .sqrt()
+    .rename('tri');
+}
+
+/**
+ * Topographic wetness index from the MERIT Hydro upstream area.
+ * @param {ee.Image} slope - Slope (radians).
+ * @returns {ee.Image} 'twi'.
+ */
+function wetness(slope) {
+  var upstream = ee.Image(FLOW_ACCUMULATION.asset).select(FLOW_ACCUMULATION.band);
+  var specificArea = upstream.multiply(1e6).divide(FLOW_ACCUMULATION.cellSize);
+  return specificArea.divide(slope.tan().max(MIN_SLOPE_TAN)).log().rename('twi');
+}
+
+/**
+ * Hillshade illumination (cosine of the solar incidence angle) at the mid-day
+ * of a season and the overpass time.
+ * @param {ee.Image} slope - Slope (radians).
+ * @param {ee.Image} aspect - Aspect (radians, clockwise from north).
+ * @param {Object} season - {start: 'MM-DD', end: 'MM-DD'}.
+ * @returns {ee.Image} 'illum' (0-1).
+ */
+function illumination(slope, aspect, season) {
+  var day = seasonMidDay(season);
+  var declination = 23.44 * Math.sin(2 * Math.PI * (284 + day) / 365) * Math.PI / 180;
+  var hourAngle = OVERPASS_HOUR_ANGLE * Math.PI / 180;
+  var latitude = ee.Image.pixelLonLat().select('latitude').multiply(Math.PI / 180);
+
+  // Solar zenith and azimuth (clockwise from north) of each pixel.
+  var cosZenith = latitude.sin().multiply(Math.sin(declination))
+    .add(latitude.cos().multiply(Math.cos(declination) * Math.cos(hourAngle)));
+  var zenith = cosZenith.acos();
+  var azimuth = ee.Image(Math.sin(hourAngle)).atan2(
+    latitude.sin().multiply(Math.cos(hourAngle))
+      .subtract(latitude.cos().multiply(Math.tan(declination))))
+    .add(Math.PI);
+
+  return cosZenith.multiply(slope.cos())
+    .add(zenith.sin().multiply(slope.sin()).multiply(azimuth.subtract(aspect).cos()))
+    .max(0)
+    .rename('illum');
+}
+
+// -------------------------------
+// 4. FEATURES
+// -------------------------------
+
+/**
+ * Terrain features of a DEM.
+ * @param {String} [dem='srtm'] - Key of DEM_SOURCES.
+ * @param {Object} season - Composite season {start: 'MM-DD', end: 'MM-DD'}
+ *     (for 'illum').
+ * @param {Array<String>} [names] - Requested feature names; only these are
+ *     built. Default: all.
+ * @returns {ee.Image} The `listFeatures()` bands (the requested ones).
+ */
+function terrainFeatures(dem, season, names) {
+  var wanted = function(band) { return !names || names.indexOf(band) >= 0; };
+  var elevation = loadDem(dem);
+  var terrain = ee.Terrain.products(elevation);
+  var slope = terrain.select('slope').toFloat().multiply(Math.PI / 180).rename('slope');
+  var aspect = terrain.select('aspect').toFloat().multiply(Math.PI / 180).rename('aspect');
+
+  var bands = [];
+  if (wanted('dem')) bands.push(elevation);
+  if (wanted('slope')) bands.push(slope);
+  if (wanted('aspect')) bands.push(aspect);
+  if (wanted('northness')) bands.push(aspect.cos().rename('northness'));
+  if (wanted('eastness')) bands.push(aspect.sin().rename('eastness'));
+  TPI_SCALES_M.forEach(function(radius) {
+    if (wanted('tpi_' + radius)) bands.push(topographicPosition(elevation, radius));
+  });
+  if (wanted('tri')) bands.push(ruggedness(elevation));
+  if (wanted('twi')) bands.push(wetness(slope));
+  if (wanted('illum')) bands.push(illumination(slope, aspect, season));
+  return ee.Image.cat(bands);
+}
+
+/**
+ * Lists the band names produced by `terrainFeatures`.
+ * @returns {Array<String>} Feature names.
+ */
+function listFeatures() {
+  return ['dem', 'slope', 'aspect', 'northness', 'eastness']
+    .concat(TPI_SCALES_M.map(function(radius) { return 'tpi_' + radius; }))
+    .concat(['tri', 'twi', 'illum']);
+}
+
+// -------------------------------
+// 5. EXPORTS
+// -------------------------------
+
+exports.DEM_SOURCES = DEM_SOURCES;
+exports.DEFAULT_DEM = DEFAULT_DEM;
+exports.TPI_SCALES_M = TPI_SCALES_M;
+exports.OVERPASS_HOUR_ANGLE = OVERPASS_HOUR_ANGLE;
+exports.checkDem = checkDem;
+exports.loadDem = loadDem;
+exports.terrainFeatures = terrainFeatures;
+exports.listFeatures = listFeatures;
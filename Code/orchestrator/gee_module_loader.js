@@ -0,0 +1,82 @@
+/**
+ * =================================================================================
+ * ECF-TST Orchestrator: Code Editor Module Loader
+ * =================================================================================
+ *
+ * Purpose: Loads Earth Engine Code Editor modules (`require('users/<owner>/
+ * <repo>:<path>')`) inside Node.js so the batch orchestrator runs exactly the
+ * same pipeline code as the Code Editor.
+ *
+ * Path resolution:
+ * - 'users/ldf160107/ECF-TST:<path>' -> <this repository>/<path>
+ * - 'users/<owner>/<repo>:<path>'    -> <modulesDir>/users/<owner>/<repo>/<path>
+ *   Third-party Code Editor repositories (e.g. users/emaprlab/public for
+ *   LandTrendr) are git repositories and can be cloned into `modulesDir`:
+ *     git clone https://earthengine.googlesource.com/users/emaprlab/public \
+ *       <modulesDir>/users/emaprlab/public
+ *
+ * =================================================================================
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// Code Editor path of this repository.
+var PROJECT_REPO = 'users/ldf160107/ECF-TST';
+
+// Local checkout root of this repository (Code/orchestrator/../..).
+var PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Creates a `require` function for Code Editor module paths.
+ * @param {Object} options
+ * @param {Object} options.ee - Initialised `@google/earthengine` client.
+ * @param {String} [options.modulesDir] - Directory holding third-party repositories.
+ * @param {Function} [options.print] - Replacement for the Code Editor `print`.
+ * @returns {Function} geeRequire(modulePath) -> module exports.
+ */
+function createGeeRequire(options) {
+  var cache = {};
+  var print = options.print || function() {};
+
+  function resolvePath(modulePath) {
+    var match = /^(users\/[^/:]+\/[^/:]+):(.+)$/.exec(modulePath);
+    if (!match) {
+      throw new Error('Not a Code Editor module path: ' + modulePath);
+    }
+    if (match[1] === PROJECT_REPO) {
+      return path.join(PROJECT_ROOT, match[2]);
+    }
+    if (!options.modulesDir) {
+      throw new Error('Module ' + modulePath + ' is outside this repository; ' +
+                      'pass --modules-dir with a local clone of ' + match[1] + '.');
+    }
+    return path.join(options.modulesDir, match[1], match[2]);
+  }
+
+  function geeRequire(modulePath) {
+    var file = resolvePath(modulePath);
+    if (cache.hasOwnProperty(file)) {
+      return cache[file].exports;
+    }
+    if (!fs.existsSync(file)) {
+      throw new Error('Cannot find module ' + modulePath + ' (looked in ' + file + ').');
+    }
+    var module = {exports: {}};
+    cache[file] = module;
+    var wrapper = vm.runInThisContext(
+      '(function(exports, require, module, ee, print) {\n' +
+      fs.readFileSync(file, 'utf8') + '\n})',
+      {filename: file});
+    wrapper(module.exports, geeRequire, module, options.ee, print);
+    return module.exports;
+  }
+
+  return geeRequire;
+}
+
+exports.PROJECT_REPO = PROJECT_REPO;
+exports.createGeeRequire = createGeeRequire;
@@ -0,0 +1,158 @@
+/**
+ * =================================================================================
+ * ECF-TST Orchestrator: Batch Scheduler
+ * =================================================================================
+ *
+ * Purpose: Runs a set of ecoregion/year FCL export jobs against a task API
+ * (`task_api.js` or `task_api_stub.js`): keeps at most `concurrency` tasks
+ * active, polls their status, retries failed tasks up to `maxAttempts` times and
+ * records every transition in the state file.
+ *
+ * Each scheduling round:
+ *   1. Polls the status of all submitted/running tasks.
+ *   2. Marks finished jobs completed; failed jobs go back to pending while
+ *      attempts remain, otherwise they are marked failed.
+ *   3. Submits pending jobs until the concurrency limit is reached.
+ *   4. Saves the state file and waits `pollIntervalMs`.
+ *
+ * =================================================================================
+ */
+
+'use strict';
+
+var stateStore = require('./state_store');
+
+// Earth Engine task states grouped by what the scheduler does with them.
+var ACTIVE_STATES = ['UNSUBMITTED', 'READY', 'RUNNING', 'CANCEL_REQUESTED'];
+var FAILED_STATES = ['FAILED', 'CANCELLED', 'UNKNOWN'];
+
+/**
+ * Expands ecoregion and year ranges into a job list.
+ * @param {Array<Number>} ecoregionIds - Ecoregion IDs.
+ * @param {Array<Number>} years - Target years.
+ * @returns {Array<Object>} [{ecoregionId, year}], ordered by year, then ecoregion.
+ */
+function expandJobs(ecoregionIds, years) {
+  var jobs = [];
+  years.forEach(function(year) {
+    ecoregionIds.forEach(function(id) {
+      jobs.push({ecoregionId: id, year: year});
+    });
+  });
+  return jobs;
+}
+
+/**
+ * Runs the batch until every requested job is completed or has failed for good.
+ * @param {Object} options
+ * @param {Object} options.store - State store from `state_store.openStateStore`.
+ * @param {Object} options.taskApi - {submit, getStatus}.
+ * @param {Array<Object>} options.jobs - [{ecoregionId, year}] to run.
+ * @param {Number} [options.concurrency=5] - Maximum number of active tasks.
+ * @param {Number} [options.maxAttempts=3] - Submissions per job before giving up.
+ * @param {Number} [options.pollIntervalMs=60000] - Wait between rounds.
+ * @param {Function} [options.log] - Logger (defaults to console.log).
+ * @param {Function} [options.sleep] - ms -> Promise; injectable for the stub.
+ * @returns {Promise<Object>} Summary {completed, failed, total}.
+ */
+function runBatch(options) {
+  var store = options.store;
+  var taskApi = options.taskApi;
+  var concurrency = options.concurrency || 5;
+  var maxAttempts = options.maxAttempts || 3;
+  var pollIntervalMs = options.pollIntervalMs !== undefined ? options.pollIntervalMs : 60000;
+  var log = options.log || console.log;
+  var sleep = options.sleep || function(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
+  };
+
+  var keys = options.jobs.map(function(job) {
+    return stateStore.jobKey(job.ecoregionId, job.year);
+  });
+
+  function withStatus(statuses) {
+    return keys.filter(function(key) {
+      return statuses.indexOf(store.jobs[key].status) >= 0;
+    });
+  }
+
+  function recordFailure(key, message) {
+    var job = store.jobs[key];
+    if (job.attempts < maxAttempts) {
+      log('[retry] ' + key + ' (attempt ' + job.attempts + '/' + maxAttempts + '): ' + message);
+      store.update(key, {status: 'pending', taskId: null, lastError: message});
+    } else {
+      log('[failed] ' + key + ' after ' + job.attempts + ' attempt(s): ' + message);
+      store.update(key, {status: 'failed', lastError: message});
+    }
+  }
+
+  // 1-2. Poll active tasks and apply their new states.
+  function poll() {
+    var active = withStatus(['submitted', 'running']);
+    if (active.length === 0) return Promise.resolve();
+    var byTask = {};
+    active.forEach(function(key) { byTask[store.jobs[key].taskId] = key; });
+
+    return taskApi.getStatus(Object.keys(byTask)).then(function(statuses) {
+      statuses.forEach(function(s) {
+        var key = byTask[s.id];
+        if (!key) return;
+        if (s.state === 'COMPLETED') {
+          log('[completed] ' + key);
+          store.update(key, {status: 'completed', lastError: null});
+        } else if (FAILED_STATES.indexOf(s.state) >= 0) {
+          recordFailure(key, s.errorMessage || s.state);
+        } else if (ACTIVE_STATES.indexOf(s.state) >= 0) {
+          var status = s.state === 'RUNNING' ? 'running' : 'submitted';
+          if (store.jobs[key].status !== status) store.update(key, {status: status});
+        }
+      });
+    }, function(err) {
+      // Transient API errors: keep the tasks and try again next round.
+      log('[warn] Status poll failed: ' + err.message);
+    });
+  }
+
+  // 3. Fill free slots with pending jobs, one submission at a time.
+  function submitPending() {
+    var free = concurrency - withStatus(['submitted', 'running']).length;
+    var queue = withStatus(['pending']).slice(0, Math.max(free, 0));
+
+    return queue.reduce(function(chain, key) {
+      return chain.then(function() {
+        var job = store.jobs[key];
+        store.update(key, {attempts: job.attempts + 1});
+        return taskApi.submit({ecoregionId: job.ecoregionId, year: job.year})
+          .then(function(taskId) {
+            log('[submitted] ' + key + ' -> ' + taskId);
+            store.update(key, {status: 'submitted', taskId: taskId});
+          }, function(err) {
+            recordFailure(key, err.message);
+          });
+      });
+    }, Promise.resolve());
+  }
+
+  function round() {
+    return poll()
+      .then(submitPending)
+      .then(function() {
+        store.save();
+        var remaining = withStatus(['pending', 'submitted', 'running']).length;
+        if (remaining === 0) {
+          return {
+            completed: withStatus(['completed']).length,
+            failed: withStatus(['failed']).length,
+            total: keys.length
+          };
+        }
+        return sleep(pollIntervalMs).then(round);
+      });
+  }
+
+  return round();
+}
+
+exports.expandJobs = expandJobs;
+exports.runBatch = runBatch;
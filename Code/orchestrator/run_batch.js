@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * =================================================================================
+ * ECF-TST Orchestrator: Batch FCL Export (command line)
+ * =================================================================================
+ *
+ * Purpose: Submits the annual FCL mapping exports for ranges of ecoregions and
+ * years (up to 35 ecoregions * 25 years) instead of editing `TARGET_YEAR` /
+ * `ECOREGION_ID` and clicking Run for each task. Tasks are built with the same
+ * pipeline as `ECF_TST_Annual_FCL_Mapping.js` (Code/modules/fcl_pipeline.js).
+ *
+ * Requirements:
+ * - Node.js >= 14 and the Earth Engine client:  npm install @google/earthengine
+ * - A service-account key registered for Earth Engine.
+ *
+ * Usage:
+ *   node run_batch.js --ecoregions 1-35 --years 2000-2024 \
+ *     --key key.json --project my-gee-project
+ *
+ *   # Dry run against the local task stub (no credentials needed):
+ *   node run_batch.js --stub --ecoregions 1-3 --years 2019-2020
+ *
+ * Options:
+ *   --ecoregions LIST   IDs or codes, ranges allowed (e.g. 1-10,20,II05). Default: all.
+ *   --years LIST        Years, ranges allowed (e.g. 2000-2024). Required.
+ *   --state FILE        Resumable state file. Default: fcl_batch_state.json.
+ *   --concurrency N     Maximum active tasks. Default: 5.
+ *   --max-attempts N    Submissions per job before giving up. Default: 3.
+ *   --poll-interval S   Seconds between status polls. Default: 60 (0 with --stub).
+ *   --retry-failed      Reset jobs that previously failed for good.
+ *   --key FILE          Service-account JSON key.
+ *   --project ID        Cloud project for Earth Engine requests.
+ *   --modules-dir DIR   Directory with cloned third-party Code Editor repos.
+ *   --output-mode MODE  'label' (default) or 'probability' (see fcl_pipeline.js).
+ *   --destination DEST  'drive' (default, GeoTIFF) or 'asset' (input of the
+ *                       national mosaic, ECF_TST_National_Mosaic.js).
+ *   --fusion SOURCE     Sentinel-2 fusion from 2017: 'none' (default), 's2' or
+ *                       'hls' (see compositing.js).
+ *   --resampling MODE   Fusion resampling: 'aggregate' (default) or 'native'.
+ *   --mask-mode MODE    Forest mask: 'baseline_2000' (default), 'previous_year'
+ *                       or 'any_before' (see forest_baseline.js).
+ *   --no-cache          Rebuild every composite instead of reading the composite
+ *                       cache (see composite_cache.js).
+ *   --temperature VAR   Climate temperature variable: 'skin_temperature'
+ *                       (default) or 'temperature_2m' (see features.js).
+ *   --climate-baseline RANGE  Climate anomaly baseline years. Default: 1990-2020.
+ *   --dem SOURCE        Terrain DEM: 'srtm' (default), 'nasadem', 'copernicus' or
+ *                       'alos' (see terrain.js).
+ *   --stub              Use the local task stub instead of Earth Engine.
+ *   --stub-failure-rate P  Failure probability of stub tasks. Default: 0.
+ *
+ * Re-running the same command resumes from the state file: completed jobs are
+ * skipped and tasks that were still running are polled, not resubmitted.
+ * The state file records the pipeline options (output mode, destination,
+ * fusion, mask mode, climate, DEM); a run with other options needs its own
+ * --state file.
+ *
+ * =================================================================================
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var catalogue = require('../modules/ecoregion_catalogue');
+var compositing = require('../modules/compositing');
+var orchestrator = require('./orchestrator');
+var stateStore = require('./state_store');
+var stub = require('./task_api_stub');
+
+// -------------------------------
+// 1. ARGUMENT PARSING
+// -------------------------------
+
+var FLAGS = ['retry-failed', 'stub', 'no-cache'];
+var DESTINATIONS = ['drive', 'asset'];
+var OUTPUT_MODES = ['label', 'probability'];                        // fcl_pipeline.js
+var MASK_MODES = ['baseline_2000', 'previous_year', 'any_before']; // forest_baseline.js
+var TEMPERATURE_VARIABLES = ['skin_temperature', 'temperature_2m']; // features.js
+var DEM_SOURCES = ['srtm', 'nasadem', 'copernicus', 'alos'];         // terrain.js
+var DEFAULT_CLIMATE_BASELINE = [1990, 2020];                         // features.js
+
+function parseArgs(argv) {
+  var args = {};
+  for (var i = 0; i < argv.length; i++) {
+    var match = /^--([\w-]+)$/.exec(argv[i]);
+    if (!match) throw new Error('Unexpected argument: ' + argv[i]);
+    if (FLAGS.indexOf(match[1]) >= 0) {
+      args[match[1]] = true;
+    } else {
+      if (i + 1 >= argv.length) throw new Error('Missing value for --' + match[1]);
+      args[match[1]] = argv[++i];
+    }
+  }
+  return args;
+}
+
+/**
+ * Parses a list such as '1-10,20,II05' into ecoregion IDs or years.
+ * @param {String} text - Comma-separated values and ranges.
+ * @param {Function} toNumber - Converts a single token to a number.
+ * @returns {Array<Number>} Sorted unique values.
+ */
+function parseList(text, toNumber) {
+  var values = [];
+  text.split(',').forEach(function(token) {
+    token = token.trim();
+    var range = /^(\d+)-(\d+)$/.exec(token);
+    if (range) {
+      for (var v = Number(range[1]); v <= Number(range[2]); v++) values.push(toNumber(String(v)));
+    } else if (token) {
+      values.push(toNumber(token));
+    }
+  });
+  return values
+    .filter(function(v, i) { return values.indexOf(v) === i; })
+    .sort(function(a, b) { return a - b; });
+}
+
+function toEcoregionId(token) {
+  return catalogue.get(token).id;
+}
+
+/**
+ * Builds the pipeline's climate options from --temperature and
+ * --climate-baseline (e.g. '1981-2010').
+ * @param {Object} args - Parsed arguments.
+ * @returns {Object} {temperature, baselineStart, baselineEnd}; unset values
+ *     are left to the pipeline defaults.
+ */
+function climateOptions(args) {
+  var climate = {temperature: args.temperature};
+  if (args['climate-baseline']) {
+    var range = /^(\d{4})-(\d{4})$/.exec(args['climate-baseline']);
+    if (!range || Number(range[1]) > Number(range[2])) {
+      throw new Error('--climate-baseline must be a year range such as 1990-2020.');
+    }
+    climate.baselineStart = Number(range[1]);
+    climate.baselineEnd = Number(range[2]);
+  }
+  return climate;
+}
+
+function toYear(token) {
+  var year = Number(token);
+  if (!(year >= 2000 && year <= 2100)) throw new Error('Invalid year: ' + token);
+  return year;
+}
+
+// -------------------------------
+// 2. TASK API SELECTION
+// -------------------------------
+
+/**
+ * Pipeline options of a run, with the defaults filled in. Also the
+ * fingerprint stored in the state file, so the keys keep a fixed order.
+ * `useCache` is left out: cached and rebuilt composites give the same maps.
+ * @param {Object} args - Parsed arguments.
+ * @returns {Object} {outputMode, destination, fusion, maskMode, climate, dem}.
+ */
+function runOptions(args) {
+  var climate = climateOptions(args);
+  return {
+    outputMode: args['output-mode'] || 'label',
+    destination: args.destination || 'drive',
+    fusion: compositing.checkFusion({source: args.fusion, resampling: args.resampling}),
+    maskMode: args['mask-mode'] || MASK_MODES[0],
+    climate: {
+      temperature: climate.temperature || TEMPERATURE_VARIABLES[0],
+      baselineStart: climate.baselineStart || DEFAULT_CLIMATE_BASELINE[0],
+      baselineEnd: climate.baselineEnd || DEFAULT_CLIMATE_BASELINE[1]
+    },
+    dem: args.dem || DEM_SOURCES[0]
+  };
+}
+
+function createTaskApi(args) {
+  if (args.stub) {
+    return Promise.resolve(stub.createStubTaskApi({
+      failureRate: Number(args['stub-failure-rate'] || 0)
+    }));
+  }
+  if (!args.key || !args.project) {
+    return Promise.reject(new Error('--key and --project are required (or use --stub).'));
+  }
+  var ee = require('@google/earthengine');
+  var taskApi = require('./task_api');
+  var privateKey = JSON.parse(fs.readFileSync(args.key, 'utf8'));
+  var options = runOptions(args);
+  return taskApi.initialize(ee, privateKey, args.project).then(function() {
+    return taskApi.createEarthEngineTaskApi({
+      ee: ee,
+      modulesDir: args['modules-dir'] && path.resolve(args['modules-dir']),
+      pipelineOptions: {
+        outputMode: options.outputMode,
+        fusion: options.fusion,
+        maskMode: options.maskMode,
+        useCache: !args['no-cache'],
+        climate: options.climate,
+        dem: options.dem
+      },
+      destination: options.destination
+    });
+  });
+}
+
+// -------------------------------
+// 3. MAIN
+// -------------------------------
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+  if (!args.years) throw new Error('--years is required (e.g. --years 2000-2024).');
+  if (args.destination && DESTINATIONS.indexOf(args.destination) < 0) {
+    throw new Error('--destination must be ' + DESTINATIONS.join(' or ') + '.');
+  }
+  if (args['output-mode'] && OUTPUT_MODES.indexOf(args['output-mode']) < 0) {
+    throw new Error('--output-mode must be ' + OUTPUT_MODES.join(' or ') + '.');
+  }
+  compositing.checkFusion({source: args.fusion, resampling: args.resampling});
+  if (args['mask-mode'] && MASK_MODES.indexOf(args['mask-mode']) < 0) {
+    throw new Error('--mask-mode must be ' + MASK_MODES.join(', ') + '.');
+  }
+  if (args.temperature && TEMPERATURE_VARIABLES.indexOf(args.temperature) < 0) {
+    throw new Error('--temperature must be ' + TEMPERATURE_VARIABLES.join(' or ') + '.');
+  }
+  climateOptions(args); // Validates --climate-baseline
+  if (args.dem && DEM_SOURCES.indexOf(args.dem) < 0) {
+    throw new Error('--dem must be ' + DEM_SOURCES.join(', ') + '.');
+  }
+
+  var check = catalogue.validate();
+  if (!check.valid) throw new Error('Ecoregion catalogue is invalid:\n' + check.errors.join('\n'));
+
+  var ecoregionIds = args.ecoregions ? parseList(args.ecoregions, toEcoregionId) : catalogue.listIds();
+  var years = parseList(args.years, toYear);
+  var jobs = orchestrator.expandJobs(ecoregionIds, years);
+
+  var store = stateStore.openStateStore(args.state || 'fcl_batch_state.json', runOptions(args));
+  var added = store.addJobs(jobs, !!args['retry-failed']);
+  store.save();
+  console.log('Jobs requested: ' + jobs.length + ' (' + added + ' new or reset).');
+
+  var defaultPoll = args.stub ? 0 : 60;
+  var pollSeconds = args['poll-interval'] !== undefined ? Number(args['poll-interval']) : defaultPoll;
+
+  return createTaskApi(args).then(function(taskApi) {
+    return orchestrator.runBatch({
+      store: store,
+      taskApi: taskApi,
+      jobs: jobs,
+      concurrency: Number(args.concurrency || 5),
+      maxAttempts: Number(args['max-attempts'] || 3),
+      pollIntervalMs: pollSeconds * 1000
+    });
+  }).then(function(summary) {
+    console.log('Finished: ' + summary.completed + ' completed, ' +
+                summary.failed + ' failed, ' + summary.total + ' requested.');
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  });
+}
+
+if (require.main === module) {
+  Promise.resolve().then(main).catch(function(err) {
+    console.error('Error: ' + err.message);
+    process.exitCode = 2;
+  });
+}
+
+exports.parseArgs = parseArgs;
+exports.parseList = parseList;
@@ -0,0 +1,135 @@
+/**
+ * =================================================================================
+ * ECF-TST Orchestrator: Resumable State File
+ * =================================================================================
+ *
+ * Purpose: Persists the status of every ecoregion/year job in a local JSON file
+ * so an interrupted batch can be resumed without resubmitting finished or
+ * still-running Earth Engine tasks.
+ *
+ * File layout:
+ *   {
+ *     "version": 1,
+ *     "options": {"outputMode": "label", "destination": "drive", ...},
+ *     "jobs": {
+ *       "E20_2020": {"ecoregionId": 20, "year": 2020, "status": "completed",
+ *                    "taskId": "...", "attempts": 1, "lastError": null,
+ *                    "updatedAt": "2026-10-19T08:00:00.000Z"}
+ *     }
+ *   }
+ *
+ * Job status values: pending, submitted, running, completed, failed.
+ *
+ * `options` records the pipeline options the jobs were run with (see
+ * run_batch.js). Job keys hold only ecoregion and year, so a state file is
+ * refused when it was written with different options: completed jobs of a
+ * label run must not count as done for a probability run.
+ *
+ * =================================================================================
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var STATE_VERSION = 1;
+
+/**
+ * Unique key of an ecoregion/year job.
+ * @param {Number} ecoregionId - Ecoregion ID.
+ * @param {Number} year - Target year.
+ * @returns {String} e.g. 'E20_2020'.
+ */
+function jobKey(ecoregionId, year) {
+  return 'E' + ecoregionId + '_' + year;
+}
+
+/**
+ * Opens (or creates) a state file.
+ * @param {String} file - Path of the JSON state file.
+ * @param {Object} [options] - Pipeline options of the run (plain JSON, keys in
+ *     a fixed order). An existing file must have been written with the same
+ *     options.
+ * @returns {Object} {jobs, addJobs, update, save}.
+ */
+function openStateStore(file, options) {
+  options = options || {};
+  var state = {version: STATE_VERSION, options: options, jobs: {}};
+  if (fs.existsSync(file)) {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (state.version !== STATE_VERSION) {
+      throw new Error('Unsupported state file version ' + state.version + ' in ' + file);
+    }
+    var recorded = JSON.stringify(state.options || null);
+    if (recorded !== JSON.stringify(options)) {
+      throw new Error('State file ' + file + ' was written with different pipeline options (' +
+                      recorded + '); use another --state file for ' +
+                      JSON.stringify(options) + '.');
+    }
+  }
+
+  /**
+   * Adds jobs that are not yet in the state as 'pending'. Existing jobs keep
+   * their status, so completed work is never redone.
+   * @param {Array<Object>} jobs - [{ecoregionId, year}].
+   * @param {Boolean} [retryFailed] - Reset exhausted 'failed' jobs to 'pending'.
+   * @returns {Number} Number of jobs added or reset.
+   */
+  function addJobs(jobs, retryFailed) {
+    var changed = 0;
+    jobs.forEach(function(job) {
+      var key = jobKey(job.ecoregionId, job.year);
+      var existing = state.jobs[key];
+      if (!existing) {
+        state.jobs[key] = {
+          ecoregionId: job.ecoregionId,
+          year: job.year,
+          status: 'pending',
+          taskId: null,
+          attempts: 0,
+          lastError: null,
+          updatedAt: new Date().toISOString()
+        };
+        changed += 1;
+      } else if (retryFailed && existing.status === 'failed') {
+        update(key, {status: 'pending', attempts: 0, taskId: null});
+        changed += 1;
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Updates fields of one job.
+   * @param {String} key - Job key.
+   * @param {Object} fields - Fields to overwrite.
+   */
+  function update(key, fields) {
+    var job = state.jobs[key];
+    Object.keys(fields).forEach(function(k) {
+      job[k] = fields[k];
+    });
+    job.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Writes the state atomically (temporary file + rename).
+   */
+  function save() {
+    var tmp = file + '.tmp';
+    fs.mkdirSync(path.dirname(path.resolve(file)), {recursive: true});
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    jobs: state.jobs,
+    addJobs: addJobs,
+    update: update,
+    save: save
+  };
+}
+
+exports.jobKey = jobKey;
+exports.openStateStore = openStateStore;
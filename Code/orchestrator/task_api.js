@@ -0,0 +1,95 @@
+/**
+ * =================================================================================
+ * ECF-TST Orchestrator: Earth Engine Task API
+ * =================================================================================
+ *
+ * Purpose: Adapter between the orchestrator and the Earth Engine batch API.
+ * Every task API (this one and `task_api_stub.js`) exposes the same two
+ * Promise-returning functions:
+ *
+ *   submit(job)        -> task ID
+ *   getStatus(taskIds) -> [{id, state, errorMessage}]
+ *
+ * where `job` is {ecoregionId, year} and `state` is one of the Earth Engine task
+ * states: UNSUBMITTED, READY, RUNNING, COMPLETED, FAILED, CANCEL_REQUESTED,
+ * CANCELLED.
+ *
+ * =================================================================================
+ */
+
+'use strict';
+
+var loader = require('./gee_module_loader');
+
+/**
+ * Authenticates with a service-account key and initialises the client.
+ * @param {Object} ee - The `@google/earthengine` module.
+ * @param {Object} privateKey - Parsed service-account JSON key.
+ * @param {String} project - Cloud project used for Earth Engine requests.
+ * @returns {Promise} Resolves once the client is ready.
+ */
+function initialize(ee, privateKey, project) {
+  return new Promise(function(resolve, reject) {
+    ee.data.authenticateViaPrivateKey(privateKey, function() {
+      ee.initialize(null, null, resolve, function(err) {
+        reject(new Error('Earth Engine initialisation failed: ' + err));
+      }, null, project);
+    }, function(err) {
+      reject(new Error('Earth Engine authentication failed: ' + err));
+    });
+  });
+}
+
+/**
+ * Creates the task API backed by Earth Engine.
+ * @param {Object} options
+ * @param {Object} options.ee - Initialised `@google/earthengine` client.
+ * @param {String} [options.modulesDir] - Directory with third-party Code Editor repos.
+ * @param {Object} [options.pipelineOptions] - Passed to `buildFclMap`
+ *     (e.g. {outputMode: 'probability'}).
+ * @param {String} [options.destination='drive'] - 'drive' (GeoTIFF) or 'asset'
+ *     (the catalogue's 'fclMaps' folder, input of the national mosaic).
+ * @returns {Object} {submit, getStatus}.
+ */
+function createEarthEngineTaskApi(options) {
+  var ee = options.ee;
+  var geeRequire = loader.createGeeRequire({
+    ee: ee,
+    modulesDir: options.modulesDir
+  });
+  var pipeline = geeRequire(loader.PROJECT_REPO + ':Code/modules/fcl_pipeline.js');
+
+  function submit(job) {
+    return new Promise(function(resolve, reject) {
+      var fcl = pipeline.buildFclMap(job.ecoregionId, job.year, options.pipelineOptions);
+      var task = options.destination === 'asset' ?
+        ee.batch.Export.image.toAsset(pipeline.getAssetExportOptions(fcl)) :
+        ee.batch.Export.image.toDrive(pipeline.getExportOptions(fcl));
+      task.start(function() {
+        resolve(task.id);
+      }, function(err) {
+        reject(new Error(String(err)));
+      });
+    });
+  }
+
+  function getStatus(taskIds) {
+    if (taskIds.length === 0) return Promise.resolve([]);
+    return new Promise(function(resolve, reject) {
+      ee.data.getTaskStatus(taskIds, function(statuses, err) {
+        if (err) {
+          reject(new Error(String(err)));
+          return;
+        }
+        resolve(statuses.map(function(s) {
+          return {id: s.id, state: s.state, errorMessage: s.error_message || null};
+        }));
+      });
+    });
+  }
+
+  return {submit: submit, getStatus: getStatus};
+}
+
+exports.initialize = initialize;
+exports.createEarthEngineTaskApi = createEarthEngineTaskApi;
@@ -0,0 +1,117 @@
+/**
+ * =================================================================================
+ * ECF-TST Orchestrator: Local Stub of the Task API
+ * =================================================================================
+ *
+ * Purpose: In-memory stand-in for `task_api.js`, used to exercise the
+ * orchestrator (scheduling, concurrency, retries, resuming) without Earth Engine
+ * credentials: `node run_batch.js --stub ...`.
+ *
+ * Behaviour:
+ * - Each submitted task is READY on the first poll, RUNNING for
+ *   `runningPolls` polls and then COMPLETED or FAILED.
+ * - A task fails when `failurePlan` says so for the job's attempt number, or
+ *   at random with probability `failureRate` (seeded, hence reproducible).
+ * - `maxConcurrent` mimics the Earth Engine per-user concurrent task limit:
+ *   submissions beyond it are rejected.
+ *
+ * =================================================================================
+ */
+
+'use strict';
+
+/**
+ * Small deterministic PRNG (mulberry32) so stub runs are reproducible.
+ * @param {Number} seed - Integer seed.
+ * @returns {Function} Returns a float in [0, 1) on each call.
+ */
+function seededRandom(seed) {
+  var a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    var t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Creates a stub task API.
+ * @param {Object} [options]
+ * @param {Number} [options.runningPolls=1] - Polls a task stays RUNNING.
+ * @param {Number} [options.failureRate=0] - Probability that a task fails.
+ * @param {Object} [options.failurePlan] - Map 'E<id>_<year>' -> array of attempt
+ *     numbers (1-based) that must fail.
+ * @param {Number} [options.maxConcurrent=Infinity] - Active-task limit.
+ * @param {Number} [options.seed=1] - Seed for `failureRate`.
+ * @returns {Object} {submit, getStatus, tasks}.
+ */
+function createStubTaskApi(options) {
+  options = options || {};
+  var runningPolls = options.runningPolls !== undefined ? options.runningPolls : 1;
+  var failureRate = options.failureRate || 0;
+  var failurePlan = options.failurePlan || {};
+  var maxConcurrent = options.maxConcurrent || Infinity;
+  var random = seededRandom(options.seed || 1);
+
+  var tasks = {};
+  var attempts = {};
+  var counter = 0;
+
+  function activeCount() {
+    return Object.keys(tasks).filter(function(id) {
+      return tasks[id].state === 'READY' || tasks[id].state === 'RUNNING';
+    }).length;
+  }
+
+  function submit(job) {
+    if (activeCount() >= maxConcurrent) {
+      return Promise.reject(new Error('Too many concurrent tasks (stub limit ' +
+                                      maxConcurrent + ').'));
+    }
+    var key = 'E' + job.ecoregionId + '_' + job.year;
+    attempts[key] = (attempts[key] || 0) + 1;
+    var planned = (failurePlan[key] || []).indexOf(attempts[key]) >= 0;
+    counter += 1;
+    var id = 'STUB' + ('000000' + counter).slice(-6);
+    tasks[id] = {
+      id: id,
+      job: key,
+      state: 'READY',
+      polls: 0,
+      willFail: planned || random() < failureRate
+    };
+    return Promise.resolve(id);
+  }
+
+  function advance(task) {
+    task.polls += 1;
+    if (task.state === 'READY') {
+      task.state = 'RUNNING';
+    } else if (task.state === 'RUNNING' && task.polls > runningPolls) {
+      task.state = task.willFail ? 'FAILED' : 'COMPLETED';
+    }
+  }
+
+  function getStatus(taskIds) {
+    return Promise.resolve(taskIds.map(function(id) {
+      var task = tasks[id];
+      if (!task) {
+        return {id: id, state: 'UNKNOWN', errorMessage: 'No such task.'};
+      }
+      // Report the current state, then move the task along for the next poll.
+      var state = task.state;
+      advance(task);
+      return {
+        id: id,
+        state: state,
+        errorMessage: state === 'FAILED' ? 'Stub failure for ' + task.job : null
+      };
+    }));
+  }
+
+  return {submit: submit, getStatus: getStatus, tasks: tasks};
+}
+
+exports.createStubTaskApi = createStubTaskApi;